@@ -0,0 +1,722 @@
+/**
+ * Baseline schema: every table as it stood when migrations were introduced.
+ *
+ * Databases created before then already have some or all of these tables, in whatever shape the
+ * old startup code left them. Tables are created only where missing, and the columns and CHECK
+ * constraints that startup used to add are brought in here, so an older database ends up with
+ * the same schema as a new one.
+ */
+
+const tables = [
+  // Products table - core product information
+  `CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    supplier TEXT,
+    cost_price DECIMAL(10,2),
+    sell_price DECIMAL(10,2) NOT NULL,
+    description TEXT,
+    sku TEXT UNIQUE,
+    image_url TEXT,
+    lead_time_days INTEGER DEFAULT 7,
+    parent_id INTEGER,
+    variant_options TEXT,
+    variant_attributes TEXT,
+    price_override DECIMAL(10,2),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_id) REFERENCES products (id)
+  )`,
+  
+  // Inventory table - stock levels and reorder information
+  `CREATE TABLE IF NOT EXISTS inventory (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 0,
+    reorder_level INTEGER NOT NULL DEFAULT 10,
+    max_stock_level INTEGER DEFAULT 100,
+    last_restocked DATETIME,
+    location TEXT DEFAULT 'Main Store',
+    shelf_location TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+  )`,
+  
+  // Sales table - transaction records
+  `CREATE TABLE IF NOT EXISTS sales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    quantity_sold INTEGER NOT NULL,
+    unit_price DECIMAL(10,2) NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL,
+    discount_amount DECIMAL(10,2) DEFAULT 0,
+    tax_class TEXT,
+    tax_rate REAL DEFAULT 0,
+    taxable_amount DECIMAL(10,2) DEFAULT 0,
+    tax_amount DECIMAL(10,2) DEFAULT 0,
+    tax_exempt_customer_id INTEGER,
+    sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+    cashier_name TEXT,
+    payment_method TEXT DEFAULT 'cash',
+    transaction_id TEXT,
+    location TEXT DEFAULT 'Main Store',
+    api_key_id INTEGER,
+    FOREIGN KEY (product_id) REFERENCES products (id),
+    FOREIGN KEY (api_key_id) REFERENCES api_keys (id)
+  )`,
+  
+  // Alerts table - low stock and other notifications
+  `CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    alert_type TEXT NOT NULL CHECK (alert_type IN ('low_stock', 'out_of_stock', 'overstock', 'price_change', 'projected_stockout', 'below_cost', 'no_sales', 'sales_spike')),
+    message TEXT NOT NULL,
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'acknowledged', 'snoozed', 'resolved', 'dismissed')),
+    priority TEXT DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'critical')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    resolved_by TEXT,
+    location TEXT,
+    acknowledged_by TEXT,
+    acknowledged_at DATETIME,
+    snoozed_until DATETIME,
+    escalated_at DATETIME,
+    resolution_note TEXT,
+    FOREIGN KEY (product_id) REFERENCES products (id)
+  )`,
+  
+  // Users table - authentication and authorization
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT DEFAULT 'staff',
+    first_name TEXT,
+    last_name TEXT,
+    phone TEXT,
+    is_active BOOLEAN DEFAULT 1,
+    pending_approval BOOLEAN DEFAULT 0,
+    must_reset_password BOOLEAN DEFAULT 0,
+    invited_by INTEGER,
+    deactivated_at DATETIME,
+    locked_until DATETIME,
+    totp_secret TEXT,
+    totp_last_step INTEGER,
+    two_factor_enabled_at DATETIME,
+    last_login DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  // Stock movements table - audit trail for inventory changes
+  `CREATE TABLE IF NOT EXISTS stock_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    movement_type TEXT NOT NULL CHECK (movement_type IN ('sale', 'restock', 'adjustment', 'return', 'damage')),
+    quantity_change INTEGER NOT NULL,
+    previous_quantity INTEGER NOT NULL,
+    new_quantity INTEGER NOT NULL,
+    reason TEXT,
+    user_id INTEGER,
+    api_key_id INTEGER,
+    reference_type TEXT,
+    reference_id INTEGER,
+    location TEXT DEFAULT 'Main Store',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products (id),
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (api_key_id) REFERENCES api_keys (id)
+  )`,
+
+  // Purchase orders table - supplier orders and their lifecycle
+  `CREATE TABLE IF NOT EXISTS purchase_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    po_number TEXT UNIQUE,
+    supplier TEXT NOT NULL,
+    status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+    location TEXT DEFAULT 'Main Store',
+    expected_date DATE,
+    notes TEXT,
+    created_by INTEGER,
+    sent_at DATETIME,
+    received_at DATETIME,
+    cancelled_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // Purchase order items table - line items with expected costs and received quantities
+  `CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    purchase_order_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0,
+    unit_cost DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders (id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products (id)
+  )`,
+
+  // Sales transactions table - checkout baskets grouping sales rows by transaction_id
+  `CREATE TABLE IF NOT EXISTS sales_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id TEXT UNIQUE NOT NULL,
+    location TEXT DEFAULT 'Main Store',
+    cashier_name TEXT,
+    payment_method TEXT DEFAULT 'cash',
+    line_count INTEGER NOT NULL,
+    units INTEGER NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL,
+    discount_amount DECIMAL(10,2) DEFAULT 0,
+    tax_amount DECIMAL(10,2) DEFAULT 0,
+    tax_exempt_customer_id INTEGER,
+    user_id INTEGER,
+    api_key_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (api_key_id) REFERENCES api_keys (id)
+  )`,
+
+  // Returns table - items returned against a sale, with refund and condition
+  `CREATE TABLE IF NOT EXISTS returns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    return_number TEXT NOT NULL,
+    sale_id INTEGER NOT NULL,
+    transaction_id TEXT,
+    product_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    tax_refund DECIMAL(10,2) DEFAULT 0,
+    refund_method TEXT NOT NULL,
+    condition TEXT DEFAULT 'sellable' CHECK (condition IN ('sellable', 'damaged')),
+    reason TEXT,
+    location TEXT,
+    processed_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales (id),
+    FOREIGN KEY (product_id) REFERENCES products (id),
+    FOREIGN KEY (processed_by) REFERENCES users (id)
+  )`,
+
+  // Write-offs table - damaged, stolen and otherwise lost stock valued at cost
+  `CREATE TABLE IF NOT EXISTS write_offs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    location TEXT DEFAULT 'Main Store',
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason_code TEXT NOT NULL CHECK (reason_code IN ('damaged', 'stolen', 'display_sample', 'expired_promo', 'miscount')),
+    notes TEXT,
+    unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+    photo_url TEXT,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`,
+
+  // Count sessions table - full stocktakes and cycle counts scoped to a location
+  `CREATE TABLE IF NOT EXISTS count_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_number TEXT UNIQUE,
+    name TEXT,
+    count_type TEXT DEFAULT 'cycle' CHECK (count_type IN ('full', 'cycle')),
+    location TEXT NOT NULL,
+    category TEXT,
+    shelf_from TEXT,
+    shelf_to TEXT,
+    status TEXT DEFAULT 'open' CHECK (status IN ('open', 'submitted', 'approved', 'cancelled')),
+    notes TEXT,
+    started_by INTEGER,
+    approved_by INTEGER,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    submitted_at DATETIME,
+    approved_at DATETIME,
+    FOREIGN KEY (started_by) REFERENCES users (id),
+    FOREIGN KEY (approved_by) REFERENCES users (id)
+  )`,
+
+  // Count session items table - stock frozen at session start and the posted variance
+  `CREATE TABLE IF NOT EXISTS count_session_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    shelf_location TEXT,
+    expected_quantity INTEGER NOT NULL,
+    unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+    counted_quantity INTEGER,
+    movements_during_count INTEGER,
+    sales_during_count INTEGER,
+    variance INTEGER,
+    variance_cost DECIMAL(10,2),
+    FOREIGN KEY (session_id) REFERENCES count_sessions (id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products (id)
+  )`,
+
+  // Count entries table - individual counts submitted by each counter
+  `CREATE TABLE IF NOT EXISTS count_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    counted_quantity INTEGER NOT NULL CHECK (counted_quantity >= 0),
+    user_id INTEGER,
+    counted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES count_sessions (id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`,
+
+  // Locations table - stores, kiosks and stock rooms holding inventory
+  `CREATE TABLE IF NOT EXISTS locations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    location_type TEXT DEFAULT 'store' CHECK (location_type IN ('store', 'kiosk', 'warehouse')),
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Stock transfers table - stock moved between locations
+  `CREATE TABLE IF NOT EXISTS stock_transfers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transfer_number TEXT UNIQUE,
+    from_location TEXT NOT NULL,
+    to_location TEXT NOT NULL,
+    status TEXT DEFAULT 'requested' CHECK (status IN ('requested', 'in_transit', 'received', 'cancelled')),
+    notes TEXT,
+    requested_by INTEGER,
+    shipped_by INTEGER,
+    received_by INTEGER,
+    shipped_at DATETIME,
+    received_at DATETIME,
+    cancelled_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (requested_by) REFERENCES users (id),
+    FOREIGN KEY (shipped_by) REFERENCES users (id),
+    FOREIGN KEY (received_by) REFERENCES users (id)
+  )`,
+
+  // Stock transfer items table - products and quantities on each transfer
+  `CREATE TABLE IF NOT EXISTS stock_transfer_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transfer_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    FOREIGN KEY (transfer_id) REFERENCES stock_transfers (id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products (id)
+  )`,
+
+  // Price history table - every change to a product's sell and cost price
+  `CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    sell_price DECIMAL(10,2) NOT NULL,
+    cost_price DECIMAL(10,2),
+    previous_sell_price DECIMAL(10,2),
+    previous_cost_price DECIMAL(10,2),
+    change_source TEXT NOT NULL CHECK (change_source IN ('initial', 'manual', 'import', 'scheduled', 'markdown_start', 'markdown_end')),
+    reference_id INTEGER,
+    user_id INTEGER,
+    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`,
+
+  // Scheduled price changes table - future sell/cost prices applied by the scheduler
+  `CREATE TABLE IF NOT EXISTS scheduled_price_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    new_sell_price DECIMAL(10,2),
+    new_cost_price DECIMAL(10,2),
+    effective_at DATETIME NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'cancelled')),
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    applied_at DATETIME,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // Markdowns table - time-boxed percentage reductions for a product or category
+  `CREATE TABLE IF NOT EXISTS markdowns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    product_id INTEGER,
+    category TEXT,
+    percent_off REAL NOT NULL CHECK (percent_off > 0 AND percent_off < 100),
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    status TEXT DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'active', 'ended', 'cancelled')),
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    ended_at DATETIME,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // Markdown items table - prices before and during a markdown, for reverting
+  `CREATE TABLE IF NOT EXISTS markdown_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    markdown_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    original_price DECIMAL(10,2) NOT NULL,
+    markdown_price DECIMAL(10,2) NOT NULL,
+    reverted_at DATETIME,
+    FOREIGN KEY (markdown_id) REFERENCES markdowns (id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+  )`,
+
+  // Promotions table - discounts evaluated at checkout. value is a percentage, a fixed
+  // amount, or for buy_x_get_y the percentage off the "get" items
+  `CREATE TABLE IF NOT EXISTS promotions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    promo_type TEXT NOT NULL CHECK (promo_type IN ('percent_off', 'fixed_off', 'buy_x_get_y')),
+    value DECIMAL(10,2) NOT NULL,
+    product_id INTEGER,
+    category TEXT,
+    buy_quantity INTEGER,
+    get_quantity INTEGER,
+    coupon_code TEXT UNIQUE,
+    min_basket_value DECIMAL(10,2) DEFAULT 0,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    stackable BOOLEAN DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // Sale discounts table - which promotions discounted each sale line
+  `CREATE TABLE IF NOT EXISTS sale_discounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sale_id INTEGER NOT NULL,
+    promotion_id INTEGER NOT NULL,
+    coupon_code TEXT,
+    discount_amount DECIMAL(10,2) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales (id),
+    FOREIGN KEY (promotion_id) REFERENCES promotions (id)
+  )`,
+
+  // Tax classes table - sales tax rates, with an optional per-item exemption threshold
+  `CREATE TABLE IF NOT EXISTS tax_classes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    rate REAL NOT NULL DEFAULT 0 CHECK (rate >= 0 AND rate < 100),
+    exemption_threshold DECIMAL(10,2),
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Category tax classes table - which class each product category is taxed at
+  `CREATE TABLE IF NOT EXISTS category_tax_classes (
+    category TEXT PRIMARY KEY,
+    tax_class_id INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tax_class_id) REFERENCES tax_classes (id)
+  )`,
+
+  // Tax-exempt customers table - exemption certificates (e.g. Harvard departments)
+  `CREATE TABLE IF NOT EXISTS tax_exempt_customers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    organization TEXT,
+    certificate_number TEXT UNIQUE NOT NULL,
+    expires_at DATE,
+    is_active BOOLEAN DEFAULT 1,
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // Notification settings table - which roles and addresses receive each email type
+  `CREATE TABLE IF NOT EXISTS notification_settings (
+    notification_type TEXT PRIMARY KEY,
+    roles TEXT,
+    extra_recipients TEXT,
+    enabled BOOLEAN DEFAULT 1,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Alert history table - every lifecycle transition of an alert
+  `CREATE TABLE IF NOT EXISTS alert_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_id INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('created', 'acknowledged', 'snoozed', 'unsnoozed', 'escalated', 'dismissed', 'resolved')),
+    from_status TEXT,
+    to_status TEXT,
+    actor TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (alert_id) REFERENCES alerts (id) ON DELETE CASCADE
+  )`,
+
+  // Alert rules table - thresholds, priorities and dedup windows per product, category or globally
+  `CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('overstock', 'price_change', 'below_cost', 'no_sales', 'sales_spike')),
+    product_id INTEGER,
+    category TEXT,
+    threshold REAL DEFAULT 0,
+    priority TEXT DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'critical')),
+    dedup_hours INTEGER DEFAULT 24,
+    is_active BOOLEAN DEFAULT 1,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // Email deliveries table - every notification email with its delivery outcome
+  `CREATE TABLE IF NOT EXISTS email_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    notification_type TEXT NOT NULL,
+    recipients TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    text_body TEXT,
+    html_body TEXT,
+    attachments TEXT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    message_id TEXT,
+    next_attempt_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME
+  )`,
+
+  // Receipt log table - reprinted and emailed receipts
+  `CREATE TABLE IF NOT EXISTS receipt_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    receipt_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('reprint', 'email')),
+    format TEXT,
+    recipient TEXT,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`,
+
+  // Product barcodes table - manufacturer UPC/EAN codes and extra internal codes
+  `CREATE TABLE IF NOT EXISTS product_barcodes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    barcode TEXT UNIQUE NOT NULL,
+    symbology TEXT NOT NULL CHECK (symbology IN ('upc_a', 'ean_13', 'ean_8', 'code128')),
+    is_primary BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products (id)
+  )`,
+
+  // Audit log table - append-only record of every mutating API request
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id TEXT,
+    user_id INTEGER,
+    api_key_id INTEGER,
+    username TEXT,
+    role TEXT,
+    action TEXT NOT NULL,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    path TEXT,
+    entity_type TEXT,
+    entity_id TEXT,
+    status_code INTEGER,
+    changes TEXT,
+    request_body TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // User tokens table - one-time invitation and password reset links (hashed)
+  `CREATE TABLE IF NOT EXISTS user_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL CHECK (purpose IN ('invite', 'password_reset')),
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // User sessions table - one row per login, holding the current refresh token (hashed)
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT UNIQUE NOT NULL,
+    previous_token_hash TEXT,
+    expires_at DATETIME NOT NULL,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    revoke_reason TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`,
+
+  // Roles table - custom roles; admin, manager and staff are defined in SYSTEM_ROLES
+  `CREATE TABLE IF NOT EXISTS roles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    permissions TEXT NOT NULL,
+    location TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  // API keys table - credentials for registers and integrations (hashed)
+  `CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT UNIQUE NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT NOT NULL,
+    location TEXT,
+    allowed_ips TEXT,
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    last_used_ip TEXT,
+    revoked_at DATETIME,
+    revoked_by INTEGER,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id),
+    FOREIGN KEY (revoked_by) REFERENCES users (id)
+  )`,
+
+  // Recovery codes table - single-use fallbacks for two-factor login (hashed)
+  `CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  )`
+];
+
+// Columns added to tables after they were first created
+const legacyColumns = [
+  ['stock_movements', 'reference_type', 'TEXT'],
+  ['stock_movements', 'reference_id', 'INTEGER'],
+  ['stock_movements', 'location', "TEXT DEFAULT 'Main Store'"],
+  ['sales', 'location', "TEXT DEFAULT 'Main Store'"],
+  ['alerts', 'location', 'TEXT'],
+  ['purchase_orders', 'location', "TEXT DEFAULT 'Main Store'"],
+  ['products', 'lead_time_days', 'INTEGER DEFAULT 7'],
+  ['alerts', 'acknowledged_by', 'TEXT'],
+  ['alerts', 'acknowledged_at', 'DATETIME'],
+  ['alerts', 'snoozed_until', 'DATETIME'],
+  ['alerts', 'escalated_at', 'DATETIME'],
+  ['alerts', 'resolution_note', 'TEXT'],
+  ['sales', 'discount_amount', 'DECIMAL(10,2) DEFAULT 0'],
+  ['sales_transactions', 'discount_amount', 'DECIMAL(10,2) DEFAULT 0'],
+  ['sales', 'tax_class', 'TEXT'],
+  ['sales', 'tax_rate', 'REAL DEFAULT 0'],
+  ['sales', 'taxable_amount', 'DECIMAL(10,2) DEFAULT 0'],
+  ['sales', 'tax_amount', 'DECIMAL(10,2) DEFAULT 0'],
+  ['sales', 'tax_exempt_customer_id', 'INTEGER'],
+  ['sales_transactions', 'tax_amount', 'DECIMAL(10,2) DEFAULT 0'],
+  ['sales_transactions', 'tax_exempt_customer_id', 'INTEGER'],
+  ['returns', 'tax_refund', 'DECIMAL(10,2) DEFAULT 0'],
+  ['email_deliveries', 'attachments', 'TEXT'],
+  ['products', 'parent_id', 'INTEGER'],
+  ['products', 'variant_options', 'TEXT'],
+  ['products', 'variant_attributes', 'TEXT'],
+  ['products', 'price_override', 'DECIMAL(10,2)'],
+  ['users', 'pending_approval', 'BOOLEAN DEFAULT 0'],
+  ['users', 'must_reset_password', 'BOOLEAN DEFAULT 0'],
+  ['users', 'invited_by', 'INTEGER'],
+  ['users', 'deactivated_at', 'DATETIME'],
+  ['users', 'locked_until', 'DATETIME'],
+  ['users', 'totp_secret', 'TEXT'],
+  ['users', 'totp_last_step', 'INTEGER'],
+  ['users', 'two_factor_enabled_at', 'DATETIME'],
+  ['stock_movements', 'api_key_id', 'INTEGER'],
+  ['sales', 'api_key_id', 'INTEGER'],
+  ['sales_transactions', 'api_key_id', 'INTEGER'],
+  ['audit_log', 'api_key_id', 'INTEGER']
+];
+
+// CHECK constraints widened or dropped after tables were first created, as text to replace in
+// the stored definition
+const legacyConstraints = [
+  ['alerts', "'overstock', 'price_change')", "'overstock', 'price_change', 'projected_stockout')"],
+  ['alerts', "'projected_stockout')", "'projected_stockout', 'below_cost', 'no_sales', 'sales_spike')"],
+  ['alerts', "'active', 'resolved', 'dismissed')", "'active', 'acknowledged', 'snoozed', 'resolved', 'dismissed')"],
+  ['users', " CHECK (role IN ('admin', 'manager', 'staff'))", '']
+];
+
+module.exports = {
+  async up(db) {
+    for (const sql of tables) {
+      await db.run(sql);
+    }
+
+    for (const [table, column, definition] of legacyColumns) {
+      if (!await db.hasColumn(table, column)) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    for (const [table, from, to] of legacyConstraints) {
+      const sql = await db.tableSql(table);
+      if (sql.includes(from)) {
+        await db.rebuildTable(table, sql.replace(from, to));
+      }
+    }
+
+    // One stock row per product per location
+    await db.run(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_product_location ON inventory (product_id, location)"
+    );
+
+    await db.run("CREATE INDEX IF NOT EXISTS idx_sales_transaction_id ON sales (transaction_id)");
+    await db.run("CREATE INDEX IF NOT EXISTS idx_product_barcodes_product_id ON product_barcodes (product_id)");
+    await db.run("CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)");
+    await db.run("CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)");
+    await db.run("CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions (user_id)");
+    await db.run("CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions (previous_token_hash)");
+    await db.run("CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes (user_id)");
+
+    // Audit entries can be added but never changed or removed
+    for (const operation of ['UPDATE', 'DELETE']) {
+      await db.run(
+        `CREATE TRIGGER IF NOT EXISTS audit_log_no_${operation.toLowerCase()} BEFORE ${operation} ON audit_log
+         BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+      );
+    }
+  },
+
+  async down(db) {
+    const names = tables.map(sql => /CREATE TABLE IF NOT EXISTS (\w+)/.exec(sql)[1]);
+    for (const table of names.reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * Harvard Shop Inventory Management System - Schema Migrations
+ *
+ * Applies the numbered migrations in migrations/ and records each one in the schema_migrations
+ * table. A migration is a file named like 002_add_transfer_movements.js exporting async up(db)
+ * and down(db); each runs in its own transaction. The server applies pending migrations when it
+ * starts, and this script is for checking, rolling back and adding new ones:
+ *
+ *   npm run migrate                         Apply pending migrations (--to <version> to stop early)
+ *   npm run migrate:status                  List applied and pending migrations
+ *   npm run migrate:rollback                Undo the latest migration (--steps <n> or --to <version>)
+ *   npm run migrate -- create <name>        Add an empty migration with the next number
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const DB_PATH = process.env.DATABASE_URL || './inventory.db';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const MIGRATION_TEMPLATE = `module.exports = {
+  async up(db) {
+  },
+
+  async down(db) {
+  }
+};
+`;
+
+// The db handed to up() and down(): promise versions of the sqlite3 calls, plus helpers for the
+// changes SQLite can't make with ALTER TABLE
+function migrationContext(db) {
+  const context = {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      });
+    },
+
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+      });
+    },
+
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+      });
+    },
+
+    // The table's CREATE TABLE statement as stored, or null if there is no such table
+    async tableSql(table) {
+      const row = await context.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+      return row ? row.sql : null;
+    },
+
+    async hasColumn(table, column) {
+      const columns = await context.all(`PRAGMA table_info(${table})`);
+      return columns.some(col => col.name === column);
+    },
+
+    // Recreates a table from a new CREATE TABLE statement, which is how a CHECK constraint or a
+    // column definition changes in SQLite. Rows are copied for the columns both versions share,
+    // and the table's indexes and triggers are recreated.
+    async rebuildTable(table, createSql) {
+      const dependents = await context.all(
+        "SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND tbl_name = ? AND sql IS NOT NULL",
+        [table]
+      );
+      const oldColumns = (await context.all(`PRAGMA table_info(${table})`)).map(col => col.name);
+
+      await context.run(createSql.replace(/^CREATE TABLE (IF NOT EXISTS )?"?\w+"?/, `CREATE TABLE ${table}_rebuild`));
+      const newColumns = (await context.all(`PRAGMA table_info(${table}_rebuild)`)).map(col => col.name);
+      const shared = newColumns.filter(column => oldColumns.includes(column)).join(', ');
+
+      await context.run(`INSERT INTO ${table}_rebuild (${shared}) SELECT ${shared} FROM ${table}`);
+      await context.run(`DROP TABLE ${table}`);
+      await context.run(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+      for (const { sql } of dependents) {
+        await context.run(sql);
+      }
+    }
+  };
+  return context;
+}
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => MIGRATION_FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version),
+      name,
+      file,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.file} must export up() and down()`);
+    }
+    const previous = migrations[index - 1];
+    if (previous && previous.version === migration.version) {
+      throw new Error(`Migrations ${previous.file} and ${migration.file} have the same number`);
+    }
+  });
+  return migrations;
+}
+
+// Applied migrations from the database, against the migration files. Unknown ones were applied
+// by a newer version of the app.
+async function migrationStatus(db) {
+  const context = migrationContext(db);
+  await context.run(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  const migrations = loadMigrations();
+  const applied = await context.all("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    migrations,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+}
+
+function refuseUnknown(unknown) {
+  if (unknown.length > 0) {
+    const names = unknown.map(row => `${row.version} (${row.name})`).join(', ');
+    throw new Error(
+      `Database has migrations this version of the app doesn't know: ${names}. ` +
+      'It was migrated by a newer version; run that version, or restore a backup.'
+    );
+  }
+}
+
+async function runInTransaction(context, migration, work) {
+  await context.run('BEGIN TRANSACTION');
+  try {
+    await work();
+    await context.run('COMMIT');
+  } catch (error) {
+    await context.run('ROLLBACK').catch(() => {});
+    throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+  }
+}
+
+// Applies pending migrations in order, up to and including version `to`
+async function migrate(db, { to = Infinity } = {}) {
+  const { pending, unknown } = await migrationStatus(db);
+  refuseUnknown(unknown);
+
+  const context = migrationContext(db);
+  const applied = [];
+  for (const migration of pending.filter(pendingMigration => pendingMigration.version <= to)) {
+    await runInTransaction(context, migration, async () => {
+      await migration.up(context);
+      await context.run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+    });
+    console.log(`✅ Applied migration ${migration.file}`);
+    applied.push(migration);
+  }
+  return applied;
+}
+
+// Undoes the latest `steps` migrations, or every migration after version `to`
+async function rollback(db, { steps = 1, to } = {}) {
+  const { migrations, applied, unknown } = await migrationStatus(db);
+  refuseUnknown(unknown);
+
+  const context = migrationContext(db);
+  const targets = applied.slice().reverse()
+    .filter((row, index) => (to === undefined ? index < steps : row.version > to))
+    .map(row => migrations.find(migration => migration.version === row.version));
+
+  for (const migration of targets) {
+    await runInTransaction(context, migration, async () => {
+      await migration.down(context);
+      await context.run("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+    });
+    console.log(`↩️  Rolled back migration ${migration.file}`);
+  }
+  return targets;
+}
+
+// For a server started with AUTO_MIGRATE=false: the schema has to be current already
+async function checkSchema(db) {
+  const { pending, unknown } = await migrationStatus(db);
+  refuseUnknown(unknown);
+  if (pending.length > 0) {
+    throw new Error(`${pending.length} pending migration(s), starting with ${pending[0].file}. Run npm run migrate first.`);
+  }
+}
+
+function createMigration(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Name the migration in snake_case, e.g. npm run migrate -- create add_transfer_movements');
+  }
+
+  const versions = loadMigrations().map(migration => migration.version);
+  const version = String(Math.max(0, ...versions) + 1).padStart(3, '0');
+  const file = path.join(MIGRATIONS_DIR, `${version}_${name}.js`);
+  fs.writeFileSync(file, MIGRATION_TEMPLATE);
+  console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+}
+
+async function printStatus(db) {
+  const { migrations, applied, unknown } = await migrationStatus(db);
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  console.log(`💾 Database: ${DB_PATH}`);
+  for (const migration of migrations) {
+    console.log(appliedAt.has(migration.version)
+      ? `✅ ${migration.file}  (applied ${appliedAt.get(migration.version)})`
+      : `⏳ ${migration.file}  (pending)`);
+  }
+  for (const row of unknown) {
+    console.log(`❓ ${row.version} ${row.name}  (applied, but not in migrations/)`);
+  }
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, err => (err ? reject(err) : resolve(db)));
+  });
+}
+
+async function main(args) {
+  const [command = 'up', ...rest] = args;
+  const option = name => {
+    const index = rest.indexOf(`--${name}`);
+    return index >= 0 ? parseInt(rest[index + 1]) : undefined;
+  };
+
+  if (command === 'create') {
+    return createMigration(rest[0]);
+  }
+
+  const db = await openDatabase();
+  try {
+    if (command === 'up') {
+      const applied = await migrate(db, { to: option('to') });
+      if (applied.length === 0) console.log('✅ Schema is up to date');
+    } else if (command === 'down') {
+      const steps = option('steps') || 1;
+      const to = option('to');
+      // The first migration drops every table on the way down
+      const { applied } = await migrationStatus(db);
+      if (to === undefined && steps >= applied.length && applied.length > 0) {
+        throw new Error('This would roll back the initial schema and drop every table; pass --to 0 to confirm');
+      }
+      const rolledBack = await rollback(db, { steps, to });
+      if (rolledBack.length === 0) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+      await printStatus(db);
+    } else {
+      throw new Error(`Unknown command "${command}"; use up, down, status or create`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+// Handle script execution
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrate, rollback, checkSchema, migrationStatus, migrationContext };
@@ -11,11 +11,15 @@
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const path = require('path');
+const { migrate } = require('./migrate');
 
 // Configuration
 const DB_PATH = process.env.DATABASE_URL || './inventory.db';
 const SALT_ROUNDS = 12;
 
+// Sample stock movements are applied to this location's inventory rows
+const SEED_LOCATION = 'Main Store';
+
 // Color codes for console output
 const colors = {
   reset: '\x1b[0m',
@@ -350,8 +354,8 @@ class DatabaseSeeder {
   async getCurrentInventory(productId) {
     return new Promise((resolve, reject) => {
       this.db.get(
-        "SELECT * FROM inventory WHERE product_id = ?",
-        [productId],
+        "SELECT * FROM inventory WHERE product_id = ? AND location = ?",
+        [productId, SEED_LOCATION],
         (err, row) => {
           if (err) {
             reject(err);
@@ -366,8 +370,8 @@ class DatabaseSeeder {
   async insertStockMovement(movementData) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id) 
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id, location) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           movementData.productId,
           movementData.movementType,
@@ -375,7 +379,8 @@ class DatabaseSeeder {
           movementData.previousQuantity,
           movementData.newQuantity,
           movementData.reason,
-          movementData.userId
+          movementData.userId,
+          SEED_LOCATION
         ],
         function(err) {
           if (err) {
@@ -391,8 +396,8 @@ class DatabaseSeeder {
   async updateInventoryQuantity(productId, newQuantity) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        "UPDATE inventory SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ?",
-        [newQuantity, productId],
+        "UPDATE inventory SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ? AND location = ?",
+        [newQuantity, productId, SEED_LOCATION],
         function(err) {
           if (err) {
             reject(err);
@@ -416,6 +421,8 @@ class DatabaseSeeder {
       log(`   Email: ${user.email}`, 'blue');
       log('');
     });
+    log('⚠️  Change these passwords before going live, and turn on two-factor', 'yellow');
+    log('   authentication (TWO_FACTOR_REQUIRED_ROLES=admin,manager).', 'yellow');
     
     log('='.repeat(60), 'cyan');
     log('🌐 ACCESS INFORMATION', 'cyan');
@@ -496,6 +503,12 @@ async function seedDatabase() {
     // Initialize database connection
     await seeder.initialize();
     
+    // Bring the schema up to date first, so seeding never depends on what an old database has
+    const applied = await migrate(seeder.db);
+    if (applied.length > 0) {
+      logInfo(`Applied ${applied.length} migration(s)`);
+    }
+    
     // Check if database already has data
     const existingUserCount = await seeder.checkExistingData();
     
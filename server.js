@@ -20,21 +20,68 @@ const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
 const cron = require('node-cron');
 const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
+const PDFDocument = require('pdfkit');
+const { migrate, checkSchema } = require('./scripts/migrate');
+const bwipjs = require('bwip-js');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
-const JWT_SECRET = process.env.JWT_SECRET || 'harvard-shop-secure-secret-key-2024';
 const NODE_ENV = process.env.NODE_ENV || 'development';
+// Without JWT_SECRET, development signs with a random per-run secret (access tokens then end at
+// restart and are renewed with the refresh token); production refuses to start.
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Rate limits per route group as "<requests>/<window>", e.g. 300/1m, or "off". Auth routes are
+// counted per address, the other groups per user or API key.
+const RATE_LIMITS = {
+  auth: parseRateLimit('RATE_LIMIT_AUTH', '60/15m'),
+  write: parseRateLimit('RATE_LIMIT_WRITE', '300/1m'),
+  analytics: parseRateLimit('RATE_LIMIT_ANALYTICS', '60/1m'),
+  export: parseRateLimit('RATE_LIMIT_EXPORT', '10/1m')
+};
+
+// Failed logins. After LOGIN_DELAY_AFTER failures for a username, each attempt has to wait
+// twice as long as the one before (up to LOGIN_MAX_DELAY_SECONDS). At LOGIN_MAX_FAILURES the
+// account is locked for LOGIN_LOCKOUT_MINUTES, and an address is blocked for as long after
+// LOGIN_MAX_FAILURES_PER_IP failures across all usernames.
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_MAX_DELAY_SECONDS = 30;
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Unknown usernames are checked against this hash, so they take as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 12);
+
+// Counters for rate limits and failed logins live in this process unless RATE_LIMIT_STORE
+// names a module exporting another store (see createMemoryRateLimitStore), e.g. one backed by
+// Redis so several server processes share their counts.
+const rateLimitStore = process.env.RATE_LIMIT_STORE
+  ? require(path.resolve(process.env.RATE_LIMIT_STORE))
+  : createMemoryRateLimitStore();
+
+// Behind a load balancer such as Heroku's router, req.ip is only the client's address once
+// TRUST_PROXY is set (true, a hop count, or trusted addresses)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Security and performance middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Disabled for development with Tailwind CDN
 }));
 app.use(compression());
+// Keep access tokens passed in the query string (event streams) out of the request log
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/, '$1[redacted]'));
 app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 // CORS configuration
@@ -86,6 +133,17 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Request IDs tie log lines and audit entries together; a valid X-Request-Id from a proxy is kept
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+app.use('/api', rateLimitRequests);
+app.use('/api', auditRequests);
+app.param('id', captureAuditBefore);
+
 // Serve static files in production
 if (NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'client/build')));
@@ -93,8 +151,167 @@ if (NODE_ENV === 'production') {
 
 // Database configuration
 const DB_PATH = process.env.DATABASE_URL || './inventory.db';
+// Pending schema migrations (migrations/) are applied at startup unless AUTO_MIGRATE=false, in
+// which case `npm run migrate` has to be run first
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false';
 let db;
 
+// Location used when a request does not name one
+const DEFAULT_LOCATION = 'Main Store';
+const defaultLocations = [
+  [DEFAULT_LOCATION, 'store'],
+  ['Science Center Kiosk', 'kiosk'],
+  ['Warehouse', 'warehouse']
+];
+
+// Email notifications are sent only when an SMTP host is configured. Any SMTP server works,
+// including a local catcher such as MailHog or Mailpit (EMAIL_HOST=localhost, EMAIL_PORT=1025).
+const SHOP_NAME = process.env.SHOP_NAME || 'Harvard Shop';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Harvard Shop Inventory <noreply@harvard.edu>';
+const EMAIL_MAX_ATTEMPTS = 5;
+
+// User accounts. Invitations and password resets are completed through a one-time link to
+// APP_URL. Self-registration is off unless ALLOW_SELF_REGISTRATION=true, and then only creates
+// staff accounts that an admin must approve.
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const ALLOW_SELF_REGISTRATION = process.env.ALLOW_SELF_REGISTRATION === 'true';
+const MIN_PASSWORD_LENGTH = 8;
+const INVITE_EXPIRY_HOURS = 72;
+const PASSWORD_RESET_EXPIRY_HOURS = 24;
+
+// Two-factor authentication with an authenticator app (TOTP). It is optional unless the user's
+// role is listed in TWO_FACTOR_REQUIRED_ROLES, e.g. "admin,manager"; those users have to enrol
+// before their next login completes.
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',').map(role => role.trim()).filter(Boolean);
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+const TOTP_STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+// Named permissions checked on every route by requirePermission
+const PERMISSIONS = {
+  'product.view': 'View products, variants, barcodes and tax classes',
+  'product.write': 'Create and edit products, variants, barcodes and images',
+  'product.delete': 'Delete products',
+  'product.import': 'Import products from CSV',
+  'product.export': 'Export products to CSV',
+  'label.print': 'Print shelf and price labels',
+  'price.view': 'View price history, scheduled price changes, markdowns and promotions',
+  'price.change': 'Change prices and schedule price changes and markdowns',
+  'promotion.manage': 'Create, edit and delete promotions',
+  'tax.manage': 'Manage tax classes and category tax rates',
+  'tax.exempt_customers': 'Manage tax-exempt customers',
+  'sale.view': 'View sales, transactions, receipts and returns',
+  'sale.create': 'Record sales, preview baskets and reprint or email receipts',
+  'sale.return': 'Process returns',
+  'stock.view': 'View stock movements, locations, transfers, stock counts and forecasts',
+  'stock.count': 'Enter and submit stock counts',
+  'stock.adjust': 'Set stock levels, record write-offs, apply reorder levels and run stock counts',
+  'stock.transfer': 'Create, ship, receive and cancel stock transfers',
+  'purchase.view': 'View purchase orders',
+  'purchase.manage': 'Create and edit purchase orders',
+  'purchase.receive': 'Receive stock against purchase orders',
+  'alert.view': 'View alerts and alert rules',
+  'alert.manage': 'Acknowledge and snooze alerts',
+  'alert.resolve': 'Resolve and dismiss alerts',
+  'alert_rule.manage': 'Create, edit, delete and evaluate alert rules',
+  'dashboard.view': 'View the dashboard, sales analytics and live updates',
+  'report.view': 'View the sales tax, alert resolution and receipt reports',
+  'report.view_costs': 'See cost prices, write-offs and the shrinkage report',
+  'user.manage': 'Invite and manage users',
+  'role.manage': 'Create and edit custom roles',
+  'audit.view': 'View the audit log',
+  'notification.manage': 'Manage email notification settings and deliveries',
+  'location.manage': 'Add locations',
+  'api_key.manage': 'Create and revoke API keys'
+};
+
+// Built-in roles, defined here so they pick up permissions added in later releases. Admins
+// can add custom roles on top of these, optionally limited to one location.
+const STAFF_PERMISSIONS = [
+  'product.view', 'product.export', 'label.print', 'price.view', 'sale.view', 'sale.create', 'sale.return',
+  'stock.view', 'stock.count', 'stock.transfer', 'purchase.view', 'purchase.receive', 'alert.view',
+  'alert.manage', 'dashboard.view'
+];
+const ADMIN_ONLY_PERMISSIONS = [
+  'product.delete', 'tax.manage', 'user.manage', 'role.manage', 'audit.view', 'notification.manage', 'location.manage',
+  'api_key.manage'
+];
+const SYSTEM_ROLES = {
+  admin: Object.keys(PERMISSIONS),
+  manager: Object.keys(PERMISSIONS).filter(permission => !ADMIN_ONLY_PERMISSIONS.includes(permission)),
+  staff: STAFF_PERMISSIONS
+};
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+// API keys for registers and integrations, sent as a bearer token or X-API-Key. The prefix
+// identifies a key in lists and logs; only a hash of the whole key is stored. Keys can't be
+// given the account management permissions.
+const API_KEY_PREFIX = 'hsk_';
+const API_KEY_EXCLUDED_PERMISSIONS = ['user.manage', 'role.manage', 'api_key.manage'];
+
+// Left out of product and price data for users without report.view_costs
+const COST_FIELDS = ['cost_price', 'previous_cost_price', 'new_cost_price'];
+
+// Notification types and the roles that receive them unless changed by an admin
+const defaultNotificationSettings = [
+  ['critical_alert', 'admin,manager'],
+  ['low_stock_digest', 'manager'],
+  ['weekly_summary', 'admin,manager'],
+  ['alert_escalation', 'admin'],
+  ['security_alert', 'admin']
+];
+
+// Alert statuses that still need attention
+const OPEN_ALERT_STATUSES = ['active', 'acknowledged', 'snoozed'];
+const OPEN_ALERTS = `status IN (${OPEN_ALERT_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+// Unacknowledged critical alerts are escalated after this long
+const ALERT_ESCALATION_MINUTES = process.env.ALERT_ESCALATION_MINUTES
+  ? parseInt(process.env.ALERT_ESCALATION_MINUTES)
+  : 30;
+
+// Massachusetts sales tax: clothing items are exempt up to the threshold, and only the part of
+// an item's price above it is taxed. TAX_RATE is a fraction (0.0625); tax classes store percents.
+const DEFAULT_TAX_CLASS = 'standard';
+const SALES_TAX_RATE = parseFloat((parseFloat(process.env.TAX_RATE || '0.0625') * 100).toFixed(4));
+const defaultTaxClasses = [
+  ['standard', 'Standard rate', SALES_TAX_RATE, null],
+  ['clothing', 'Clothing', SALES_TAX_RATE, 175],
+  ['exempt', 'Exempt', 0, null]
+];
+const defaultCategoryTaxClasses = [['Apparel', 'clothing']];
+
+// Alert rule types, and the rules used when nothing more specific is configured. Thresholds:
+// overstock is the percentage above max_stock_level, price_change the percentage change in
+// sell price, no_sales a number of days and sales_spike a multiple of average daily units.
+const ALERT_RULE_TYPES = ['overstock', 'price_change', 'below_cost', 'no_sales', 'sales_spike'];
+const ALERT_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const defaultAlertRules = [
+  ['Overstock', 'overstock', 0, 'low', 168],
+  ['Large price change', 'price_change', 20, 'medium', 24],
+  ['Selling below cost', 'below_cost', 0, 'high', 24],
+  ['No sales in 30 days', 'no_sales', 30, 'low', 168],
+  ['Sales spike', 'sales_spike', 3, 'medium', 24]
+];
+
+let mailTransport;
+
+function getMailTransport() {
+  if (!process.env.EMAIL_HOST) return null;
+
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      ignoreTLS: process.env.EMAIL_IGNORE_TLS === 'true',
+      auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+    });
+  }
+  return mailTransport;
+}
+
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
     db = new sqlite3.Database(DB_PATH, (err) => {
@@ -103,8 +320,10 @@ function initializeDatabase() {
         reject(err);
       } else {
         console.log('✅ Connected to SQLite database');
-        createTables()
+        (AUTO_MIGRATE ? migrate(db) : checkSchema(db))
+          .then(() => insertDefaultData())
           .then(() => insertSampleData())
+          .then(() => loadCustomRoles())
           .then(resolve)
           .catch(reject);
       }
@@ -112,124 +331,407 @@ function initializeDatabase() {
   });
 }
 
-function createTables() {
+// Promise wrappers around the sqlite3 callback API for multi-step workflows. A write from
+// outside withTransaction() waits for any open transaction to finish; on the shared connection
+// it would otherwise become part of that transaction and be lost if it rolled back.
+function dbRun(sql, params = []) {
+  const transaction = activeTransaction.getStore();
+  if (transaction && transaction.open) {
+    return runStatement(sql, params);
+  }
+  return enqueueDatabaseWork(() => runStatement(sql, params));
+}
+
+function runStatement(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
   return new Promise((resolve, reject) => {
-    const tables = [
-      // Products table - core product information
-      `CREATE TABLE IF NOT EXISTS products (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        category TEXT NOT NULL,
-        supplier TEXT,
-        cost_price DECIMAL(10,2),
-        sell_price DECIMAL(10,2) NOT NULL,
-        description TEXT,
-        sku TEXT UNIQUE,
-        image_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Inventory table - stock levels and reorder information
-      `CREATE TABLE IF NOT EXISTS inventory (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        product_id INTEGER NOT NULL,
-        quantity INTEGER NOT NULL DEFAULT 0,
-        reorder_level INTEGER NOT NULL DEFAULT 10,
-        max_stock_level INTEGER DEFAULT 100,
-        last_restocked DATETIME,
-        location TEXT DEFAULT 'Main Store',
-        shelf_location TEXT,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
-      )`,
-      
-      // Sales table - transaction records
-      `CREATE TABLE IF NOT EXISTS sales (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        product_id INTEGER NOT NULL,
-        quantity_sold INTEGER NOT NULL,
-        unit_price DECIMAL(10,2) NOT NULL,
-        total_amount DECIMAL(10,2) NOT NULL,
-        sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        cashier_name TEXT,
-        payment_method TEXT DEFAULT 'cash',
-        transaction_id TEXT,
-        FOREIGN KEY (product_id) REFERENCES products (id)
-      )`,
-      
-      // Alerts table - low stock and other notifications
-      `CREATE TABLE IF NOT EXISTS alerts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        product_id INTEGER NOT NULL,
-        alert_type TEXT NOT NULL CHECK (alert_type IN ('low_stock', 'out_of_stock', 'overstock', 'price_change')),
-        message TEXT NOT NULL,
-        status TEXT DEFAULT 'active' CHECK (status IN ('active', 'resolved', 'dismissed')),
-        priority TEXT DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'critical')),
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        resolved_at DATETIME,
-        resolved_by TEXT,
-        FOREIGN KEY (product_id) REFERENCES products (id)
-      )`,
-      
-      // Users table - authentication and authorization
-      `CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        role TEXT DEFAULT 'staff' CHECK (role IN ('admin', 'manager', 'staff')),
-        first_name TEXT,
-        last_name TEXT,
-        phone TEXT,
-        is_active BOOLEAN DEFAULT 1,
-        last_login DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Stock movements table - audit trail for inventory changes
-      `CREATE TABLE IF NOT EXISTS stock_movements (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        product_id INTEGER NOT NULL,
-        movement_type TEXT NOT NULL CHECK (movement_type IN ('sale', 'restock', 'adjustment', 'return', 'damage')),
-        quantity_change INTEGER NOT NULL,
-        previous_quantity INTEGER NOT NULL,
-        new_quantity INTEGER NOT NULL,
-        reason TEXT,
-        user_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (product_id) REFERENCES products (id),
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )`
-    ];
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
 
-    let completed = 0;
-    const errors = [];
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
 
-    tables.forEach((sql, index) => {
-      db.run(sql, (err) => {
-        if (err) {
-          console.error(`❌ Error creating table ${index + 1}:`, err.message);
-          errors.push(err);
-        } else {
-          console.log(`✅ Table ${index + 1} created successfully`);
-        }
-        
-        completed++;
-        if (completed === tables.length) {
-          if (errors.length > 0) {
-            reject(new Error(`Failed to create ${errors.length} tables`));
-          } else {
-            console.log('✅ All database tables created successfully');
-            resolve();
-          }
-        }
-      });
+// Transactions and writes made outside them take turns on the shared connection, so two
+// requests never try to open a transaction at once and no write lands in another's.
+let databaseQueue = Promise.resolve();
+
+function enqueueDatabaseWork(task) {
+  const run = databaseQueue.then(task);
+  databaseQueue = run.catch(() => {});
+  return run;
+}
+
+// The transaction currently running, for code called from a withTransaction() callback
+const activeTransaction = new AsyncLocalStorage();
+
+// Runs `work` between BEGIN and COMMIT, rolling back if it throws
+function withTransaction(work) {
+  return enqueueDatabaseWork(() => {
+    const transaction = { events: [], open: true };
+    return activeTransaction.run(transaction, async () => {
+      await dbRun('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await dbRun('COMMIT');
+        transaction.open = false;
+        transaction.events.forEach(([type, data]) => publishEvent(type, data));
+        return result;
+      } catch (error) {
+        await dbRun('ROLLBACK').catch(() => {});
+        transaction.open = false;
+        throw error;
+      }
     });
   });
 }
 
+// Error carrying an HTTP status, thrown from workflows and translated by sendError()
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof HttpError) {
+    if (error.details && error.details.retry_after) {
+      res.set('Retry-After', String(error.details.retry_after));
+    }
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Live update events. Recent events are kept in memory so a reconnecting client can resume
+// from the last id it saw; ids carry a per-process prefix so ids from before a restart are
+// recognised. Events published from a withTransaction() callback are held until its COMMIT;
+// the callback's async context identifies them, so other requests' events go out right away.
+const EVENT_TOPICS = ['stock', 'product', 'sale', 'alert'];
+const EVENT_HISTORY_SIZE = 500;
+
+const eventStream = {
+  epoch: Date.now().toString(36),
+  sequence: 0,
+  history: [],
+  clients: new Set()
+};
+const eventListeners = [];
+
+// Registers an in-process handler called with every published event
+function onEvent(listener) {
+  eventListeners.push(listener);
+}
+
+function publishEvent(type, data) {
+  const transaction = activeTransaction.getStore();
+  if (transaction && transaction.open) {
+    transaction.events.push([type, data]);
+    return;
+  }
+
+  const sequence = ++eventStream.sequence;
+  const event = {
+    id: `${eventStream.epoch}-${sequence}`,
+    sequence,
+    topic: type.split('.')[0],
+    type,
+    data,
+    created_at: new Date().toISOString()
+  };
+
+  eventStream.history.push(event);
+  if (eventStream.history.length > EVENT_HISTORY_SIZE) {
+    eventStream.history.shift();
+  }
+
+  eventStream.clients.forEach(client => writeEvent(client, event));
+  eventListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`Event listener error (${type}):`, error);
+    }
+  });
+}
+
+function closeEventClient(client) {
+  if (!eventStream.clients.delete(client)) return;
+  clearInterval(client.heartbeat);
+  client.res.end();
+  console.log(`📡 Event stream closed by ${client.user}`);
+}
+
+// Streams opened with a session or API key end when it is revoked
+function closeEventStreams(matches) {
+  eventStream.clients.forEach(client => matches(client) && closeEventClient(client));
+}
+
+function writeEvent(client, event) {
+  if (!client.topics.includes(event.topic)) return;
+  if (client.location && event.data.location && event.data.location !== client.location) return;
+
+  const { type, data, created_at } = event;
+  client.res.write(`id: ${event.id}\nevent: ${event.topic}\ndata: ${JSON.stringify({ type, data, created_at })}\n\n`);
+}
+
+// Audit log. Every mutating API request is recorded once its response has been sent: who
+// made it, the route, the entity it touched with a before/after diff, and the request itself.
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// POST routes that only read
+const AUDIT_SKIPPED_ROUTES = ['/api/promotions/preview', '/api/labels'];
+// Redacted wherever they appear in a field name (refresh_token, totp_secret)
+const AUDIT_REDACTED_FIELDS = ['password', 'password_hash', 'token', 'secret', 'key_hash', 'recovery_code', 'challenge_token'];
+// Redacted only as the whole field name, so barcode and reason_code stay readable
+const AUDIT_REDACTED_EXACT_FIELDS = ['code'];
+const AUDIT_MAX_BODY = 10000;
+
+// Entity behind each API path. Rows of entities with a table (products with their stock) are
+// captured before and after the change; idField names the response field of a created entity,
+// and action overrides the name derived from the route.
+const AUDITED_ENTITIES = {
+  'alert-rules': { type: 'alert_rule', table: 'alert_rules' },
+  'alerts': { type: 'alert', table: 'alerts' },
+  'api-keys': { type: 'api_key', table: 'api_keys' },
+  'auth/2fa': { type: 'two_factor' },
+  'auth/login': { type: 'session' },
+  'auth/logout': { type: 'session', action: 'session.logout' },
+  'auth/refresh': { type: 'session', action: 'session.refresh' },
+  'auth/sessions': { type: 'session' },
+  'auth/register': { type: 'user', table: 'users', idField: 'userId' },
+  'auth/setup-password': { type: 'user', action: 'user.set_password' },
+  'count-sessions': { type: 'count_session', table: 'count_sessions' },
+  'forecast': { type: 'forecast' },
+  'locations': { type: 'location', table: 'locations' },
+  'markdowns': { type: 'markdown', table: 'markdowns' },
+  'notifications/deliveries': { type: 'email_delivery' },
+  'notifications/send': { type: 'notification' },
+  'notifications/settings': { type: 'notification_setting' },
+  'price-changes': { type: 'price_change', table: 'scheduled_price_changes' },
+  'products': { type: 'product', load: id => getProductWithStock(id) },
+  'promotions': { type: 'promotion', table: 'promotions' },
+  'purchase-orders': { type: 'purchase_order', table: 'purchase_orders' },
+  'receipts': { type: 'receipt' },
+  'returns': { type: 'return', idField: 'return_number' },
+  'roles': { type: 'role', table: 'roles' },
+  'sales': { type: 'sale', table: 'sales' },
+  'tax/categories': { type: 'tax_category' },
+  'tax/classes': { type: 'tax_class', table: 'tax_classes' },
+  'tax/exempt-customers': { type: 'tax_exempt_customer', table: 'tax_exempt_customers' },
+  'transactions': { type: 'transaction', idField: 'transaction_id' },
+  'transfers': { type: 'transfer', table: 'stock_transfers' },
+  'users': { type: 'user', table: 'users' },
+  'write-offs': { type: 'write_off', table: 'write_offs' }
+};
+const AUDIT_VERBS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Entity and action for a matched route, e.g. PUT /api/alerts/:id/resolve is alert.resolve
+function auditTarget(method, routePath) {
+  const segments = routePath.replace(/^\/api\//, '').split('/');
+  const prefix = Object.keys(AUDITED_ENTITIES)
+    .filter(key => segments.slice(0, key.split('/').length).join('/') === key)
+    .sort((a, b) => b.length - a.length)[0];
+  const entity = prefix ? AUDITED_ENTITIES[prefix] : { type: segments[0].replace(/-/g, '_') };
+  
+  const rest = segments.slice(prefix ? prefix.split('/').length : 1);
+  const words = rest.filter(segment => !segment.startsWith(':'));
+  const endsWithParam = rest.length === 0 || rest[rest.length - 1].startsWith(':');
+  
+  return {
+    entity,
+    action: entity.action || [entity.type, ...words, ...(endsWithParam ? [AUDIT_VERBS[method]] : [])].join('.')
+  };
+}
+
+function loadAuditEntity(entity, id) {
+  if (entity.load) return entity.load(id);
+  if (entity.table) return dbGet(`SELECT * FROM ${entity.table} WHERE id = ?`, [id]);
+  return Promise.resolve(null);
+}
+
+function redactForAudit(value) {
+  if (Array.isArray(value)) return value.map(redactForAudit);
+  if (!value || typeof value !== 'object') return value;
+  
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    AUDIT_REDACTED_EXACT_FIELDS.includes(key.toLowerCase()) ||
+    AUDIT_REDACTED_FIELDS.some(name => key.toLowerCase().includes(name)) ? '[redacted]' : redactForAudit(field)
+  ]));
+}
+
+// Changed fields as { field: { before, after } }; a create has no before, a delete no after
+function auditDiff(before, after) {
+  if (!before && !after) return null;
+  
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('updated_at');
+  const changes = {};
+  for (const field of fields) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+  return Object.keys(changes).length > 0 ? redactForAudit(changes) : null;
+}
+
+async function recordAudit(req, res, responseBody) {
+  if (!req.route) return;  // unmatched paths end in the 404 handler
+  
+  const route = `${req.baseUrl}${req.route.path}`;
+  if (AUDIT_SKIPPED_ROUTES.includes(route)) return;
+  
+  const { entity, action } = auditTarget(req.method, route);
+  const succeeded = res.statusCode < 400;
+  const paramId = req.params.id || Object.values(req.params)[0];
+  const createdId = succeeded && responseBody && (responseBody[entity.idField] || responseBody.id);
+  const entityId = paramId || createdId || null;
+  
+  const before = req.audit.before || null;
+  const after = succeeded && entityId && (entity.table || entity.load) ? await loadAuditEntity(entity, entityId) : null;
+  
+  // The actor is the token's user, or the account that just logged in
+  const actor = req.user || (responseBody && responseBody.user
+    ? { userId: responseBody.user.id, username: responseBody.user.username, role: responseBody.user.role }
+    : null);
+  const attemptedUsername = entity.type === 'session' && req.body ? req.body.username : null;
+  
+  const body = req.file ? { ...req.body, file: { name: req.file.originalname, size: req.file.size } } : req.body;
+  let requestBody = body && Object.keys(body).length > 0 ? JSON.stringify(redactForAudit(body)) : null;
+  if (requestBody && requestBody.length > AUDIT_MAX_BODY) {
+    requestBody = JSON.stringify({ truncated: true, length: requestBody.length });
+  }
+  const changes = succeeded ? auditDiff(redactForAudit(before), redactForAudit(after)) : null;
+  
+  await dbRun(
+    `INSERT INTO audit_log (request_id, user_id, api_key_id, username, role, action, method, route, path, entity_type, entity_id, 
+      status_code, changes, request_body, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      req.id, actor ? actor.userId : null, actor ? actor.apiKeyId || null : null,
+      actor ? actor.username : attemptedUsername || null,
+      actor ? actor.role : null, action, req.method, route, req.originalUrl, entity.type,
+      entityId !== null ? String(entityId) : null, res.statusCode, changes && JSON.stringify(changes), requestBody,
+      req.ip, req.get('User-Agent') || null
+    ]
+  );
+}
+
+// Registered ahead of the routes. The response body is captured to find the ID of a created
+// entity; the "before" row is loaded by the :id param handler once the route has matched.
+function auditRequests(req, res, next) {
+  if (!AUDITED_METHODS.includes(req.method)) return next();
+  
+  req.audit = {};
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+  
+  res.on('finish', () => {
+    recordAudit(req, res, responseBody).catch(error => console.error('Audit log error:', error));
+  });
+  next();
+}
+
+async function captureAuditBefore(req, res, next, id) {
+  if (!req.audit || !req.route) return next();
+  
+  try {
+    const { entity } = auditTarget(req.method, `${req.baseUrl}${req.route.path}`);
+    req.audit.before = await loadAuditEntity(entity, id);
+  } catch (error) {
+    console.error('Audit snapshot error:', error);
+  }
+  next();
+}
+
+// Default rows the app relies on. Runs on every startup and only adds what is missing.
+async function insertDefaultData() {
+  // Shop locations, plus any location already referenced by inventory rows
+  for (const [name, type] of defaultLocations) {
+    await dbRun("INSERT OR IGNORE INTO locations (name, location_type) VALUES (?, ?)", [name, type]);
+  }
+  await dbRun(
+    `INSERT OR IGNORE INTO locations (name)
+     SELECT DISTINCT location FROM inventory WHERE location IS NOT NULL`
+  );
+
+  // Products priced before price history existed start with their current prices
+  await dbRun(
+    `INSERT INTO price_history (product_id, sell_price, cost_price, change_source, changed_at)
+     SELECT id, sell_price, cost_price, 'initial', created_at FROM products
+     WHERE id NOT IN (SELECT product_id FROM price_history)`
+  );
+
+  const { count: ruleCount } = await dbGet("SELECT COUNT(*) as count FROM alert_rules");
+  if (ruleCount === 0) {
+    for (const [name, ruleType, threshold, priority, dedupHours] of defaultAlertRules) {
+      await dbRun(
+        "INSERT INTO alert_rules (name, rule_type, threshold, priority, dedup_hours) VALUES (?, ?, ?, ?, ?)",
+        [name, ruleType, threshold, priority, dedupHours]
+      );
+    }
+  }
+
+  const { count: taxClassCount } = await dbGet("SELECT COUNT(*) as count FROM tax_classes");
+  if (taxClassCount === 0) {
+    for (const [code, name, rate, threshold] of defaultTaxClasses) {
+      await dbRun(
+        "INSERT INTO tax_classes (code, name, rate, exemption_threshold) VALUES (?, ?, ?, ?)",
+        [code, name, rate, threshold]
+      );
+    }
+    for (const [category, code] of defaultCategoryTaxClasses) {
+      await dbRun(
+        "INSERT OR IGNORE INTO category_tax_classes (category, tax_class_id) SELECT ?, id FROM tax_classes WHERE code = ?",
+        [category, code]
+      );
+    }
+  }
+
+  // EMAIL_ADMIN receives every notification type by default
+  for (const [type, roles] of defaultNotificationSettings) {
+    await dbRun(
+      "INSERT OR IGNORE INTO notification_settings (notification_type, roles, extra_recipients) VALUES (?, ?, ?)",
+      [type, roles, process.env.EMAIL_ADMIN || null]
+    );
+  }
+}
+
 function insertSampleData() {
   return new Promise((resolve) => {
     // Check if data already exists
@@ -325,26 +827,76 @@ function insertSampleData() {
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(token, req)
+      .then(() => next())
+      .catch(error => sendError(res, error, 'Failed to verify API key'));
+  }
+
   jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      return res.status(403).json({
+        error: 'Invalid or expired token',
+        ...(err.name === 'TokenExpiredError' && { code: 'token_expired' })
+      });
     }
-    req.user = user;
-    next();
+
+    // A token stops working as soon as its session is revoked, the user is deactivated or
+    // their role changes, rather than when it expires
+    dbGet(
+      `SELECT s.revoked_at, u.is_active, u.role 
+       FROM user_sessions s 
+       JOIN users u ON s.user_id = u.id 
+       WHERE s.id = ?`,
+      [user.sid]
+    )
+      .then(session => {
+        if (!session || session.revoked_at || !session.is_active || session.role !== user.role) {
+          return res.status(401).json({ error: 'Session has ended, please log in again', code: 'session_revoked' });
+        }
+        req.user = user;
+        next();
+      })
+      .catch(error => sendError(res, error, 'Failed to verify session'));
   });
 };
 
-// Role-based authorization middleware
-const requireRole = (roles) => {
+// For the routes about the caller's own login sessions, which API keys don't have
+const requireUserSession = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res.status(400).json({ error: 'API keys have no sessions; revoke the key instead' });
+  }
+  next();
+};
+
+// Two-factor enrolment is open to a signed-in user, and mid-login to a user whose role requires
+// two-factor but who hasn't set it up, using the challenge token from the login response
+const authenticateEnrolment = (req, res, next) => {
+  if (!req.body.challenge_token) {
+    return authenticateToken(req, res, () => requireUserSession(req, res, next));
+  }
+  
+  verifyTwoFactorChallenge(req.body.challenge_token)
+    .then(user => {
+      req.user = { userId: user.id, username: user.username, role: user.role };
+      req.challengeUser = user;
+      next();
+    })
+    .catch(error => sendError(res, error, 'Failed to verify login challenge'));
+};
+
+// Permission-based authorization middleware; the user's role must grant every permission listed
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: 'Insufficient permissions', missing_permissions: missing });
     }
     next();
   };
@@ -363,40 +915,46 @@ app.get('/api/health', (req, res) => {
 });
 
 // Authentication Routes
+// Self-registration, when enabled, creates a staff account awaiting an admin's approval.
+// Otherwise accounts are created by invitation (POST /api/users/invite).
 app.post('/api/auth/register', async (req, res) => {
+  if (!ALLOW_SELF_REGISTRATION) {
+    return res.status(403).json({ error: 'Self-registration is disabled. Ask an administrator for an invitation.' });
+  }
+  
   try {
-    const { username, email, password, role = 'staff', firstName, lastName } = req.body;
+    const { username, email, password, firstName, lastName } = req.body;
 
     // Input validation
     if (!username || !email || !password) {
       return res.status(400).json({ error: 'Username, email, and password are required' });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
     }
 
     const hashedPassword = await bcrypt.hash(password, 12);
     
-    db.run(
-      `INSERT INTO users (username, email, password_hash, role, first_name, last_name) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [username, email, hashedPassword, role, firstName, lastName],
-      function(err) {
-        if (err) {
-          if (err.message.includes('UNIQUE')) {
-            return res.status(400).json({ error: 'Username or email already exists' });
-          }
-          return res.status(500).json({ error: 'Failed to create user' });
-        }
-        
-        console.log(`✅ New user registered: ${username} (${role})`);
-        res.status(201).json({ 
-          message: 'User created successfully', 
-          userId: this.lastID 
-        });
+    let userId;
+    try {
+      ({ lastID: userId } = await dbRun(
+        `INSERT INTO users (username, email, password_hash, role, first_name, last_name, is_active, pending_approval) 
+         VALUES (?, ?, ?, 'staff', ?, ?, 0, 1)`,
+        [username, email, hashedPassword, firstName, lastName]
+      ));
+    } catch (err) {
+      if (err.message.includes('UNIQUE')) {
+        return res.status(400).json({ error: 'Username or email already exists' });
       }
-    );
+      return res.status(500).json({ error: 'Failed to create user' });
+    }
+    
+    console.log(`✅ New user registered: ${username} (awaiting approval)`);
+    res.status(201).json({ 
+      message: 'Registration received. An administrator must approve the account before you can log in.', 
+      userId 
+    });
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -411,8 +969,14 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Username and password are required' });
     }
     
+    try {
+      await checkLoginThrottle(username, req.ip);
+    } catch (error) {
+      return sendError(res, error, 'Login failed');
+    }
+    
     db.get(
-      "SELECT * FROM users WHERE username = ? AND is_active = 1", 
+      "SELECT * FROM users WHERE username = ? AND (is_active = 1 OR pending_approval = 1)", 
       [username], 
       async (err, user) => {
         if (err) {
@@ -420,45 +984,32 @@ app.post('/api/auth/login', async (req, res) => {
           return res.status(500).json({ error: 'Internal server error' });
         }
 
-        if (!user) {
-          return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
         try {
-          const validPassword = await bcrypt.compare(password, user.password_hash);
-          if (!validPassword) {
+          const validPassword = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+          if (!user || !validPassword) {
+            await recordLoginFailure(username, req.ip);
             return res.status(401).json({ error: 'Invalid credentials' });
           }
 
-          // Update last login
-          db.run(
-            "UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?",
-            [user.id]
-          );
-
-          const token = jwt.sign(
-            { 
-              userId: user.id, 
-              username: user.username, 
-              role: user.role,
-              email: user.email
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-          );
-
-          console.log(`✅ User logged in: ${username}`);
-          res.json({ 
-            token, 
-            user: { 
-              id: user.id, 
-              username: user.username, 
-              email: user.email,
-              role: user.role,
-              firstName: user.first_name,
-              lastName: user.last_name
-            } 
-          });
+          if (user.pending_approval) {
+            return res.status(403).json({ error: 'Account is awaiting approval by an administrator' });
+          }
+
+          if (user.must_reset_password) {
+            return res.status(403).json({
+              error: 'Password reset required. Use the link sent to your email.',
+              password_reset_required: true
+            });
+          }
+
+          // The failure count is kept until the second factor is verified too
+          if (user.two_factor_enabled_at || twoFactorRequired(user)) {
+            console.log(`🔐 Two-factor challenge issued: ${username}`);
+            return res.json(twoFactorChallenge(user));
+          }
+
+          await clearLoginFailures(username);
+          res.json(await completeLogin(user, req));
         } catch (bcryptError) {
           console.error('Password comparison error:', bcryptError);
           res.status(500).json({ error: 'Authentication failed' });
@@ -471,746 +1022,7747 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Products Routes
-app.get('/api/products', (req, res) => {
-  const { category, search, sortBy = 'name', order = 'ASC' } = req.query;
-  
-  let sql = `
-    SELECT 
-      p.*,
-      i.quantity,
-      i.reorder_level,
-      i.max_stock_level,
-      i.last_restocked,
-      i.location,
-      i.shelf_location,
-      CASE 
-        WHEN i.quantity <= 0 THEN 'out_of_stock'
-        WHEN i.quantity <= i.reorder_level THEN 'low_stock'
-        WHEN i.quantity >= i.max_stock_level THEN 'overstock'
-        ELSE 'in_stock'
-      END as stock_status
-    FROM products p
-    LEFT JOIN inventory i ON p.id = i.product_id
-    WHERE 1=1
-  `;
-  
-  const params = [];
+// Exchanges a refresh token for a new access token and a new refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
   
-  if (category && category !== 'all') {
-    sql += ' AND p.category = ?';
-    params.push(category);
+  try {
+    if (!refresh_token) {
+      throw new HttpError(400, 'Refresh token is required');
+    }
+    
+    const { user, tokens } = await rotateSession(refresh_token, req);
+    req.user = { userId: user.id, username: user.username, role: user.role };
+    res.json(tokens);
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh session');
   }
-  
-  if (search) {
-    sql += ' AND (p.name LIKE ? OR p.description LIKE ? OR p.sku LIKE ?)';
-    const searchTerm = `%${search}%`;
-    params.push(searchTerm, searchTerm, searchTerm);
+});
+
+// Ends this session, or every session of the user with { "all_devices": true }
+app.post('/api/auth/logout', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(
+      req.user.userId,
+      req.body.all_devices ? 'logout_all' : 'logout',
+      req.body.all_devices ? null : req.user.sid
+    );
+    
+    console.log(`✅ User logged out: ${req.user.username}${req.body.all_devices ? ' (all devices)' : ''}`);
+    res.json({ message: 'Logged out successfully', sessions_revoked: revoked });
+  } catch (error) {
+    sendError(res, error, 'Failed to log out');
   }
-  
-  sql += ` ORDER BY ${sortBy} ${order}`;
-  
-  db.all(sql, params, (err, rows) => {
-    if (err) {
-      console.error('Products fetch error:', err);
-      return res.status(500).json({ error: 'Failed to fetch products' });
-    }
-    res.json(rows);
-  });
 });
 
-app.get('/api/products/:id', (req, res) => {
-  const sql = `
-    SELECT 
-      p.*,
-      i.quantity,
-      i.reorder_level,
-      i.max_stock_level,
-      i.last_restocked,
-      i.location,
-      i.shelf_location
-    FROM products p
-    LEFT JOIN inventory i ON p.id = i.product_id
-    WHERE p.id = ?
-  `;
-  
-  db.get(sql, [req.params.id], (err, row) => {
-    if (err) {
-      console.error('Product fetch error:', err);
-      return res.status(500).json({ error: 'Failed to fetch product' });
-    }
-    if (!row) {
-      return res.status(404).json({ error: 'Product not found' });
+app.get('/api/auth/sessions', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch sessions');
+  }
+});
+
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.user.userId, 'logout', req.params.sessionId);
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-    res.json(row);
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign out session');
+  }
+});
+
+// What the signed-in user may do, so the UI can hide actions they don't have
+app.get('/api/auth/permissions', authenticateToken, (req, res) => {
+  res.json({
+    role: req.user.role,
+    ...(req.user.apiKeyId && { api_key_id: req.user.apiKeyId, api_key_prefix: req.user.apiKeyPrefix }),
+    location: roleLocation(req.user),
+    permissions: userPermissions(req.user)
   });
 });
 
-app.post('/api/products', authenticateToken, requireRole(['admin', 'manager']), (req, res) => {
-  const { 
-    name, category, supplier, cost_price, sell_price, description, sku, 
-    quantity = 0, reorder_level = 10, max_stock_level = 100, location = 'Main Store' 
-  } = req.body;
-  
-  if (!name || !category || !sell_price) {
-    return res.status(400).json({ error: 'Name, category, and sell price are required' });
+app.get('/api/auth/2fa', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const user = await dbGet("SELECT * FROM users WHERE id = ?", [req.user.userId]);
+    res.json({
+      enabled: Boolean(user.two_factor_enabled_at),
+      enabled_at: user.two_factor_enabled_at,
+      required: twoFactorRequired(user),
+      setup_pending: Boolean(user.totp_secret && !user.two_factor_enabled_at),
+      recovery_codes_remaining: await countRecoveryCodes(user.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch two-factor status');
   }
-  
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
+});
+
+// Starts enrolment with a new secret, shown as an otpauth:// URI and a QR code to scan. Two-factor
+// isn't on until a code from the app is confirmed with POST /api/auth/2fa/enable.
+app.post('/api/auth/2fa/setup', authenticateEnrolment, async (req, res) => {
+  try {
+    const user = await dbGet("SELECT * FROM users WHERE id = ?", [req.user.userId]);
+    if (user.two_factor_enabled_at) {
+      throw new HttpError(409, 'Two-factor authentication is already enabled');
+    }
     
-    db.run(
-      `INSERT INTO products (name, category, supplier, cost_price, sell_price, description, sku) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [name, category, supplier, cost_price, sell_price, description, sku],
-      function(err) {
-        if (err) {
-          db.run('ROLLBACK');
-          if (err.message.includes('UNIQUE')) {
-            return res.status(400).json({ error: 'SKU already exists' });
-          }
-          return res.status(500).json({ error: 'Failed to create product' });
-        }
-        
-        const productId = this.lastID;
-        
-        db.run(
-          `INSERT INTO inventory (product_id, quantity, reorder_level, max_stock_level, location) 
-           VALUES (?, ?, ?, ?, ?)`,
-          [productId, quantity, reorder_level, max_stock_level, location],
-          function(err) {
-            if (err) {
-              db.run('ROLLBACK');
-              return res.status(500).json({ error: 'Failed to create inventory record' });
-            }
-            
-            // Log stock movement
-            if (quantity > 0) {
-              db.run(
-                `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id) 
-                 VALUES (?, 'restock', ?, 0, ?, 'Initial stock', ?)`,
-                [productId, quantity, quantity, req.user.userId]
-              );
-            }
-            
-            db.run('COMMIT');
-            console.log(`✅ New product created: ${name} (ID: ${productId})`);
-            res.status(201).json({ 
-              id: productId, 
-              message: 'Product created successfully' 
-            });
-          }
-        );
-      }
+    const secret = base32Encode(crypto.randomBytes(20));
+    await dbRun(
+      "UPDATE users SET totp_secret = ?, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [secret, user.id]
     );
-  });
+    
+    const uri = totpUri(user, secret);
+    const qrCode = bwipjs.toSVG({ bcid: 'qrcode', text: uri });
+    res.json({
+      secret,
+      otpauth_url: uri,
+      qr_code: `data:image/svg+xml;base64,${Buffer.from(qrCode).toString('base64')}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to start two-factor setup');
+  }
 });
 
-app.put('/api/products/:id', authenticateToken, requireRole(['admin', 'manager']), (req, res) => {
-  const { 
-    name, category, supplier, cost_price, sell_price, description, sku, 
-    quantity, reorder_level, max_stock_level, location 
-  } = req.body;
-  
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
+// Turns two-factor on once the first code checks out, returning the recovery codes. Enrolling
+// mid-login also completes the login, so there wrong codes count as failed logins.
+app.post('/api/auth/2fa/enable', authenticateEnrolment, async (req, res) => {
+  try {
+    const user = await dbGet("SELECT * FROM users WHERE id = ?", [req.user.userId]);
+    if (user.two_factor_enabled_at) {
+      throw new HttpError(409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.totp_secret) {
+      throw new HttpError(400, 'Start with POST /api/auth/2fa/setup');
+    }
     
-    db.run(
-      `UPDATE products SET 
-       name = ?, category = ?, supplier = ?, cost_price = ?, sell_price = ?, 
-       description = ?, sku = ?, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = ?`,
-      [name, category, supplier, cost_price, sell_price, description, sku, req.params.id],
-      function(err) {
-        if (err) {
-          db.run('ROLLBACK');
-          return res.status(400).json({ error: 'Failed to update product' });
-        }
-        
-        if (this.changes === 0) {
-          db.run('ROLLBACK');
-          return res.status(404).json({ error: 'Product not found' });
-        }
-        
-        // Get current quantity for stock movement logging
-        db.get(
-          "SELECT quantity FROM inventory WHERE product_id = ?",
-          [req.params.id],
-          (err, row) => {
-            if (err) {
-              db.run('ROLLBACK');
-              return res.status(500).json({ error: 'Failed to fetch current inventory' });
-            }
-            
-            const previousQuantity = row ? row.quantity : 0;
-            
-            db.run(
-              `UPDATE inventory SET 
-               quantity = ?, reorder_level = ?, max_stock_level = ?, location = ?, 
-               updated_at = CURRENT_TIMESTAMP 
-               WHERE product_id = ?`,
-              [quantity, reorder_level, max_stock_level, location, req.params.id],
-              function(err) {
-                if (err) {
-                  db.run('ROLLBACK');
-                  return res.status(500).json({ error: 'Failed to update inventory' });
-                }
-                
-                // Log stock movement if quantity changed
-                if (quantity !== previousQuantity) {
-                  const quantityChange = quantity - previousQuantity;
-                  const movementType = quantityChange > 0 ? 'adjustment' : 'adjustment';
-                  
-                  db.run(
-                    `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id) 
-                     VALUES (?, ?, ?, ?, ?, 'Manual adjustment', ?)`,
-                    [req.params.id, movementType, quantityChange, previousQuantity, quantity, req.user.userId]
-                  );
-                }
-                
-                db.run('COMMIT');
-                console.log(`✅ Product updated: ID ${req.params.id}`);
-                res.json({ message: 'Product updated successfully' });
-              }
-            );
-          }
-        );
+    if (req.challengeUser) {
+      await checkLoginThrottle(user.username, req.ip);
+    }
+    if (!await redeemTwoFactorCode(user, { code: req.body.code })) {
+      if (req.challengeUser) {
+        await recordLoginFailure(user.username, req.ip);
       }
-    );
-  });
+      throw new HttpError(400, 'Code is incorrect; check the time on your device and try again');
+    }
+    if (req.challengeUser) {
+      await clearLoginFailures(user.username);
+    }
+    
+    const recoveryCodes = await withTransaction(async () => {
+      await dbRun(
+        "UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [user.id]
+      );
+      return issueRecoveryCodes(user.id);
+    });
+    
+    console.log(`🔐 Two-factor enabled: ${user.username}`);
+    const enabled = await dbGet("SELECT * FROM users WHERE id = ?", [user.id]);
+    res.json({
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are not shown again.',
+      recovery_codes: recoveryCodes,
+      ...(req.challengeUser && await completeLogin(enabled, req))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to enable two-factor authentication');
+  }
 });
 
-app.delete('/api/products/:id', authenticateToken, requireRole(['admin']), (req, res) => {
-  db.run("DELETE FROM products WHERE id = ?", [req.params.id], function(err) {
-    if (err) {
-      console.error('Product deletion error:', err);
-      return res.status(500).json({ error: 'Failed to delete product' });
+// Second login step: the challenge token from POST /api/auth/login with an authenticator code or
+// a recovery code. Wrong codes count as failed logins.
+app.post('/api/auth/2fa/verify', async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body;
+  
+  try {
+    if (!challenge_token || (!code && !recovery_code)) {
+      throw new HttpError(400, 'challenge_token and a code or recovery_code are required');
     }
     
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Product not found' });
+    const user = await verifyTwoFactorChallenge(challenge_token);
+    req.user = { userId: user.id, username: user.username, role: user.role };
+    if (!user.two_factor_enabled_at) {
+      throw new HttpError(400, 'Two-factor authentication is not set up yet', { code: 'two_factor_setup_required' });
     }
     
-    console.log(`✅ Product deleted: ID ${req.params.id}`);
-    res.json({ message: 'Product deleted successfully' });
-  });
+    await checkLoginThrottle(user.username, req.ip);
+    const method = await redeemTwoFactorCode(user, { code, recovery_code });
+    if (!method) {
+      await recordLoginFailure(user.username, req.ip);
+      throw new HttpError(401, 'Invalid verification code');
+    }
+    await clearLoginFailures(user.username);
+    
+    const login = await completeLogin(user, req);
+    if (method === 'recovery_code') {
+      login.recovery_codes_remaining = await countRecoveryCodes(user.id);
+      console.log(`🔐 Recovery code used: ${user.username} (${login.recovery_codes_remaining} left)`);
+    }
+    res.json(login);
+  } catch (error) {
+    sendError(res, error, 'Failed to verify code');
+  }
 });
 
-// Upload product image
-app.post('/api/products/:id/image', authenticateToken, upload.single('image'), (req, res) => {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+// Replaces the recovery codes, e.g. when they've run low; needs a current authenticator code
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const user = await dbGet("SELECT * FROM users WHERE id = ?", [req.user.userId]);
+    if (!user.two_factor_enabled_at) {
+      throw new HttpError(400, 'Two-factor authentication is not enabled');
+    }
+    if (!await redeemTwoFactorCode(user, { code: req.body.code })) {
+      throw new HttpError(400, 'Code is incorrect');
     }
-  
-    const productId = req.params.id;
-    const imageUrl = `/uploads/${req.file.filename}`;
     
-    db.run(
-      "UPDATE products SET image_url = ? WHERE id = ?",
-      [imageUrl, productId],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: err.message });
-        }
-        
-        if (this.changes === 0) {
-          return res.status(404).json({ error: 'Product not found' });
-        }
-        
-        console.log(`✅ Image uploaded for product ${productId}: ${imageUrl}`);
-        res.json({ 
-          message: 'Image uploaded successfully', 
-          imageUrl: imageUrl 
-        });
-      }
-    );
-  });
-  
-  // Bulk import products from CSV
-  app.post('/api/products/import', authenticateToken, upload.single('csvFile'), (req, res) => {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No CSV file uploaded' });
+    const recoveryCodes = await withTransaction(() => issueRecoveryCodes(user.id));
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    sendError(res, error, 'Failed to replace recovery codes');
+  }
+});
+
+// Turns two-factor off after confirming the password. Not possible where the role requires it.
+app.delete('/api/auth/2fa', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const user = await dbGet("SELECT * FROM users WHERE id = ?", [req.user.userId]);
+    if (twoFactorRequired(user)) {
+      throw new HttpError(403, `Two-factor authentication is required for the ${user.role} role`);
+    }
+    if (!req.body.password || !await bcrypt.compare(req.body.password, user.password_hash)) {
+      throw new HttpError(400, 'Password is incorrect');
     }
-  
-    const results = [];
     
-    fs.createReadStream(req.file.path)
-      .pipe(csvParser())
-      .on('data', (data) => results.push(data))
-      .on('end', () => {
-        // Process CSV data and insert into database
-        let insertedCount = 0;
-        const errors = [];
-        
-        results.forEach((row, index) => {
-          const { name, category, supplier, cost_price, sell_price, description, sku, quantity, reorder_level } = row;
-          
-          if (!name || !category || !sell_price) {
-            errors.push(`Row ${index + 1}: Missing required fields`);
-            return;
-          }
-          
-          db.run(
-            "INSERT INTO products (name, category, supplier, cost_price, sell_price, description, sku) VALUES (?, ?, ?, ?, ?, ?, ?)",
-            [name, category, supplier, parseFloat(cost_price) || 0, parseFloat(sell_price), description, sku],
-            function(err) {
-              if (err) {
-                errors.push(`Row ${index + 1}: ${err.message}`);
-              } else {
-                const productId = this.lastID;
-                
-                // Add inventory record
-                db.run(
-                  "INSERT INTO inventory (product_id, quantity, reorder_level) VALUES (?, ?, ?)",
-                  [productId, parseInt(quantity) || 0, parseInt(reorder_level) || 10]
-                );
-                
-                insertedCount++;
-              }
-            }
-          );
-        });
-        
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
-        
-        res.json({
-          message: 'CSV import completed',
-          totalRows: results.length,
-          insertedCount: insertedCount,
-          errors: errors
-        });
-      });
-  });
+    await disableTwoFactor(user.id);
+    console.log(`🔐 Two-factor disabled: ${user.username}`);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// Completes an invitation or password reset with the token from the emailed link
+app.post('/api/auth/setup-password', async (req, res) => {
+  const { token, password } = req.body;
   
-  // Export products to CSV
-  app.get('/api/products/export', authenticateToken, (req, res) => {
-    const sql = `
-      SELECT 
-        p.name, p.category, p.supplier, p.cost_price, p.sell_price, 
-        p.description, p.sku, i.quantity, i.reorder_level
-      FROM products p
-      LEFT JOIN inventory i ON p.id = i.product_id
-      ORDER BY p.name
-    `;
+  try {
+    if (!token || !password) {
+      throw new HttpError(400, 'Token and password are required');
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
     
-    db.all(sql, (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
+    const passwordHash = await bcrypt.hash(password, 12);
+    
+    const user = await withTransaction(async () => {
+      const record = await dbGet(
+        `SELECT * FROM user_tokens 
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [hashToken(token)]
+      );
+      if (!record) {
+        throw new HttpError(400, 'This link is invalid or has expired');
       }
       
-      // Convert to CSV format
-      const csvHeader = 'Name,Category,Supplier,Cost Price,Sell Price,Description,SKU,Quantity,Reorder Level\n';
-      const csvRows = rows.map(row => {
-        return [
-          `"${row.name || ''}"`,
-          `"${row.category || ''}"`,
-          `"${row.supplier || ''}"`,
-          row.cost_price || 0,
-          row.sell_price || 0,
-          `"${row.description || ''}"`,
-          `"${row.sku || ''}"`,
-          row.quantity || 0,
-          row.reorder_level || 0
-        ].join(',');
-      }).join('\n');
-      
-      const csvContent = csvHeader + csvRows;
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename="harvard-shop-inventory.csv"');
-      res.send(csvContent);
+      await dbRun("UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?", [record.id]);
+      await dbRun(
+        `UPDATE users SET password_hash = ?, must_reset_password = 0, locked_until = NULL, 
+         is_active = CASE WHEN ? = 'invite' THEN 1 ELSE is_active END, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [passwordHash, record.purpose, record.user_id]
+      );
+      await revokeSessions(record.user_id, 'password_changed');
+      return dbGet("SELECT id, username FROM users WHERE id = ?", [record.user_id]);
     });
-  });
-// Sales Routes
-app.get('/api/sales', authenticateToken, (req, res) => {
-  const { startDate, endDate, limit = 100 } = req.query;
+    await clearLoginFailures(user.username);
+    
+    console.log(`✅ Password set: ${user.username}`);
+    res.json({ message: 'Password set successfully. You can now log in.', username: user.username });
+  } catch (error) {
+    sendError(res, error, 'Failed to set password');
+  }
+});
+
+// Failed logins from the audit log, grouped by the username tried and the address they came
+// from, with the accounts that are locked right now
+app.get('/api/auth/login-failures', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  const hours = parseInt(req.query.hours) || 24;
   
-  let sql = `
-    SELECT 
-      s.*,
-      p.name as product_name,
-      p.category,
-      p.sku
-    FROM sales s
-    JOIN products p ON s.product_id = p.id
-    WHERE 1=1
-  `;
+  try {
+    const failures = await dbAll(
+      `SELECT username, ip_address, COUNT(*) as failures, MAX(created_at) as last_failure_at,
+        GROUP_CONCAT(DISTINCT status_code) as status_codes
+       FROM audit_log 
+       WHERE route IN ('/api/auth/login', '/api/auth/2fa/verify') AND status_code >= 400 
+         AND created_at >= DATETIME('now', ?)
+       GROUP BY username, ip_address
+       ORDER BY failures DESC, last_failure_at DESC`,
+      [`-${hours} hours`]
+    );
+    const lockedUsers = await dbAll(
+      `SELECT ${USER_COLUMNS} FROM users WHERE locked_until > CURRENT_TIMESTAMP ORDER BY locked_until`
+    );
+    
+    res.json({ period_hours: hours, failures, locked_users: lockedUsers });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch login failures');
+  }
+});
+
+// User Management Routes
+app.get('/api/users', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  const { search, role, status, limit = 100 } = req.query;
   
+  let sql = `SELECT ${USER_COLUMNS} FROM users WHERE 1=1`;
   const params = [];
   
-  if (startDate) {
-    sql += ' AND DATE(s.sale_date) >= ?';
-    params.push(startDate);
+  if (search) {
+    sql += ' AND (username LIKE ? OR email LIKE ? OR first_name LIKE ? OR last_name LIKE ?)';
+    const searchTerm = `%${search}%`;
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
   }
   
-  if (endDate) {
-    sql += ' AND DATE(s.sale_date) <= ?';
-    params.push(endDate);
+  if (role) {
+    sql += ' AND role = ?';
+    params.push(role);
+  }
+  
+  if (status) {
+    sql += ` AND ${USER_STATUS} = ?`;
+    params.push(status);
   }
   
-  sql += ' ORDER BY s.sale_date DESC LIMIT ?';
+  sql += ' ORDER BY username LIMIT ?';
   params.push(parseInt(limit));
   
-  db.all(sql, params, (err, rows) => {
-    if (err) {
-      console.error('Sales fetch error:', err);
-      return res.status(500).json({ error: 'Failed to fetch sales' });
+  try {
+    res.json(await dbAll(sql, params));
+  } catch (error) {
+    console.error('Users fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.get('/api/users/:id', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    res.json(rows);
-  });
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch user');
+  }
 });
 
-app.post('/api/sales', authenticateToken, (req, res) => {
-  const { product_id, quantity_sold, unit_price, cashier_name, payment_method = 'cash' } = req.body;
+// Creates an inactive account and emails a one-time link for the user to choose a password.
+// Without email configured, the link is returned for the admin to pass on.
+app.post('/api/users/invite', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  const { email, role = 'staff', first_name, last_name } = req.body;
+  const username = req.body.username || (email && email.split('@')[0]);
   
-  if (!product_id || !quantity_sold || !unit_price || quantity_sold <= 0) {
-    return res.status(400).json({ error: 'Valid product ID, quantity, and unit price are required' });
+  try {
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      throw new HttpError(400, 'A valid email is required');
+    }
+    requireAssignableRole(req.user, role);
+    
+    const { user, token } = await withTransaction(async () => {
+      const existing = await dbGet("SELECT id FROM users WHERE username = ? OR email = ?", [username, email]);
+      if (existing) {
+        throw new HttpError(400, 'Username or email already exists', { user_id: existing.id });
+      }
+      
+      // Unusable until the invitation is accepted
+      const placeholderHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+      const { lastID } = await dbRun(
+        `INSERT INTO users (username, email, password_hash, role, first_name, last_name, is_active, invited_by) 
+         VALUES (?, ?, ?, ?, ?, ?, 0, ?)`,
+        [username, email, placeholderHash, role, first_name, last_name, req.user.userId]
+      );
+      
+      const token = await issueUserToken(lastID, 'invite', req.user.userId);
+      return { user: await dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [lastID]), token };
+    });
+    
+    const delivery = await sendAccountEmail(user, 'invite', token);
+    
+    console.log(`✅ User invited: ${username} (${role})`);
+    res.status(201).json({ ...user, email_delivery: delivery, ...(!delivery && { setup_url: setupUrl(token) }) });
+  } catch (error) {
+    sendError(res, error, 'Failed to invite user');
   }
+});
+
+app.put('/api/users/:id/role', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  const { role } = req.body;
   
-  const total_amount = parseFloat((quantity_sold * unit_price).toFixed(2));
-  
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
+  try {
+    requireAssignableRole(req.user, role);
     
-    // Check inventory availability
-    db.get(
-      "SELECT quantity, reorder_level FROM inventory WHERE product_id = ?",
-      [product_id],
-      (err, row) => {
-        if (err || !row) {
-          db.run('ROLLBACK');
-          return res.status(400).json({ error: 'Product not found in inventory' });
-        }
-        
-        if (row.quantity < quantity_sold) {
-          db.run('ROLLBACK');
-          return res.status(400).json({ 
-            error: 'Insufficient inventory',
-            available: row.quantity,
-            requested: quantity_sold
-          });
-        }
-        
-        const previousQuantity = row.quantity;
-        const newQuantity = previousQuantity - quantity_sold;
-        
-        // Record the sale
-        db.run(
-          `INSERT INTO sales (product_id, quantity_sold, unit_price, total_amount, cashier_name, payment_method) 
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [product_id, quantity_sold, unit_price, total_amount, cashier_name, payment_method],
-          function(err) {
-            if (err) {
-              db.run('ROLLBACK');
-              console.error('Sale recording error:', err);
-              return res.status(500).json({ error: 'Failed to record sale' });
-            }
-            
-            const saleId = this.lastID;
-            
-            // Update inventory
-            db.run(
-              "UPDATE inventory SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ?",
-              [newQuantity, product_id],
-              (err) => {
-                if (err) {
-                  db.run('ROLLBACK');
-                  return res.status(500).json({ error: 'Failed to update inventory' });
-                }
-                
-                // Log stock movement
-                db.run(
-                  `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id) 
-                   VALUES (?, 'sale', ?, ?, ?, ?, ?)`,
-                  [product_id, -quantity_sold, previousQuantity, newQuantity, `Sale #${saleId}`, req.user.userId],
-                  (err) => {
-                    if (err) {
-                      console.error('Stock movement logging error:', err);
-                    }
-                    
-                    db.run('COMMIT');
-                    
-                    // Check for low stock alert
-                    if (newQuantity <= row.reorder_level) {
-                      createLowStockAlert(product_id, newQuantity, row.reorder_level);
-                    }
-                    
-                    console.log(`✅ Sale recorded: Product ${product_id}, Quantity ${quantity_sold}, Total ${total_amount}`);
-                    res.status(201).json({ 
-                      id: saleId, 
-                      message: 'Sale recorded successfully',
-                      newQuantity: newQuantity,
-                      lowStockAlert: newQuantity <= row.reorder_level
-                    });
-                  }
-                );
-              }
-            );
-          }
-        );
+    const user = await withTransaction(async () => {
+      const user = await requireManageableUser(req.user, req.params.id);
+      if (user.role === 'admin' && role !== 'admin') {
+        await requireAnotherAdmin(user);
       }
-    );
-  });
+      
+      await dbRun("UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [role, user.id]);
+      if (role !== user.role) {
+        await revokeSessions(user.id, 'role_changed');
+      }
+      return dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user.id]);
+    });
+    
+    console.log(`✅ Role changed: ${user.username} is now ${role}`);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Failed to change role');
+  }
 });
 
-// Analytics Routes
-app.get('/api/analytics/dashboard', (req, res) => {
-  const queries = {
-    totalProducts: "SELECT COUNT(*) as count FROM products",
-    totalValue: `
-      SELECT COALESCE(SUM(i.quantity * p.sell_price), 0) as total 
-      FROM inventory i 
-      JOIN products p ON i.product_id = p.id
-    `,
-    lowStockCount: "SELECT COUNT(*) as count FROM inventory WHERE quantity <= reorder_level",
-    outOfStockCount: "SELECT COUNT(*) as count FROM inventory WHERE quantity = 0",
-    todaySales: `
-      SELECT 
-        COUNT(*) as count, 
-        COALESCE(SUM(total_amount), 0) as revenue 
-      FROM sales 
-      WHERE DATE(sale_date) = DATE('now')
-    `,
-    weekSales: `
-      SELECT 
-        COUNT(*) as count, 
-        COALESCE(SUM(total_amount), 0) as revenue 
-      FROM sales 
-      WHERE sale_date >= DATE('now', '-7 days')
-    `,
-    monthSales: `
-      SELECT 
-        COUNT(*) as count, 
-        COALESCE(SUM(total_amount), 0) as revenue 
-      FROM sales 
-      WHERE sale_date >= DATE('now', '-30 days')
-    `,
-    topSellingProduct: `
+// Deactivated users can no longer log in; their unused invitation or reset links stop working
+app.put('/api/users/:id/deactivate', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await withTransaction(async () => {
+      const user = await requireManageableUser(req.user, req.params.id);
+      if (user.id === req.user.userId) {
+        throw new HttpError(400, 'You cannot deactivate your own account');
+      }
+      if (user.role === 'admin') {
+        await requireAnotherAdmin(user);
+      }
+      
+      await dbRun(
+        `UPDATE users SET is_active = 0, pending_approval = 0, deactivated_at = CURRENT_TIMESTAMP, 
+         updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [user.id]
+      );
+      await dbRun("UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL", [user.id]);
+      await revokeSessions(user.id, 'deactivated');
+      return dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user.id]);
+    });
+    
+    console.log(`✅ User deactivated: ${user.username}`);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Failed to deactivate user');
+  }
+});
+
+// Reactivates a user, or approves a pending self-registration
+app.put('/api/users/:id/activate', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await requireManageableUser(req.user, req.params.id);
+    if (user.status === 'invited') {
+      throw new HttpError(400, 'User has not accepted their invitation yet');
+    }
+    
+    await dbRun(
+      `UPDATE users SET is_active = 1, pending_approval = 0, deactivated_at = NULL, 
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [user.id]
+    );
+    
+    console.log(`✅ User activated: ${user.username}`);
+    res.json(await dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user.id]));
+  } catch (error) {
+    sendError(res, error, 'Failed to activate user');
+  }
+});
+
+// Lifts a lockout from too many failed logins before it runs out
+app.put('/api/users/:id/unlock', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await requireManageableUser(req.user, req.params.id);
+    
+    await dbRun("UPDATE users SET locked_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [user.id]);
+    await clearLoginFailures(user.username);
+    
+    console.log(`✅ User unlocked: ${user.username}`);
+    res.json(await dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user.id]));
+  } catch (error) {
+    sendError(res, error, 'Failed to unlock user');
+  }
+});
+
+// For a user who has lost their authenticator and recovery codes. Their sessions end, and if
+// their role requires two-factor they enrol again at their next login.
+app.delete('/api/users/:id/2fa', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await requireManageableUser(req.user, req.params.id);
+    
+    await disableTwoFactor(user.id);
+    await revokeSessions(user.id, 'two_factor_reset');
+    
+    console.log(`🔐 Two-factor reset: ${user.username} by ${req.user.username}`);
+    res.json(await dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user.id]));
+  } catch (error) {
+    sendError(res, error, 'Failed to reset two-factor authentication');
+  }
+});
+
+app.get('/api/users/:id/sessions', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await requireUser(req.params.id);
+    res.json(await listSessions(user.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch sessions');
+  }
+});
+
+// Signs a user out everywhere
+app.delete('/api/users/:id/sessions', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await requireManageableUser(req.user, req.params.id);
+    const revoked = await revokeSessions(user.id, 'revoked_by_admin');
+    
+    console.log(`✅ Sessions revoked: ${user.username} (${revoked})`);
+    res.json({ message: 'Sessions revoked', sessions_revoked: revoked });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke sessions');
+  }
+});
+
+// Blocks login until the user sets a new password through the emailed link. For a user who
+// never accepted their invitation, the invitation is sent again instead.
+app.post('/api/users/:id/reset-password', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await requireManageableUser(req.user, req.params.id);
+    if (user.status === 'inactive') {
+      throw new HttpError(400, 'Activate the user before resetting their password');
+    }
+    
+    const purpose = user.status === 'invited' ? 'invite' : 'password_reset';
+    const token = await withTransaction(async () => {
+      if (purpose === 'password_reset') {
+        await dbRun(
+          "UPDATE users SET must_reset_password = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [user.id]
+        );
+        await revokeSessions(user.id, 'password_reset');
+      }
+      return issueUserToken(user.id, purpose, req.user.userId);
+    });
+    
+    const delivery = await sendAccountEmail(user, purpose, token);
+    
+    console.log(`✅ ${purpose === 'invite' ? 'Invitation resent' : 'Password reset required'}: ${user.username}`);
+    res.json({
+      message: purpose === 'invite' ? 'Invitation sent again' : 'Password reset required',
+      email_delivery: delivery,
+      ...(!delivery && { setup_url: setupUrl(token) })
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset password');
+  }
+});
+
+// Role Routes
+// The permission catalogue, for building custom roles
+app.get('/api/permissions', authenticateToken, requirePermission('role.manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// Built-in roles first, then custom ones, each with the number of users holding it
+app.get('/api/roles', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    res.json(await listRoles());
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch roles');
+  }
+});
+
+app.post('/api/roles', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  const { name, description, location } = req.body;
+  
+  try {
+    if (!ROLE_NAME_PATTERN.test(name || '')) {
+      throw new HttpError(400, 'Role name must be 2-40 lowercase letters, digits or underscores, starting with a letter');
+    }
+    if (getRole(name)) {
+      throw new HttpError(400, `Role ${name} already exists`);
+    }
+    const permissions = validateRolePermissions(req.body.permissions);
+    const scope = location ? await requireLocation(location) : null;
+    requireGrantable(req.user, `The ${name} role`, permissions, scope);
+    
+    await dbRun(
+      "INSERT INTO roles (name, description, permissions, location, created_by) VALUES (?, ?, ?, ?, ?)",
+      [name, description || null, JSON.stringify(permissions), scope, req.user.userId]
+    );
+    await loadCustomRoles();
+    
+    console.log(`✅ Role created: ${name} by ${req.user.username}`);
+    res.status(201).json(getRole(name));
+  } catch (error) {
+    sendError(res, error, 'Failed to create role');
+  }
+});
+
+// Changes apply to signed-in users on their next request. Built-in roles can't be edited.
+app.put('/api/roles/:id', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  const { description, location } = req.body;
+  
+  try {
+    const role = await dbGet("SELECT * FROM roles WHERE id = ?", [req.params.id]);
+    if (!role) {
+      throw new HttpError(404, 'Role not found');
+    }
+    requireGrantable(req.user, `The ${role.name} role`, JSON.parse(role.permissions), role.location);
+    
+    const permissions = req.body.permissions === undefined
+      ? JSON.parse(role.permissions)
+      : validateRolePermissions(req.body.permissions);
+    let scope = role.location;
+    if (location !== undefined) {
+      scope = location ? await requireLocation(location) : null;
+    }
+    requireGrantable(req.user, `The ${role.name} role`, permissions, scope);
+    
+    await dbRun(
+      "UPDATE roles SET description = ?, permissions = ?, location = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [description === undefined ? role.description : description, JSON.stringify(permissions), scope, role.id]
+    );
+    await loadCustomRoles();
+    
+    console.log(`✅ Role updated: ${role.name} by ${req.user.username}`);
+    res.json(getRole(role.name));
+  } catch (error) {
+    sendError(res, error, 'Failed to update role');
+  }
+});
+
+app.delete('/api/roles/:id', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const role = await dbGet("SELECT * FROM roles WHERE id = ?", [req.params.id]);
+    if (!role) {
+      throw new HttpError(404, 'Role not found');
+    }
+    
+    const { count } = await dbGet("SELECT COUNT(*) as count FROM users WHERE role = ?", [role.name]);
+    if (count > 0) {
+      throw new HttpError(409, 'Role is still assigned to users; give them another role first', { user_count: count });
+    }
+    
+    await dbRun("DELETE FROM roles WHERE id = ?", [role.id]);
+    await loadCustomRoles();
+    
+    console.log(`✅ Role deleted: ${role.name} by ${req.user.username}`);
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete role');
+  }
+});
+
+// API Key Routes
+app.get('/api/api-keys', authenticateToken, requirePermission('api_key.manage'), async (req, res) => {
+  const { status } = req.query;
+  
+  try {
+    const keys = await getApiKeys();
+    res.json(status ? keys.filter(key => key.status === status) : keys);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+// The key itself is only returned here; afterwards it is known by its prefix
+app.post('/api/api-keys', authenticateToken, requirePermission('api_key.manage'), async (req, res) => {
+  const { name, location, expires_at } = req.body;
+  
+  try {
+    if (!name || !String(name).trim()) {
+      throw new HttpError(400, 'A name is required, e.g. the register or integration using the key');
+    }
+    const scopes = validateApiKeyScopes(req.body.scopes);
+    const allowedIps = validateAllowedIps(req.body.allowed_ips);
+    const scope = location ? await requireLocation(location) : null;
+    requireGrantable(req.user, 'The key', scopes, scope);
+    const expiresAt = expires_at ? toDbTimestamp(expires_at) : null;
+    if (expires_at && !expiresAt) {
+      throw new HttpError(400, 'Invalid expires_at date');
+    }
+    
+    const keyPrefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${keyPrefix}_${crypto.randomBytes(24).toString('base64url')}`;
+    const { lastID } = await dbRun(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, location, allowed_ips, expires_at, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [String(name).trim(), keyPrefix, hashToken(key), JSON.stringify(scopes), scope,
+        allowedIps.length > 0 ? JSON.stringify(allowedIps) : null, expiresAt, req.user.userId]
+    );
+    
+    const [apiKey] = await getApiKeys('k.id = ?', [lastID]);
+    console.log(`✅ API key created: ${apiKey.name} (${keyPrefix}) by ${req.user.username}`);
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+app.put('/api/api-keys/:id', authenticateToken, requirePermission('api_key.manage'), async (req, res) => {
+  const { name, location, expires_at } = req.body;
+  
+  try {
+    const apiKey = await dbGet("SELECT * FROM api_keys WHERE id = ?", [req.params.id]);
+    if (!apiKey) {
+      throw new HttpError(404, 'API key not found');
+    }
+    if (apiKey.revoked_at) {
+      throw new HttpError(400, 'Cannot change a revoked API key');
+    }
+    requireGrantable(req.user, 'The key', JSON.parse(apiKey.scopes), apiKey.location);
+    
+    const scopes = req.body.scopes === undefined ? JSON.parse(apiKey.scopes) : validateApiKeyScopes(req.body.scopes);
+    let allowedIps = apiKey.allowed_ips;
+    if (req.body.allowed_ips !== undefined) {
+      const addresses = validateAllowedIps(req.body.allowed_ips);
+      allowedIps = addresses.length > 0 ? JSON.stringify(addresses) : null;
+    }
+    let scope = apiKey.location;
+    if (location !== undefined) {
+      scope = location ? await requireLocation(location) : null;
+    }
+    requireGrantable(req.user, 'The key', scopes, scope);
+    let expiresAt = apiKey.expires_at;
+    if (expires_at !== undefined) {
+      expiresAt = expires_at ? toDbTimestamp(expires_at) : null;
+      if (expires_at && !expiresAt) {
+        throw new HttpError(400, 'Invalid expires_at date');
+      }
+    }
+    
+    await dbRun(
+      `UPDATE api_keys SET name = COALESCE(?, name), scopes = ?, location = ?, allowed_ips = ?, 
+       expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [name ? String(name).trim() : null, JSON.stringify(scopes), scope, allowedIps, expiresAt, apiKey.id]
+    );
+    
+    const [updated] = await getApiKeys('k.id = ?', [apiKey.id]);
+    console.log(`✅ API key updated: ${updated.name} (${updated.key_prefix}) by ${req.user.username}`);
+    res.json(updated);
+  } catch (error) {
+    sendError(res, error, 'Failed to update API key');
+  }
+});
+
+// Revoked keys stop working at once but are kept, so past sales and movements still name them
+app.delete('/api/api-keys/:id', authenticateToken, requirePermission('api_key.manage'), async (req, res) => {
+  try {
+    const { changes } = await dbRun(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ? AND revoked_at IS NULL`,
+      [req.user.userId, req.params.id]
+    );
+    if (changes === 0) {
+      throw new HttpError(404, 'No active API key with this ID');
+    }
+    closeEventStreams(client => client.apiKeyId === parseInt(req.params.id));
+    
+    const [apiKey] = await getApiKeys('k.id = ?', [req.params.id]);
+    console.log(`✅ API key revoked: ${apiKey.name} (${apiKey.key_prefix}) by ${req.user.username}`);
+    res.json(apiKey);
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+// Products Routes
+app.get('/api/products', authenticateToken, requirePermission('product.view'), async (req, res) => {
+  const { category, search, location, parent_id, variants, sortBy = 'name', order = 'ASC' } = req.query;
+  
+  let sql = `
+    SELECT 
+      p.*,
+      (SELECT COUNT(*) FROM products v WHERE v.parent_id = p.id) as variant_count,
+      COALESCE(st.quantity, 0) as quantity,
+      st.reorder_level,
+      st.max_stock_level,
+      st.last_restocked,
+      COALESCE(st.location_count, 0) as location_count,
+      ${stockStatusCase('COALESCE(st.quantity, 0)', 'st.reorder_level', 'st.max_stock_level')} as stock_status
+    FROM products p
+    LEFT JOIN (
       SELECT 
-        p.name,
-        SUM(s.quantity_sold) as total_sold,
-        SUM(s.total_amount) as total_revenue
-      FROM sales s
-      JOIN products p ON s.product_id = p.id
-      WHERE s.sale_date >= DATE('now', '-30 days')
-      GROUP BY s.product_id, p.name
-      ORDER BY total_sold DESC
-      LIMIT 1
-    `
+        product_id,
+        SUM(quantity) as quantity,
+        SUM(reorder_level) as reorder_level,
+        SUM(max_stock_level) as max_stock_level,
+        MAX(last_restocked) as last_restocked,
+        COUNT(*) as location_count
+      FROM inventory
+      ${location ? 'WHERE location = ?' : ''}
+      GROUP BY product_id
+    ) st ON p.id = st.product_id
+    WHERE 1=1
+  `;
+  
+  const params = location ? [location] : [];
+  
+  if (location) {
+    sql += ' AND st.product_id IS NOT NULL';
+  }
+  
+  if (category && category !== 'all') {
+    sql += ' AND p.category = ?';
+    params.push(category);
+  }
+  
+  if (search) {
+    sql += ` AND (p.name LIKE ? OR p.description LIKE ? OR p.sku LIKE ? 
+      OR p.id IN (SELECT product_id FROM product_barcodes WHERE barcode = ?))`;
+    const searchTerm = `%${search}%`;
+    params.push(searchTerm, searchTerm, searchTerm, search.trim());
+  }
+  
+  if (parent_id) {
+    sql += ' AND p.parent_id = ?';
+    params.push(parent_id);
+  }
+  
+  // variants=exclude lists parents and standalone products only
+  if (variants === 'exclude') {
+    sql += ' AND p.parent_id IS NULL';
+  }
+  
+  sql += ` ORDER BY ${sortBy} ${order}`;
+  
+  try {
+    const rows = await dbAll(sql, params);
+    res.json(hideCosts(req, await attachLocationBreakdown(rows, location)));
+  } catch (error) {
+    console.error('Products fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+app.get('/api/products/:id', authenticateToken, requirePermission('product.view'), async (req, res) => {
+  try {
+    const product = await getProductWithStock(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(hideCosts(req, product));
+  } catch (error) {
+    console.error('Product fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch product' });
+  }
+});
+
+app.post('/api/products', authenticateToken, requirePermission('product.write'), async (req, res) => {
+  const { 
+    name, category, supplier, cost_price, sell_price, description, sku, lead_time_days = 7,
+    quantity = 0, reorder_level = 10, max_stock_level = 100, location = DEFAULT_LOCATION 
+  } = req.body;
+  
+  if (!name || !category || !sell_price) {
+    return res.status(400).json({ error: 'Name, category, and sell price are required' });
+  }
+  
+  try {
+    await requireLocation(location);
+    requireLocationAccess(req.user, location);
+  } catch (error) {
+    return sendError(res, error, 'Failed to validate location');
+  }
+  
+  try {
+    const productId = await withTransaction(async () => {
+      const { lastID } = await dbRun(
+        `INSERT INTO products (name, category, supplier, cost_price, sell_price, description, sku, lead_time_days) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, category, supplier, cost_price, sell_price, description, sku, lead_time_days]
+      ).catch(err => {
+        throw err.message.includes('UNIQUE') ? new HttpError(400, 'SKU already exists') : err;
+      });
+      
+      await dbRun(
+        `INSERT INTO price_history (product_id, sell_price, cost_price, change_source, user_id) 
+         VALUES (?, ?, ?, 'initial', ?)`,
+        [lastID, sell_price, cost_price, req.user.userId]
+      );
+      
+      await dbRun(
+        `INSERT INTO inventory (product_id, quantity, reorder_level, max_stock_level, location) 
+         VALUES (?, ?, ?, ?, ?)`,
+        [lastID, quantity, reorder_level, max_stock_level, location]
+      );
+      
+      // Log stock movement
+      if (quantity > 0) {
+        await dbRun(
+          `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id, api_key_id, location) 
+           VALUES (?, 'restock', ?, 0, ?, 'Initial stock', ?, ?, ?)`,
+          [lastID, quantity, quantity, req.user.userId, req.user.apiKeyId || null, location]
+        );
+      }
+      
+      publishEvent('product.created', { product_id: lastID, name, sku, category, location, quantity });
+      return lastID;
+    });
+    
+    console.log(`✅ New product created: ${name} (ID: ${productId})`);
+    res.status(201).json({ 
+      id: productId, 
+      message: 'Product created successfully' 
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create product');
+  }
+});
+
+// Stock fields apply to the inventory row at `location` (Main Store by default)
+app.put('/api/products/:id', authenticateToken, requirePermission('product.write'), async (req, res) => {
+  const { 
+    name, category, supplier, sell_price, description, sku, lead_time_days,
+    quantity, reorder_level, max_stock_level, location = DEFAULT_LOCATION 
+  } = req.body;
+  let { cost_price } = req.body;
+  
+  let existing;
+  try {
+    await requireLocation(location);
+    requireLocationAccess(req.user, location);
+    existing = await dbGet("SELECT sell_price, cost_price FROM products WHERE id = ?", [req.params.id]);
+    
+    if (existing) {
+      // Users who can't see the cost price can't overwrite it either
+      if (!hasPermission(req.user, 'report.view_costs')) {
+        cost_price = existing.cost_price;
+      }
+      const priceChanged = !priceMatches(sell_price, existing.sell_price) || !priceMatches(cost_price || 0, existing.cost_price || 0);
+      if (priceChanged && !hasPermission(req.user, 'price.change')) {
+        throw new HttpError(403, 'Insufficient permissions', { missing_permissions: ['price.change'] });
+      }
+    }
+  } catch (error) {
+    return sendError(res, error, 'Failed to validate product update');
+  }
+  
+  try {
+    await withTransaction(async () => {
+      const { changes } = await dbRun(
+        `UPDATE products SET 
+         name = ?, category = ?, supplier = ?, cost_price = ?, sell_price = ?, 
+         description = ?, sku = ?, lead_time_days = COALESCE(?, lead_time_days), 
+         price_override = CASE 
+           WHEN parent_id IS NULL THEN NULL
+           WHEN ABS(? - (SELECT parent.sell_price FROM products parent WHERE parent.id = products.parent_id)) < 0.005 THEN NULL
+           ELSE ? 
+         END,
+         updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [name, category, supplier, cost_price, sell_price, description, sku, lead_time_days, sell_price, sell_price, req.params.id]
+      ).catch(() => {
+        throw new HttpError(400, 'Failed to update product');
+      });
+      
+      if (changes === 0) {
+        throw new HttpError(404, 'Product not found');
+      }
+      
+      if (!priceMatches(sell_price, existing.sell_price) || !priceMatches(cost_price || 0, existing.cost_price || 0)) {
+        await dbRun(
+          `INSERT INTO price_history (product_id, sell_price, cost_price, previous_sell_price, previous_cost_price, change_source, user_id) 
+           VALUES (?, ?, ?, ?, ?, 'manual', ?)`,
+          [req.params.id, sell_price, cost_price, existing.sell_price, existing.cost_price, req.user.userId]
+        );
+        
+        // Variants without a price override follow the parent's prices
+        await dbRun(
+          `INSERT INTO price_history (product_id, sell_price, cost_price, previous_sell_price, previous_cost_price, change_source, user_id) 
+           SELECT id, ?, ?, sell_price, cost_price, 'manual', ? FROM products WHERE parent_id = ? AND price_override IS NULL`,
+          [sell_price, cost_price, req.user.userId, req.params.id]
+        );
+        await dbRun(
+          "UPDATE products SET sell_price = ?, cost_price = ?, updated_at = CURRENT_TIMESTAMP WHERE parent_id = ? AND price_override IS NULL",
+          [sell_price, cost_price, req.params.id]
+        );
+      }
+      
+      // Get current quantity for stock movement logging
+      const row = await dbGet(
+        "SELECT quantity FROM inventory WHERE product_id = ? AND location = ?",
+        [req.params.id, location]
+      );
+      const previousQuantity = row ? row.quantity : 0;
+      
+      await dbRun(
+        `INSERT INTO inventory (product_id, quantity, reorder_level, max_stock_level, location) 
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (product_id, location) DO UPDATE SET 
+         quantity = excluded.quantity, reorder_level = excluded.reorder_level, 
+         max_stock_level = excluded.max_stock_level, updated_at = CURRENT_TIMESTAMP`,
+        [req.params.id, quantity, reorder_level, max_stock_level, location]
+      );
+      
+      // Log stock movement if quantity changed
+      if (quantity !== previousQuantity) {
+        await dbRun(
+          `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id, api_key_id, location) 
+           VALUES (?, 'adjustment', ?, ?, ?, 'Manual adjustment', ?, ?, ?)`,
+          [req.params.id, quantity - previousQuantity, previousQuantity, quantity, req.user.userId, req.user.apiKeyId || null, location]
+        );
+      }
+      
+      const productId = parseInt(req.params.id);
+      publishEvent('product.updated', {
+        product_id: productId, name, sku, category, sell_price, location, quantity, reorder_level, max_stock_level,
+        previous_sell_price: existing ? existing.sell_price : null
+      });
+      if (quantity !== previousQuantity) {
+        publishEvent('stock.changed', {
+          product_id: productId,
+          location,
+          previous_quantity: previousQuantity,
+          new_quantity: quantity,
+          change: quantity - previousQuantity,
+          movement_type: 'adjustment',
+          reorder_level,
+          user_id: req.user.userId
+        });
+      }
+    });
+    
+    console.log(`✅ Product updated: ID ${req.params.id}`);
+    res.json({ message: 'Product updated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to update product');
+  }
+});
+
+app.delete('/api/products/:id', authenticateToken, requirePermission('product.delete'), async (req, res) => {
+  try {
+    const variants = await dbGet("SELECT COUNT(*) as count FROM products WHERE parent_id = ?", [req.params.id]);
+    if (variants.count > 0) {
+      throw new HttpError(400, 'Delete the product\'s variants first', { variant_count: variants.count });
+    }
+    
+    const { changes } = await withTransaction(async () => {
+      await dbRun("DELETE FROM product_barcodes WHERE product_id = ?", [req.params.id]);
+      return dbRun("DELETE FROM products WHERE id = ?", [req.params.id]);
+    });
+    if (changes === 0) {
+      throw new HttpError(404, 'Product not found');
+    }
+    
+    console.log(`✅ Product deleted: ID ${req.params.id}`);
+    res.json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete product');
+  }
+});
+
+// Upload product image
+app.post('/api/products/:id/image', authenticateToken, requirePermission('product.write'), upload.single('image'), async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+  
+    const productId = req.params.id;
+    const imageUrl = `/uploads/${req.file.filename}`;
+    
+    try {
+      const { changes } = await dbRun("UPDATE products SET image_url = ? WHERE id = ?", [imageUrl, productId]);
+      if (changes === 0) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      
+      console.log(`✅ Image uploaded for product ${productId}: ${imageUrl}`);
+      res.json({ 
+        message: 'Image uploaded successfully', 
+        imageUrl: imageUrl 
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // Bulk import products from CSV
+  app.post('/api/products/import', authenticateToken, requirePermission('product.import'), upload.single('csvFile'), (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
+  
+    const results = [];
+    
+    fs.createReadStream(req.file.path)
+      .pipe(csvParser())
+      .on('data', (data) => results.push(data))
+      .on('end', async () => {
+        // Process CSV data and insert into database, each row on its own
+        let insertedCount = 0;
+        const errors = [];
+        
+        for (const [index, row] of results.entries()) {
+          const { name, category, supplier, cost_price, sell_price, description, sku, quantity, reorder_level, location } = row;
+          
+          if (!name || !category || !sell_price) {
+            errors.push(`Row ${index + 1}: Missing required fields`);
+            continue;
+          }
+          
+          const rowLocation = location || DEFAULT_LOCATION;
+          const stock = parseInt(quantity) || 0;
+          
+          try {
+            await requireLocation(rowLocation);
+            requireLocationAccess(req.user, rowLocation);
+            if (stock < 0) {
+              throw new HttpError(400, 'Quantity cannot be negative');
+            }
+            
+            await withTransaction(async () => {
+              const { lastID: productId } = await dbRun(
+                "INSERT INTO products (name, category, supplier, cost_price, sell_price, description, sku) VALUES (?, ?, ?, ?, ?, ?, ?)",
+                [name, category, supplier, parseFloat(cost_price) || 0, parseFloat(sell_price), description, sku]
+              );
+              
+              await dbRun(
+                "INSERT INTO price_history (product_id, sell_price, cost_price, change_source, user_id) VALUES (?, ?, ?, 'import', ?)",
+                [productId, parseFloat(sell_price), parseFloat(cost_price) || 0, req.user.userId]
+              );
+              
+              // Add inventory record, then book the opening stock as a movement
+              await dbRun(
+                "INSERT INTO inventory (product_id, quantity, reorder_level, location) VALUES (?, 0, ?, ?)",
+                [productId, parseInt(reorder_level) || 10, rowLocation]
+              );
+              if (stock > 0) {
+                await adjustStock({
+                  productId,
+                  change: stock,
+                  movementType: 'restock',
+                  reason: 'Initial stock (CSV import)',
+                  userId: req.user.userId,
+                  apiKeyId: req.user.apiKeyId || null,
+                  location: rowLocation
+                });
+              }
+              publishEvent('product.created', {
+                product_id: productId,
+                name,
+                sku,
+                category,
+                location: rowLocation,
+                quantity: stock,
+                source: 'import'
+              });
+            });
+            insertedCount++;
+          } catch (err) {
+            errors.push(`Row ${index + 1}: ${err.message}`);
+          }
+        }
+        
+        // Clean up uploaded file
+        fs.unlinkSync(req.file.path);
+        
+        res.json({
+          message: 'CSV import completed',
+          totalRows: results.length,
+          insertedCount: insertedCount,
+          errors: errors
+        });
+      });
+  });
+  
+  // Export products to CSV
+  app.get('/api/products/export', authenticateToken, requirePermission('product.export'), (req, res) => {
+    const sql = `
+      SELECT 
+        p.name, p.category, p.supplier, p.cost_price, p.sell_price, 
+        p.description, p.sku, SUM(i.quantity) as quantity, SUM(i.reorder_level) as reorder_level
+      FROM products p
+      LEFT JOIN inventory i ON p.id = i.product_id
+      GROUP BY p.id
+      ORDER BY p.name
+    `;
+    
+    db.all(sql, (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      
+      // Convert to CSV format, with the cost column left blank for users who can't see costs
+      const showCosts = hasPermission(req.user, 'report.view_costs');
+      const csvHeader = 'Name,Category,Supplier,Cost Price,Sell Price,Description,SKU,Quantity,Reorder Level\n';
+      const csvRows = rows.map(row => {
+        return [
+          `"${row.name || ''}"`,
+          `"${row.category || ''}"`,
+          `"${row.supplier || ''}"`,
+          showCosts ? row.cost_price || 0 : '',
+          row.sell_price || 0,
+          `"${row.description || ''}"`,
+          `"${row.sku || ''}"`,
+          row.quantity || 0,
+          row.reorder_level || 0
+        ].join(',');
+      }).join('\n');
+      
+      const csvContent = csvHeader + csvRows;
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="harvard-shop-inventory.csv"');
+      res.send(csvContent);
+    });
+  });
+// Product Variant Routes
+function variantCode(value) {
+  return String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+}
+
+// Every combination of the option values, e.g. [{ size: 'S', color: 'Crimson' }, ...]
+function variantCombinations(options) {
+  return options.reduce(
+    (combinations, option) => combinations.flatMap(combination =>
+      option.values.map(value => ({ ...combination, [option.name]: value }))),
+    [{}]
+  );
+}
+
+function validateVariantOptions(options) {
+  if (!Array.isArray(options) || options.length === 0 || options.length > 3) {
+    throw new HttpError(400, 'Between one and three variant options are required, e.g. [{ "name": "size", "values": ["S", "M"] }]');
+  }
+  
+  return options.map(option => {
+    const name = option && String(option.name || '').trim().toLowerCase();
+    const values = Array.isArray(option && option.values)
+      ? [...new Set(option.values.map(value => String(value).trim()).filter(Boolean))]
+      : [];
+    
+    if (!/^[a-z0-9_]+$/.test(name) || values.length === 0) {
+      throw new HttpError(400, 'Each variant option needs a name (letters, digits, underscores) and at least one value');
+    }
+    return { name, values };
+  });
+}
+
+// Variant matrix: variants with stock, plus a grid of the first two options
+async function getVariantMatrix(parent) {
+  const options = parent.variant_options ? JSON.parse(parent.variant_options) : [];
+  const variants = await dbAll(
+    `SELECT 
+       p.id, p.sku, p.name, p.sell_price, p.cost_price, p.price_override, p.variant_attributes,
+       COALESCE(SUM(i.quantity), 0) as quantity,
+       SUM(i.reorder_level) as reorder_level
+     FROM products p
+     LEFT JOIN inventory i ON p.id = i.product_id
+     WHERE p.parent_id = ?
+     GROUP BY p.id
+     ORDER BY p.id`,
+    [parent.id]
+  );
+  const withLocations = (await attachLocationBreakdown(variants))
+    .map(variant => ({ ...variant, variant_attributes: JSON.parse(variant.variant_attributes) }));
+  
+  const [rowOption, columnOption] = options;
+  const cell = attributes => {
+    const variant = withLocations.find(candidate =>
+      Object.entries(attributes).every(([name, value]) => candidate.variant_attributes[name] === value));
+    return variant ? { variant_id: variant.id, sku: variant.sku, sell_price: variant.sell_price, quantity: variant.quantity } : null;
+  };
+  const matrix = rowOption
+    ? {
+      rows: rowOption.name,
+      columns: columnOption ? columnOption.name : null,
+      column_values: columnOption ? columnOption.values : [],
+      data: rowOption.values.map(rowValue => ({
+        [rowOption.name]: rowValue,
+        cells: columnOption
+          ? columnOption.values.map(columnValue => cell({ [rowOption.name]: rowValue, [columnOption.name]: columnValue }))
+          : [cell({ [rowOption.name]: rowValue })]
+      }))
+    }
+    : null;
+  
+  const { quantity: unassigned } = await dbGet(
+    "SELECT COALESCE(SUM(quantity), 0) as quantity FROM inventory WHERE product_id = ?",
+    [parent.id]
+  );
+  
+  return {
+    product_id: parent.id,
+    name: parent.name,
+    sku: parent.sku,
+    sell_price: parent.sell_price,
+    options,
+    variants: withLocations,
+    matrix,
+    total_quantity: withLocations.reduce((sum, variant) => sum + variant.quantity, 0),
+    unassigned_quantity: unassigned
+  };
+}
+
+app.get('/api/products/:id/variants', authenticateToken, requirePermission('product.view'), async (req, res) => {
+  try {
+    const parent = await dbGet("SELECT * FROM products WHERE id = ?", [req.params.id]);
+    if (!parent) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (parent.parent_id) {
+      return res.status(400).json({ error: 'Product is itself a variant', parent_id: parent.parent_id });
+    }
+    
+    const variants = await getVariantMatrix(parent);
+    hideCosts(req, variants.variants);
+    res.json(variants);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch variants');
+  }
+});
+
+// Generates the variant matrix for a parent product. Options are merged with any existing
+// ones, so adding a size only creates the new combinations. price_overrides sets the price of
+// matching variants, e.g. [{ "attributes": { "size": "XXL" }, "price": 70 }].
+app.post('/api/products/:id/variants', authenticateToken, requirePermission('product.write'), async (req, res) => {
+  const { options, price_overrides = [], reorder_level = 10, max_stock_level = 100, location = DEFAULT_LOCATION } = req.body;
+  
+  try {
+    const requested = validateVariantOptions(options);
+    
+    const { parent, created } = await withTransaction(async () => {
+      await requireLocation(location);
+      requireLocationAccess(req.user, location);
+      
+      const parent = await dbGet("SELECT * FROM products WHERE id = ?", [req.params.id]);
+      if (!parent) {
+        throw new HttpError(404, 'Product not found');
+      }
+      if (parent.parent_id) {
+        throw new HttpError(400, 'A variant cannot have variants of its own');
+      }
+      
+      const existingOptions = parent.variant_options ? JSON.parse(parent.variant_options) : [];
+      if (existingOptions.length > 0 &&
+          (existingOptions.length !== requested.length || existingOptions.some(option => !requested.find(r => r.name === option.name)))) {
+        throw new HttpError(400, 'Variant options must match the existing ones', {
+          options: existingOptions.map(option => option.name)
+        });
+      }
+      
+      const merged = (existingOptions.length > 0 ? existingOptions : requested).map(option => {
+        const added = requested.find(r => r.name === option.name).values;
+        return { name: option.name, values: [...new Set([...option.values, ...added])] };
+      });
+      
+      const existing = await dbAll("SELECT variant_attributes FROM products WHERE parent_id = ?", [parent.id]);
+      const existingKeys = new Set(existing.map(variant => JSON.stringify(JSON.parse(variant.variant_attributes))));
+      const created = [];
+      
+      for (const attributes of variantCombinations(merged)) {
+        if (existingKeys.has(JSON.stringify(attributes))) continue;
+        
+        const override = price_overrides.find(candidate => candidate && candidate.attributes &&
+          Object.entries(candidate.attributes).every(([name, value]) => attributes[name] === String(value)));
+        const priceOverride = override ? parseFloat(override.price) : null;
+        if (override && (isNaN(priceOverride) || priceOverride < 0)) {
+          throw new HttpError(400, 'Price overrides must be non-negative numbers');
+        }
+        
+        const values = merged.map(option => attributes[option.name]);
+        const sku = parent.sku ? `${parent.sku}-${values.map(variantCode).join('-')}` : null;
+        const sellPrice = priceOverride !== null ? priceOverride : parent.sell_price;
+        
+        const existingSku = sku && await dbGet("SELECT id FROM products WHERE sku = ?", [sku]);
+        if (existingSku) {
+          throw new HttpError(400, `SKU ${sku} already exists`, { product_id: existingSku.id });
+        }
+        
+        const { lastID: variantId } = await dbRun(
+          `INSERT INTO products (name, category, supplier, cost_price, sell_price, description, sku, lead_time_days, 
+            parent_id, variant_attributes, price_override) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            `${parent.name} - ${values.join(' / ')}`, parent.category, parent.supplier, parent.cost_price, sellPrice,
+            parent.description, sku, parent.lead_time_days, parent.id, JSON.stringify(attributes), priceOverride
+          ]
+        );
+        await recordPriceHistory(variantId, { sellPrice, costPrice: parent.cost_price, source: 'initial', userId: req.user.userId });
+        await dbRun(
+          "INSERT INTO inventory (product_id, quantity, reorder_level, max_stock_level, location) VALUES (?, 0, ?, ?, ?)",
+          [variantId, reorder_level, max_stock_level, location]
+        );
+        
+        publishEvent('product.created', {
+          product_id: variantId, parent_id: parent.id, name: `${parent.name} - ${values.join(' / ')}`,
+          sku, category: parent.category, sell_price: sellPrice, location, quantity: 0
+        });
+        created.push({ id: variantId, sku, variant_attributes: attributes, sell_price: sellPrice });
+      }
+      
+      await dbRun(
+        "UPDATE products SET variant_options = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [JSON.stringify(merged), parent.id]
+      );
+      // Stock is held by the variants now, so the parent no longer raises low-stock alerts
+      await dbRun("UPDATE inventory SET reorder_level = 0, updated_at = CURRENT_TIMESTAMP WHERE product_id = ?", [parent.id]);
+      
+      return { parent: await dbGet("SELECT * FROM products WHERE id = ?", [parent.id]), created };
+    });
+    
+    console.log(`✅ Variants generated: ${parent.name}, ${created.length} new`);
+    res.status(201).json({ created, ...(await getVariantMatrix(parent)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to generate variants');
+  }
+});
+
+// Barcode Routes
+// Scanner lookup: exact match on a registered barcode or SKU
+app.get('/api/barcodes/:code', authenticateToken, requirePermission('product.view'), async (req, res) => {
+  try {
+    const match = await findProductByBarcode(req.params.code);
+    if (!match) {
+      return res.status(404).json({ error: 'No product with this barcode', barcode: req.params.code });
+    }
+    
+    const product = await getProductWithStock(match.product_id);
+    res.json(hideCosts(req, { ...product, matched_barcode: match.barcode, symbology: match.symbology }));
+  } catch (error) {
+    sendError(res, error, 'Failed to look up barcode');
+  }
+});
+
+app.get('/api/products/:id/barcodes', authenticateToken, requirePermission('product.view'), async (req, res) => {
+  try {
+    const product = await dbGet("SELECT id, sku FROM products WHERE id = ?", [req.params.id]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    const barcodes = await dbAll(
+      "SELECT * FROM product_barcodes WHERE product_id = ? ORDER BY is_primary DESC, id",
+      [product.id]
+    );
+    res.json({ product_id: product.id, barcodes, internal: product.sku ? { barcode: product.sku, symbology: 'code128' } : null });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch barcodes');
+  }
+});
+
+// Symbology is detected from the length when not given (12 digits UPC-A, 13 EAN-13, 8 EAN-8)
+app.post('/api/products/:id/barcodes', authenticateToken, requirePermission('product.write'), async (req, res) => {
+  const barcode = String(req.body.barcode || '').trim();
+  const { is_primary = false } = req.body;
+  
+  try {
+    if (!barcode) {
+      throw new HttpError(400, 'Barcode is required');
+    }
+    const symbology = validateBarcode(barcode, req.body.symbology);
+    
+    const created = await withTransaction(async () => {
+      const product = await dbGet("SELECT id FROM products WHERE id = ?", [req.params.id]);
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+      
+      const existing = await findProductByBarcode(barcode);
+      if (existing) {
+        throw new HttpError(400, 'Barcode is already assigned', existing);
+      }
+      
+      const { count } = await dbGet("SELECT COUNT(*) as count FROM product_barcodes WHERE product_id = ?", [product.id]);
+      const primary = is_primary || count === 0;
+      if (primary) {
+        await dbRun("UPDATE product_barcodes SET is_primary = 0 WHERE product_id = ?", [product.id]);
+      }
+      
+      const { lastID } = await dbRun(
+        "INSERT INTO product_barcodes (product_id, barcode, symbology, is_primary) VALUES (?, ?, ?, ?)",
+        [product.id, barcode, symbology, primary ? 1 : 0]
+      );
+      return dbGet("SELECT * FROM product_barcodes WHERE id = ?", [lastID]);
+    });
+    
+    console.log(`✅ Barcode added: ${barcode} (${symbology}) for product ${req.params.id}`);
+    res.status(201).json(created);
+  } catch (error) {
+    sendError(res, error, 'Failed to add barcode');
+  }
+});
+
+app.delete('/api/products/:id/barcodes/:barcodeId', authenticateToken, requirePermission('product.write'), async (req, res) => {
+  try {
+    const { changes } = await dbRun(
+      "DELETE FROM product_barcodes WHERE id = ? AND product_id = ?",
+      [req.params.barcodeId, req.params.id]
+    );
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Barcode not found' });
+    }
+    
+    res.json({ message: 'Barcode removed successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove barcode');
+  }
+});
+
+// Label sheets: shelf labels or price tags (type) as a PDF or an SVG page (format), for
+// product_ids (copies each) or for everything received on received_on. For received stock,
+// price tags are printed one per unit and shelf labels one per product.
+app.post('/api/labels', authenticateToken, requirePermission('label.print'), async (req, res) => {
+  const { product_ids, received_on, location, type = 'shelf', format = 'pdf', copies = 1, page = 1 } = req.body;
+  
+  try {
+    if (!LABEL_LAYOUTS[type]) {
+      throw new HttpError(400, `Type must be one of ${Object.keys(LABEL_LAYOUTS).join(', ')}`);
+    }
+    if (!LABEL_FORMATS.includes(format)) {
+      throw new HttpError(400, `Format must be one of ${LABEL_FORMATS.join(', ')}`);
+    }
+    
+    let requested;
+    if (Array.isArray(product_ids) && product_ids.length > 0) {
+      const count = Math.max(1, parseInt(copies) || 1);
+      if (count > MAX_LABELS) {
+        throw new HttpError(400, `Copies must be at most ${MAX_LABELS}`);
+      }
+      requested = product_ids.map(id => ({ product_id: parseInt(id), count }));
+    } else if (received_on) {
+      const receipts = await dbAll(
+        `SELECT product_id, SUM(quantity_change) as quantity
+         FROM stock_movements
+         WHERE movement_type = 'restock' AND reference_type = 'purchase_order' AND DATE(created_at) = DATE(?)
+         ${location ? 'AND location = ?' : ''}
+         GROUP BY product_id
+         ORDER BY product_id`,
+        location ? [received_on, location] : [received_on]
+      );
+      requested = receipts.map(receipt => ({ product_id: receipt.product_id, count: type === 'price' ? receipt.quantity : 1 }));
+    } else {
+      throw new HttpError(400, 'product_ids or received_on is required');
+    }
+    
+    // Counted before any labels are built, as a sheet of a few million would exhaust memory
+    const labelCount = requested.reduce((sum, item) => sum + item.count, 0);
+    if (labelCount > MAX_LABELS) {
+      throw new HttpError(400, `At most ${MAX_LABELS} labels can be printed at once`, { requested: labelCount });
+    }
+    
+    const ids = [...new Set(requested.map(item => item.product_id))];
+    const products = ids.length > 0
+      ? await dbAll(
+        `SELECT p.id, p.name, p.sku, p.sell_price, pb.barcode, pb.symbology
+         FROM products p
+         LEFT JOIN product_barcodes pb ON pb.id = (
+           SELECT id FROM product_barcodes WHERE product_id = p.id ORDER BY is_primary DESC, id LIMIT 1
+         )
+         WHERE p.id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      )
+      : [];
+    
+    const missing = ids.filter(id => !products.find(product => product.id === id));
+    if (missing.length > 0) {
+      throw new HttpError(400, 'Unknown products', { product_ids: missing });
+    }
+    
+    // Products without a registered barcode are labelled with their SKU
+    const labels = requested.flatMap(item => {
+      const product = products.find(candidate => candidate.id === item.product_id);
+      const label = {
+        ...product,
+        barcode: product.barcode || product.sku,
+        symbology: product.barcode ? product.symbology : 'code128'
+      };
+      return Array(item.count).fill(label);
+    });
+    
+    if (labels.length === 0) {
+      throw new HttpError(404, 'Nothing to label');
+    }
+    
+    const pages = Math.ceil(labels.length / (LABEL_LAYOUTS[type].columns * LABEL_LAYOUTS[type].rows));
+    const pageNumber = parseInt(page);
+    if (format === 'svg' && (!pageNumber || pageNumber < 1 || pageNumber > pages)) {
+      throw new HttpError(400, `Page must be between 1 and ${pages}`);
+    }
+    
+    res.setHeader('X-Label-Count', labels.length);
+    res.setHeader('X-Label-Pages', pages);
+    
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(renderLabelsSvg(labels, type, pageNumber - 1));
+    }
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${type}-labels.pdf"`);
+    res.send(await renderLabelsPdf(labels, type));
+  } catch (error) {
+    sendError(res, error, 'Failed to generate labels');
+  }
+});
+
+// Pricing Routes
+// Price history, or with ?at= the prices in effect at that date/time
+app.get('/api/products/:id/price-history', authenticateToken, requirePermission('price.view'), (req, res) => {
+  const { at } = req.query;
+  
+  if (at) {
+    const timestamp = toDbTimestamp(at.length === 10 ? `${at}T23:59:59Z` : at);
+    if (!timestamp) {
+      return res.status(400).json({ error: 'Invalid "at" date' });
+    }
+    
+    return db.get(
+      `SELECT * FROM price_history WHERE product_id = ? AND changed_at <= ? 
+       ORDER BY changed_at DESC, id DESC LIMIT 1`,
+      [req.params.id, timestamp],
+      (err, row) => {
+        if (err) {
+          console.error('Price lookup error:', err);
+          return res.status(500).json({ error: 'Failed to look up price' });
+        }
+        
+        if (!row) {
+          return res.status(404).json({ error: 'No price recorded for that date' });
+        }
+        res.json(hideCosts(req, row));
+      }
+    );
+  }
+  
+  db.all(
+    `SELECT ph.*, u.username as user_name
+     FROM price_history ph
+     LEFT JOIN users u ON ph.user_id = u.id
+     WHERE ph.product_id = ?
+     ORDER BY ph.changed_at DESC, ph.id DESC`,
+    [req.params.id],
+    (err, rows) => {
+      if (err) {
+        console.error('Price history fetch error:', err);
+        return res.status(500).json({ error: 'Failed to fetch price history' });
+      }
+      res.json(hideCosts(req, rows));
+    }
+  );
+});
+
+app.get('/api/price-changes', authenticateToken, requirePermission('price.view'), (req, res) => {
+  const { status, product_id, limit = 50 } = req.query;
+  
+  let sql = `
+    SELECT spc.*, p.name as product_name, p.sku, p.sell_price as current_sell_price
+    FROM scheduled_price_changes spc
+    JOIN products p ON spc.product_id = p.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (status) {
+    sql += ' AND spc.status = ?';
+    params.push(status);
+  }
+  
+  if (product_id) {
+    sql += ' AND spc.product_id = ?';
+    params.push(product_id);
+  }
+  
+  sql += ' ORDER BY spc.effective_at DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Price changes fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch price changes' });
+    }
+    res.json(hideCosts(req, rows));
+  });
+});
+
+app.post('/api/price-changes', authenticateToken, requirePermission('price.change'), async (req, res) => {
+  const { product_id, sell_price, cost_price, effective_at, notes } = req.body;
+  const effectiveAt = toDbTimestamp(effective_at);
+  
+  if (sell_price === undefined && cost_price === undefined) {
+    return res.status(400).json({ error: 'A new sell price or cost price is required' });
+  }
+  if ([sell_price, cost_price].some(price => price !== undefined && (isNaN(parseFloat(price)) || parseFloat(price) < 0))) {
+    return res.status(400).json({ error: 'Prices must be non-negative numbers' });
+  }
+  if (!effectiveAt || new Date(effective_at) <= new Date()) {
+    return res.status(400).json({ error: 'A future effective_at date is required' });
+  }
+  
+  try {
+    const product = await dbGet("SELECT id FROM products WHERE id = ?", [product_id]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    const { lastID } = await dbRun(
+      `INSERT INTO scheduled_price_changes (product_id, new_sell_price, new_cost_price, effective_at, notes, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [product_id, sell_price !== undefined ? parseFloat(sell_price) : null,
+        cost_price !== undefined ? parseFloat(cost_price) : null, effectiveAt, notes, req.user.userId]
+    );
+    
+    console.log(`✅ Price change scheduled: product ${product_id} at ${effectiveAt}`);
+    res.status(201).json(await dbGet("SELECT * FROM scheduled_price_changes WHERE id = ?", [lastID]));
+  } catch (error) {
+    sendError(res, error, 'Failed to schedule price change');
+  }
+});
+
+app.put('/api/price-changes/:id/cancel', authenticateToken, requirePermission('price.change'), async (req, res) => {
+  try {
+    const { changes } = await dbRun(
+      "UPDATE scheduled_price_changes SET status = 'cancelled' WHERE id = ? AND status = 'pending'",
+      [req.params.id]
+    );
+    if (changes === 0) {
+      throw new HttpError(400, 'Only pending price changes can be cancelled');
+    }
+    
+    console.log(`✅ Price change cancelled: ID ${req.params.id} by ${req.user.username}`);
+    res.json({ message: 'Price change cancelled successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel price change');
+  }
+});
+
+app.get('/api/markdowns', authenticateToken, requirePermission('price.view'), (req, res) => {
+  const { status } = req.query;
+  
+  let sql = `
+    SELECT m.*, p.name as product_name, COUNT(mi.id) as item_count
+    FROM markdowns m
+    LEFT JOIN products p ON m.product_id = p.id
+    LEFT JOIN markdown_items mi ON m.id = mi.markdown_id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (status) {
+    sql += ' AND m.status = ?';
+    params.push(status);
+  }
+  
+  sql += ' GROUP BY m.id ORDER BY m.starts_at DESC';
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Markdowns fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch markdowns' });
+    }
+    res.json(rows);
+  });
+});
+
+app.get('/api/markdowns/:id', authenticateToken, requirePermission('price.view'), async (req, res) => {
+  try {
+    const markdown = await dbGet("SELECT * FROM markdowns WHERE id = ?", [req.params.id]);
+    if (!markdown) {
+      return res.status(404).json({ error: 'Markdown not found' });
+    }
+    
+    markdown.items = await dbAll(
+      `SELECT mi.*, p.name as product_name, p.sku, p.sell_price as current_sell_price
+       FROM markdown_items mi
+       JOIN products p ON mi.product_id = p.id
+       WHERE mi.markdown_id = ?
+       ORDER BY p.name`,
+      [markdown.id]
+    );
+    res.json(markdown);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch markdown');
+  }
+});
+
+// Time-boxed percentage markdown for one product or a whole category
+app.post('/api/markdowns', authenticateToken, requirePermission('price.change'), async (req, res) => {
+  const { name, product_id, category, percent_off, starts_at, ends_at } = req.body;
+  const startsAt = starts_at ? toDbTimestamp(starts_at) : toDbTimestamp(new Date());
+  const endsAt = toDbTimestamp(ends_at);
+  const percentOff = parseFloat(percent_off);
+  
+  if (!name) {
+    return res.status(400).json({ error: 'Markdown name is required' });
+  }
+  if (!product_id === !category) {
+    return res.status(400).json({ error: 'A markdown applies to either a product or a category' });
+  }
+  if (isNaN(percentOff) || percentOff <= 0 || percentOff >= 100) {
+    return res.status(400).json({ error: 'percent_off must be between 0 and 100' });
+  }
+  if (!startsAt || !endsAt || endsAt <= startsAt || new Date(ends_at) <= new Date()) {
+    return res.status(400).json({ error: 'Valid starts_at and a later, future ends_at are required' });
+  }
+  
+  try {
+    const { lastID } = await dbRun(
+      `INSERT INTO markdowns (name, product_id, category, percent_off, starts_at, ends_at, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, product_id || null, category || null, percentOff, startsAt, endsAt, req.user.userId]
+    );
+    
+    // Starts straight away if its window has already opened
+    await applyPriceSchedules();
+    
+    console.log(`✅ Markdown scheduled: ${name} (${percentOff}% off ${category || `product ${product_id}`})`);
+    res.status(201).json(await dbGet("SELECT * FROM markdowns WHERE id = ?", [lastID]));
+  } catch (error) {
+    sendError(res, error, 'Failed to create markdown');
+  }
+});
+
+// Cancelling an active markdown restores the original prices immediately
+app.put('/api/markdowns/:id/cancel', authenticateToken, requirePermission('price.change'), async (req, res) => {
+  try {
+    const markdown = await withTransaction(async () => {
+      const markdown = await dbGet("SELECT * FROM markdowns WHERE id = ?", [req.params.id]);
+      if (!markdown) {
+        throw new HttpError(404, 'Markdown not found');
+      }
+      
+      if (markdown.status === 'active') {
+        await endMarkdown(markdown, 'cancelled', req.user.userId);
+      } else if (markdown.status === 'scheduled') {
+        await dbRun("UPDATE markdowns SET status = 'cancelled', ended_at = CURRENT_TIMESTAMP WHERE id = ?", [markdown.id]);
+      } else {
+        throw new HttpError(400, `Cannot cancel a markdown that has ${markdown.status}`);
+      }
+      
+      return markdown;
+    });
+    
+    console.log(`✅ Markdown cancelled: ${markdown.name} by ${req.user.username}`);
+    res.json(await dbGet("SELECT * FROM markdowns WHERE id = ?", [markdown.id]));
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel markdown');
+  }
+});
+
+// Promotion Routes
+function validatePromotion(body, existing = {}) {
+  const promotion = { ...existing, ...body };
+  
+  if (!promotion.name) {
+    throw new HttpError(400, 'Promotion name is required');
+  }
+  if (!PROMOTION_TYPES.includes(promotion.promo_type)) {
+    throw new HttpError(400, `Promotion type must be one of ${PROMOTION_TYPES.join(', ')}`);
+  }
+  if (promotion.product_id && promotion.category) {
+    throw new HttpError(400, 'A promotion applies to a product or a category, not both');
+  }
+  
+  // Buy X get Y defaults to the extra items being free
+  if (promotion.promo_type === 'buy_x_get_y' && (promotion.value === undefined || promotion.value === null)) {
+    promotion.value = 100;
+  }
+  const value = parseFloat(promotion.value);
+  if (isNaN(value) || value <= 0) {
+    throw new HttpError(400, 'value must be a positive number');
+  }
+  if (promotion.promo_type !== 'fixed_off' && value > 100) {
+    throw new HttpError(400, 'Percentage value cannot exceed 100');
+  }
+  if (promotion.promo_type === 'buy_x_get_y' &&
+      !(parseInt(promotion.buy_quantity) > 0 && parseInt(promotion.get_quantity) > 0)) {
+    throw new HttpError(400, 'buy_quantity and get_quantity are required for buy X get Y');
+  }
+  if (promotion.min_basket_value !== undefined && promotion.min_basket_value !== null &&
+      (isNaN(parseFloat(promotion.min_basket_value)) || parseFloat(promotion.min_basket_value) < 0)) {
+    throw new HttpError(400, 'min_basket_value must be a non-negative number');
+  }
+  
+  for (const field of ['starts_at', 'ends_at']) {
+    if (promotion[field] && !toDbTimestamp(promotion[field])) {
+      throw new HttpError(400, `Invalid ${field} date`);
+    }
+    promotion[field] = promotion[field] ? toDbTimestamp(promotion[field]) : null;
+  }
+  if (promotion.starts_at && promotion.ends_at && promotion.ends_at <= promotion.starts_at) {
+    throw new HttpError(400, 'ends_at must be after starts_at');
+  }
+  
+  promotion.coupon_code = promotion.coupon_code ? String(promotion.coupon_code).trim().toUpperCase() : null;
+  return promotion;
+}
+
+function promotionParams(promotion) {
+  return [
+    promotion.name, promotion.description || null, promotion.promo_type, parseFloat(promotion.value),
+    promotion.product_id || null, promotion.category || null,
+    promotion.promo_type === 'buy_x_get_y' ? parseInt(promotion.buy_quantity) : null,
+    promotion.promo_type === 'buy_x_get_y' ? parseInt(promotion.get_quantity) : null,
+    promotion.coupon_code, parseFloat(promotion.min_basket_value) || 0,
+    promotion.starts_at, promotion.ends_at,
+    promotion.stackable === true || promotion.stackable === 1 ? 1 : 0,
+    promotion.is_active === false || promotion.is_active === 0 ? 0 : 1
+  ];
+}
+
+app.get('/api/promotions', authenticateToken, requirePermission('price.view'), (req, res) => {
+  const { active, coupon_code } = req.query;
+  
+  let sql = `
+    SELECT 
+      pr.*,
+      p.name as product_name,
+      (SELECT COUNT(DISTINCT sale_id) FROM sale_discounts WHERE promotion_id = pr.id) as times_used,
+      (SELECT ROUND(COALESCE(SUM(discount_amount), 0), 2) FROM sale_discounts WHERE promotion_id = pr.id) as total_discount
+    FROM promotions pr
+    LEFT JOIN products p ON pr.product_id = p.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  // Currently running promotions
+  if (active === 'true') {
+    sql += ` AND pr.is_active = 1
+      AND (pr.starts_at IS NULL OR pr.starts_at <= CURRENT_TIMESTAMP)
+      AND (pr.ends_at IS NULL OR pr.ends_at > CURRENT_TIMESTAMP)`;
+  }
+  
+  if (coupon_code) {
+    sql += ' AND pr.coupon_code = ?';
+    params.push(coupon_code.toUpperCase());
+  }
+  
+  sql += ' ORDER BY pr.created_at DESC';
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Promotions fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch promotions' });
+    }
+    res.json(rows);
+  });
+});
+
+app.post('/api/promotions', authenticateToken, requirePermission('promotion.manage'), async (req, res) => {
+  try {
+    const promotion = validatePromotion(req.body);
+    const { lastID } = await dbRun(
+      `INSERT INTO promotions (name, description, promo_type, value, product_id, category, buy_quantity, get_quantity, 
+        coupon_code, min_basket_value, starts_at, ends_at, stackable, is_active, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...promotionParams(promotion), req.user.userId]
+    );
+    
+    console.log(`✅ Promotion created: ${promotion.name} (${promotion.promo_type})`);
+    res.status(201).json(await dbGet("SELECT * FROM promotions WHERE id = ?", [lastID]));
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
+    }
+    sendError(res, error, 'Failed to create promotion');
+  }
+});
+
+app.put('/api/promotions/:id', authenticateToken, requirePermission('promotion.manage'), async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM promotions WHERE id = ?", [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    
+    const promotion = validatePromotion(req.body, existing);
+    await dbRun(
+      `UPDATE promotions SET 
+       name = ?, description = ?, promo_type = ?, value = ?, product_id = ?, category = ?, buy_quantity = ?, 
+       get_quantity = ?, coupon_code = ?, min_basket_value = ?, starts_at = ?, ends_at = ?, stackable = ?, 
+       is_active = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [...promotionParams(promotion), existing.id]
+    );
+    
+    console.log(`✅ Promotion updated: ID ${existing.id} by ${req.user.username}`);
+    res.json(await dbGet("SELECT * FROM promotions WHERE id = ?", [existing.id]));
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
+    }
+    sendError(res, error, 'Failed to update promotion');
+  }
+});
+
+// Promotions are deactivated rather than deleted so past discounts keep their source
+app.delete('/api/promotions/:id', authenticateToken, requirePermission('promotion.manage'), async (req, res) => {
+  try {
+    const { changes } = await dbRun(
+      "UPDATE promotions SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [req.params.id]
+    );
+    if (changes === 0) {
+      throw new HttpError(404, 'Promotion not found');
+    }
+    
+    console.log(`✅ Promotion deactivated: ID ${req.params.id}`);
+    res.json({ message: 'Promotion deactivated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to deactivate promotion');
+  }
+});
+
+// Prices a basket with the current promotions without recording anything, for POS display
+app.post('/api/promotions/preview', authenticateToken, requirePermission('sale.create'), async (req, res) => {
+  const { items, coupon_code, coupon_codes = [], tax_exempt_certificate, location = DEFAULT_LOCATION } = req.body;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'At least one line item is required' });
+  }
+  
+  try {
+    const lines = await validateBasket(items, location);
+    const pricing = await applyPromotions(lines, [coupon_code, ...coupon_codes]);
+    const taxAmount = await applySalesTax(lines, await resolveTaxExemption(tax_exempt_certificate));
+    
+    res.json({
+      items: lines.map(line => ({
+        product_id: line.productId,
+        quantity: line.quantity,
+        unit_price: line.unitPrice,
+        gross_amount: line.totalAmount,
+        discount_amount: line.discountAmount,
+        total_amount: line.netAmount,
+        tax_class: line.taxClass,
+        tax_amount: line.taxAmount
+      })),
+      subtotal: pricing.subtotal,
+      discount_amount: pricing.discountAmount,
+      total_amount: pricing.totalAmount,
+      tax_amount: taxAmount,
+      amount_due: roundCents(pricing.totalAmount + taxAmount),
+      promotions: pricing.promotions,
+      coupons_not_applied: pricing.couponsNotApplied
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to price basket');
+  }
+});
+
+// Tax Routes
+function validateTaxClass(body, existing = {}) {
+  const taxClass = { ...existing, ...body };
+  
+  if (!taxClass.code || !taxClass.name) {
+    throw new HttpError(400, 'Tax class code and name are required');
+  }
+  const rate = parseFloat(taxClass.rate);
+  if (isNaN(rate) || rate < 0 || rate >= 100) {
+    throw new HttpError(400, 'rate must be a percentage between 0 and 100');
+  }
+  if (taxClass.exemption_threshold !== undefined && taxClass.exemption_threshold !== null &&
+      (isNaN(parseFloat(taxClass.exemption_threshold)) || parseFloat(taxClass.exemption_threshold) < 0)) {
+    throw new HttpError(400, 'exemption_threshold must be a non-negative number');
+  }
+  
+  return taxClass;
+}
+
+app.get('/api/tax/classes', authenticateToken, requirePermission('product.view'), async (req, res) => {
+  try {
+    const classes = await dbAll("SELECT * FROM tax_classes ORDER BY id");
+    const categories = await dbAll("SELECT category, tax_class_id FROM category_tax_classes ORDER BY category");
+    
+    res.json(classes.map(taxClass => ({
+      ...taxClass,
+      categories: categories
+        .filter(mapping => mapping.tax_class_id === taxClass.id)
+        .map(mapping => mapping.category)
+    })));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch tax classes');
+  }
+});
+
+app.post('/api/tax/classes', authenticateToken, requirePermission('tax.manage'), async (req, res) => {
+  try {
+    const taxClass = validateTaxClass(req.body);
+    const { lastID } = await dbRun(
+      "INSERT INTO tax_classes (code, name, rate, exemption_threshold, description) VALUES (?, ?, ?, ?, ?)",
+      [
+        taxClass.code, taxClass.name, parseFloat(taxClass.rate),
+        taxClass.exemption_threshold !== undefined && taxClass.exemption_threshold !== null ? parseFloat(taxClass.exemption_threshold) : null,
+        taxClass.description || null
+      ]
+    );
+    
+    console.log(`✅ Tax class created: ${taxClass.code} (${taxClass.rate}%)`);
+    res.status(201).json(await dbGet("SELECT * FROM tax_classes WHERE id = ?", [lastID]));
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Tax class code already exists' });
+    }
+    sendError(res, error, 'Failed to create tax class');
+  }
+});
+
+// Rate changes apply to new sales only; each sale keeps the rate it was charged
+app.put('/api/tax/classes/:id', authenticateToken, requirePermission('tax.manage'), async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM tax_classes WHERE id = ?", [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tax class not found' });
+    }
+    
+    const taxClass = validateTaxClass(req.body, existing);
+    await dbRun(
+      `UPDATE tax_classes SET 
+       code = ?, name = ?, rate = ?, exemption_threshold = ?, description = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [
+        taxClass.code, taxClass.name, parseFloat(taxClass.rate),
+        taxClass.exemption_threshold !== undefined && taxClass.exemption_threshold !== null ? parseFloat(taxClass.exemption_threshold) : null,
+        taxClass.description || null, existing.id
+      ]
+    );
+    
+    console.log(`✅ Tax class updated: ${taxClass.code} by ${req.user.username}`);
+    res.json(await dbGet("SELECT * FROM tax_classes WHERE id = ?", [existing.id]));
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Tax class code already exists' });
+    }
+    sendError(res, error, 'Failed to update tax class');
+  }
+});
+
+// Assign a category to a tax class; unassigned categories use the standard class
+app.put('/api/tax/categories/:category', authenticateToken, requirePermission('tax.manage'), async (req, res) => {
+  const { tax_class } = req.body;
+  
+  try {
+    const taxClass = await dbGet("SELECT * FROM tax_classes WHERE code = ?", [tax_class]);
+    if (!taxClass) {
+      return res.status(400).json({ error: 'Unknown tax class' });
+    }
+    
+    await dbRun(
+      `INSERT INTO category_tax_classes (category, tax_class_id) VALUES (?, ?)
+       ON CONFLICT(category) DO UPDATE SET tax_class_id = excluded.tax_class_id, updated_at = CURRENT_TIMESTAMP`,
+      [req.params.category, taxClass.id]
+    );
+    
+    console.log(`✅ Category ${req.params.category} taxed as ${taxClass.code} by ${req.user.username}`);
+    res.json({ category: req.params.category, tax_class: taxClass.code, rate: taxClass.rate });
+  } catch (error) {
+    sendError(res, error, 'Failed to update category tax class');
+  }
+});
+
+app.get('/api/tax/exempt-customers', authenticateToken, requirePermission('tax.exempt_customers'), (req, res) => {
+  const { active } = req.query;
+  
+  let sql = `
+    SELECT 
+      tec.*,
+      (SELECT COUNT(*) FROM sales WHERE tax_exempt_customer_id = tec.id) as sales_count
+    FROM tax_exempt_customers tec
+    WHERE 1=1
+  `;
+  
+  if (active === 'true') {
+    sql += " AND tec.is_active = 1 AND (tec.expires_at IS NULL OR tec.expires_at >= DATE('now'))";
+  }
+  
+  sql += ' ORDER BY tec.name';
+  
+  db.all(sql, (err, rows) => {
+    if (err) {
+      console.error('Tax-exempt customers fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch tax-exempt customers' });
+    }
+    res.json(rows);
+  });
+});
+
+app.post('/api/tax/exempt-customers', authenticateToken, requirePermission('tax.exempt_customers'), async (req, res) => {
+  const { name, organization, certificate_number, expires_at, notes } = req.body;
+  
+  if (!name || !certificate_number) {
+    return res.status(400).json({ error: 'Customer name and certificate number are required' });
+  }
+  if (expires_at && !toDbTimestamp(expires_at)) {
+    return res.status(400).json({ error: 'Invalid expires_at date' });
+  }
+  
+  try {
+    const { lastID } = await dbRun(
+      `INSERT INTO tax_exempt_customers (name, organization, certificate_number, expires_at, notes, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, organization, String(certificate_number).trim(), expires_at ? toDbTimestamp(expires_at).slice(0, 10) : null, notes, req.user.userId]
+    );
+    
+    console.log(`✅ Tax-exempt customer added: ${name} (${certificate_number})`);
+    res.status(201).json(await dbGet("SELECT * FROM tax_exempt_customers WHERE id = ?", [lastID]));
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Certificate number already exists' });
+    }
+    sendError(res, error, 'Failed to add tax-exempt customer');
+  }
+});
+
+app.put('/api/tax/exempt-customers/:id', authenticateToken, requirePermission('tax.exempt_customers'), async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM tax_exempt_customers WHERE id = ?", [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tax-exempt customer not found' });
+    }
+    
+    const customer = { ...existing, ...req.body };
+    if (customer.expires_at && !toDbTimestamp(customer.expires_at)) {
+      return res.status(400).json({ error: 'Invalid expires_at date' });
+    }
+    
+    await dbRun(
+      `UPDATE tax_exempt_customers SET 
+       name = ?, organization = ?, expires_at = ?, is_active = ?, notes = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [
+        customer.name, customer.organization,
+        customer.expires_at ? toDbTimestamp(customer.expires_at).slice(0, 10) : null,
+        customer.is_active === false || customer.is_active === 0 ? 0 : 1, customer.notes, existing.id
+      ]
+    );
+    
+    console.log(`✅ Tax-exempt customer updated: ID ${existing.id} by ${req.user.username}`);
+    res.json(await dbGet("SELECT * FROM tax_exempt_customers WHERE id = ?", [existing.id]));
+  } catch (error) {
+    sendError(res, error, 'Failed to update tax-exempt customer');
+  }
+});
+
+// Sales Routes
+
+// Groups sale lines into baskets; sales recorded before transactions existed stand alone
+const BASKET_KEY = "COALESCE(s.transaction_id, 'SALE-' || s.id)";
+
+app.get('/api/sales', authenticateToken, requirePermission('sale.view'), async (req, res) => {
+  const { startDate, endDate, location, api_key_id, groupBy, limit = 100 } = req.query;
+  
+  let filters = ' WHERE 1=1';
+  const params = [];
+  
+  if (startDate) {
+    filters += ' AND DATE(s.sale_date) >= ?';
+    params.push(startDate);
+  }
+  
+  if (endDate) {
+    filters += ' AND DATE(s.sale_date) <= ?';
+    params.push(endDate);
+  }
+  
+  if (location) {
+    filters += ' AND s.location = ?';
+    params.push(location);
+  }
+  
+  if (api_key_id) {
+    filters += ' AND s.api_key_id = ?';
+    params.push(api_key_id);
+  }
+  
+  try {
+    // Basket view: one entry per checkout transaction, with its sale lines
+    if (groupBy === 'transaction') {
+      const baskets = await dbAll(
+        `SELECT 
+           ${BASKET_KEY} as transaction_id,
+           MIN(s.sale_date) as sale_date,
+           s.cashier_name,
+           s.payment_method,
+           s.location,
+           COUNT(*) as line_count,
+           SUM(s.quantity_sold) as units,
+           ROUND(SUM(s.discount_amount), 2) as discount_amount,
+           ROUND(SUM(s.total_amount), 2) as total_amount,
+           ROUND(SUM(s.tax_amount), 2) as tax_amount
+         FROM sales s
+         ${filters}
+         GROUP BY ${BASKET_KEY}
+         ORDER BY sale_date DESC
+         LIMIT ?`,
+        [...params, parseInt(limit)]
+      );
+      return res.json(await attachBasketLines(baskets));
+    }
+    
+    const rows = await dbAll(
+      `SELECT 
+         s.*,
+         p.name as product_name,
+         p.category,
+         p.sku,
+         k.name as api_key_name
+       FROM sales s
+       JOIN products p ON s.product_id = p.id
+       LEFT JOIN api_keys k ON s.api_key_id = k.id
+       ${filters}
+       ORDER BY s.sale_date DESC LIMIT ?`,
+      [...params, parseInt(limit)]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error('Sales fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch sales' });
+  }
+});
+
+app.post('/api/sales', authenticateToken, requirePermission('sale.create'), async (req, res) => {
+  const {
+    product_id, quantity_sold, unit_price, coupon_code, tax_exempt_certificate, email_receipt,
+    cashier_name, payment_method = 'cash', location = DEFAULT_LOCATION
+  } = req.body;
+  
+  const quantity = Number(quantity_sold);
+  if (!product_id || !Number.isInteger(quantity) || quantity < 1 || !unit_price) {
+    return res.status(400).json({ error: 'Valid product ID, quantity, and unit price are required' });
+  }
+  
+  if (email_receipt && !EMAIL_PATTERN.test(email_receipt)) {
+    return res.status(400).json({ error: 'Invalid receipt email address' });
+  }
+  
+  const gross_amount = parseFloat((quantity * unit_price).toFixed(2));
+  
+  try {
+    const { saleId, stock, line, pricing, exemptCustomer } = await withTransaction(async () => {
+      await requireLocation(location);
+      requireLocationAccess(req.user, location);
+      
+      // The price charged must be the one in effect now (including any running markdown)
+      const product = await dbGet(
+        "SELECT sell_price, category, (SELECT COUNT(*) FROM products v WHERE v.parent_id = products.id) as variant_count FROM products WHERE id = ?",
+        [product_id]
+      );
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+      if (product.variant_count > 0) {
+        throw new HttpError(400, 'Product is sold by variant; choose a variant', { product_id: parseInt(product_id) });
+      }
+      if (!priceMatches(unit_price, product.sell_price)) {
+        throw new HttpError(400, 'Unit price does not match the current price', {
+          unit_price: parseFloat(unit_price),
+          current_price: product.sell_price
+        });
+      }
+      
+      const line = {
+        productId: parseInt(product_id),
+        category: product.category,
+        quantity,
+        unitPrice: parseFloat(unit_price),
+        totalAmount: gross_amount
+      };
+      const pricing = await applyPromotions([line], [coupon_code]);
+      const exemptCustomer = await resolveTaxExemption(tax_exempt_certificate);
+      await applySalesTax([line], exemptCustomer);
+      
+      // Record the sale; total_amount is after discounts, with tax stored separately
+      const { lastID: saleId } = await dbRun(
+        `INSERT INTO sales (product_id, quantity_sold, unit_price, total_amount, discount_amount, tax_class, tax_rate, 
+          taxable_amount, tax_amount, tax_exempt_customer_id, cashier_name, payment_method, location, api_key_id) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          product_id, quantity, unit_price, line.netAmount, line.discountAmount, line.taxClass, line.taxRate,
+          line.taxableAmount, line.taxAmount, exemptCustomer ? exemptCustomer.id : null, cashier_name, payment_method, location,
+          req.user.apiKeyId || null
+        ]
+      );
+      await recordSaleDiscounts(saleId, line);
+      
+      // Decrement inventory at the selling location and log the movement
+      const stock = await adjustStock({
+        productId: product_id,
+        location,
+        change: -quantity,
+        movementType: 'sale',
+        reason: `Sale #${saleId}`,
+        userId: req.user.userId,
+        apiKeyId: req.user.apiKeyId,
+        referenceType: 'sale',
+        referenceId: saleId
+      });
+      
+      return { saleId, stock, line, pricing, exemptCustomer };
+    });
+    
+    const lowStock = stock.newQuantity <= stock.reorderLevel;
+    
+    // Check for low stock alert
+    if (lowStock) {
+      createLowStockAlert(product_id, stock.newQuantity, stock.reorderLevel, location);
+    }
+    
+    publishEvent('sale.recorded', {
+      sale_id: saleId,
+      product_id,
+      location,
+      quantity_sold: quantity,
+      unit_price,
+      total_amount: line.netAmount,
+      discount_amount: line.discountAmount,
+      tax_amount: line.taxAmount,
+      new_quantity: stock.newQuantity
+    });
+    
+    if (email_receipt) {
+      emailReceipt(`SALE-${saleId}`, email_receipt)
+        .catch(err => console.error('Receipt email error:', err));
+    }
+    
+    console.log(`✅ Sale recorded: Product ${product_id} at ${location}, Quantity ${quantity}, Total ${line.netAmount}`);
+    res.status(201).json({ 
+      id: saleId, 
+      receipt_id: `SALE-${saleId}`,
+      message: 'Sale recorded successfully',
+      location: location,
+      gross_amount,
+      discount_amount: line.discountAmount,
+      total_amount: line.netAmount,
+      tax_amount: line.taxAmount,
+      amount_due: roundCents(line.netAmount + line.taxAmount),
+      tax_exempt_customer: exemptCustomer ? exemptCustomer.name : null,
+      promotions: pricing.promotions,
+      coupons_not_applied: pricing.couponsNotApplied,
+      newQuantity: stock.newQuantity,
+      lowStockAlert: lowStock
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record sale');
+  }
+});
+
+// Checkout Transaction Routes
+app.post('/api/transactions', authenticateToken, requirePermission('sale.create'), async (req, res) => {
+  const {
+    items, coupon_code, coupon_codes = [], tax_exempt_certificate, email_receipt,
+    cashier_name, payment_method = 'cash', location = DEFAULT_LOCATION
+  } = req.body;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'At least one line item is required' });
+  }
+  
+  if (email_receipt && !EMAIL_PATTERN.test(email_receipt)) {
+    return res.status(400).json({ error: 'Invalid receipt email address' });
+  }
+  
+  try {
+    const { transactionId, lines, pricing, taxAmount, exemptCustomer } = await withTransaction(async () => {
+      await requireLocation(location);
+      requireLocationAccess(req.user, location);
+      const lines = await validateBasket(items, location);
+      const pricing = await applyPromotions(lines, [coupon_code, ...coupon_codes]);
+      const exemptCustomer = await resolveTaxExemption(tax_exempt_certificate);
+      const taxAmount = await applySalesTax(lines, exemptCustomer);
+      
+      const transactionId = generateReferenceId('TXN');
+      const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+      
+      const { lastID } = await dbRun(
+        `INSERT INTO sales_transactions (transaction_id, location, cashier_name, payment_method, line_count, units, total_amount, 
+          discount_amount, tax_amount, tax_exempt_customer_id, user_id, api_key_id) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          transactionId, location, cashier_name, payment_method, lines.length, units, pricing.totalAmount,
+          pricing.discountAmount, taxAmount, exemptCustomer ? exemptCustomer.id : null, req.user.userId, req.user.apiKeyId || null
+        ]
+      );
+      const { created_at: saleDate } = await dbGet("SELECT created_at FROM sales_transactions WHERE id = ?", [lastID]);
+      
+      for (const line of lines) {
+        const { lastID: saleId } = await dbRun(
+          `INSERT INTO sales (product_id, quantity_sold, unit_price, total_amount, discount_amount, tax_class, tax_rate, taxable_amount, 
+            tax_amount, tax_exempt_customer_id, sale_date, cashier_name, payment_method, transaction_id, location, api_key_id) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            line.productId, line.quantity, line.unitPrice, line.netAmount, line.discountAmount, line.taxClass, line.taxRate,
+            line.taxableAmount, line.taxAmount, exemptCustomer ? exemptCustomer.id : null, saleDate, cashier_name,
+            payment_method, transactionId, location, req.user.apiKeyId || null
+          ]
+        );
+        await recordSaleDiscounts(saleId, line);
+        
+        line.saleId = saleId;
+        line.stock = await adjustStock({
+          productId: line.productId,
+          location,
+          change: -line.quantity,
+          movementType: 'sale',
+          reason: `Sale #${saleId} (${transactionId})`,
+          userId: req.user.userId,
+          apiKeyId: req.user.apiKeyId,
+          referenceType: 'sale',
+          referenceId: saleId
+        });
+      }
+      
+      return { transactionId, lines, pricing, taxAmount, exemptCustomer };
+    });
+    
+    const lowStockAlerts = [];
+    lines.forEach(({ productId, stock }) => {
+      if (stock.newQuantity <= stock.reorderLevel) {
+        createLowStockAlert(productId, stock.newQuantity, stock.reorderLevel, location);
+        lowStockAlerts.push(productId);
+      }
+    });
+    
+    publishEvent('sale.transaction', {
+      transaction_id: transactionId,
+      location,
+      items: lines.map(line => ({
+        sale_id: line.saleId,
+        product_id: line.productId,
+        quantity_sold: line.quantity,
+        new_quantity: line.stock.newQuantity
+      })),
+      total_amount: pricing.totalAmount,
+      discount_amount: pricing.discountAmount,
+      tax_amount: taxAmount
+    });
+    
+    if (email_receipt) {
+      emailReceipt(transactionId, email_receipt)
+        .catch(err => console.error('Receipt email error:', err));
+    }
+    
+    console.log(`✅ Transaction recorded: ${transactionId} at ${location}, ${lines.length} lines, Total ${pricing.totalAmount}`);
+    res.status(201).json({
+      transaction_id: transactionId,
+      receipt_id: transactionId,
+      message: 'Transaction recorded successfully',
+      location,
+      items: lines.map(line => ({
+        sale_id: line.saleId,
+        product_id: line.productId,
+        quantity_sold: line.quantity,
+        unit_price: line.unitPrice,
+        gross_amount: line.totalAmount,
+        discount_amount: line.discountAmount,
+        total_amount: line.netAmount,
+        tax_class: line.taxClass,
+        tax_amount: line.taxAmount,
+        newQuantity: line.stock.newQuantity
+      })),
+      line_count: lines.length,
+      units: lines.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal: pricing.subtotal,
+      discount_amount: pricing.discountAmount,
+      total_amount: pricing.totalAmount,
+      tax_amount: taxAmount,
+      amount_due: roundCents(pricing.totalAmount + taxAmount),
+      tax_exempt_customer: exemptCustomer ? exemptCustomer.name : null,
+      promotions: pricing.promotions,
+      coupons_not_applied: pricing.couponsNotApplied,
+      lowStockAlerts
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record transaction');
+  }
+});
+
+// Basket view of one transaction (single sales are addressable as SALE-<id>)
+app.get('/api/transactions/:transactionId', authenticateToken, requirePermission('sale.view'), async (req, res) => {
+  try {
+    const baskets = await dbAll(
+      `SELECT 
+         ${BASKET_KEY} as transaction_id,
+         MIN(s.sale_date) as sale_date,
+         s.cashier_name,
+         s.payment_method,
+         s.location,
+         COUNT(*) as line_count,
+         SUM(s.quantity_sold) as units,
+         ROUND(SUM(s.discount_amount), 2) as discount_amount,
+         ROUND(SUM(s.total_amount), 2) as total_amount,
+         ROUND(SUM(s.tax_amount), 2) as tax_amount
+       FROM sales s
+       WHERE ${BASKET_KEY} = ?
+       GROUP BY ${BASKET_KEY}`,
+      [req.params.transactionId]
+    );
+    
+    if (baskets.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    
+    const [basket] = await attachBasketLines(baskets);
+    res.json(basket);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch transaction');
+  }
+});
+
+// Receipt Routes
+async function sendReceipt(res, receiptId, format, options = {}) {
+  if (!RECEIPT_FORMATS.includes(format)) {
+    throw new HttpError(400, `Format must be one of ${RECEIPT_FORMATS.join(', ')}`);
+  }
+  
+  const receipt = await getReceipt(receiptId);
+  
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${receiptId}.pdf"`);
+    return res.send(await renderReceiptPdf(receipt, options));
+  }
+  
+  if (format === 'html') {
+    const qrCode = await receiptQrCode(receiptId);
+    return res.type('html').send(renderReceiptHtml(receipt, { ...options, qrSrc: `data:image/png;base64,${qrCode.toString('base64')}` }));
+  }
+  
+  res.type('text').send(renderReceiptText(receipt, options));
+}
+
+// Receipt for a transaction, or SALE-<id> for a single sale (?format=text|html|pdf)
+app.get('/api/receipts/:receiptId', authenticateToken, requirePermission('sale.view'), async (req, res) => {
+  try {
+    await sendReceipt(res, req.params.receiptId, req.query.format || 'text');
+  } catch (error) {
+    sendError(res, error, 'Failed to render receipt');
+  }
+});
+
+// QR code of the receipt ID, for scanning at returns
+app.get('/api/receipts/:receiptId/qr', authenticateToken, requirePermission('sale.view'), async (req, res) => {
+  try {
+    await getReceipt(req.params.receiptId);
+    res.type('png').send(await receiptQrCode(req.params.receiptId));
+  } catch (error) {
+    sendError(res, error, 'Failed to render receipt QR code');
+  }
+});
+
+// Reprints are marked as such and logged
+app.post('/api/receipts/:receiptId/reprint', authenticateToken, requirePermission('sale.create'), async (req, res) => {
+  const { format = 'text' } = req.body;
+  
+  try {
+    // Log the reprint before handing the receipt over, so none goes out unrecorded
+    if (!RECEIPT_FORMATS.includes(format)) {
+      throw new HttpError(400, `Format must be one of ${RECEIPT_FORMATS.join(', ')}`);
+    }
+    await getReceipt(req.params.receiptId);
+    await dbRun(
+      "INSERT INTO receipt_log (receipt_id, action, format, user_id) VALUES (?, 'reprint', ?, ?)",
+      [req.params.receiptId, format, req.user.userId]
+    );
+    await sendReceipt(res, req.params.receiptId, format, { reprint: true });
+    console.log(`🧾 Receipt reprinted: ${req.params.receiptId} by ${req.user.username}`);
+  } catch (error) {
+    sendError(res, error, 'Failed to reprint receipt');
+  }
+});
+
+app.post('/api/receipts/:receiptId/email', authenticateToken, requirePermission('sale.create'), async (req, res) => {
+  const { email } = req.body;
+  
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+  if (!getMailTransport()) {
+    return res.status(503).json({ error: 'Email is not configured' });
+  }
+  
+  try {
+    const delivery = await emailReceipt(req.params.receiptId, email);
+    await dbRun(
+      "INSERT INTO receipt_log (receipt_id, action, format, recipient, user_id) VALUES (?, 'email', 'html', ?, ?)",
+      [req.params.receiptId, email, req.user.userId]
+    );
+    res.json({ message: `Receipt ${delivery.status === 'sent' ? 'sent' : 'queued for retry'}`, delivery });
+  } catch (error) {
+    sendError(res, error, 'Failed to email receipt');
+  }
+});
+
+app.get('/api/receipts/:receiptId/log', authenticateToken, requirePermission('report.view'), (req, res) => {
+  db.all(
+    `SELECT rl.*, u.username as user_name
+     FROM receipt_log rl
+     LEFT JOIN users u ON rl.user_id = u.id
+     WHERE rl.receipt_id = ?
+     ORDER BY rl.created_at, rl.id`,
+    [req.params.receiptId],
+    (err, rows) => {
+      if (err) {
+        console.error('Receipt log fetch error:', err);
+        return res.status(500).json({ error: 'Failed to fetch receipt log' });
+      }
+      res.json(rows);
+    }
+  );
+});
+
+// Return Routes
+const REFUND_METHODS = ['cash', 'card', 'store_credit'];
+
+app.get('/api/returns', authenticateToken, requirePermission('sale.view'), (req, res) => {
+  const { sale_id, transaction_id, startDate, endDate, limit = 100 } = req.query;
+  
+  let sql = `
+    SELECT 
+      r.*,
+      p.name as product_name,
+      p.sku,
+      u.username as processed_by_name
+    FROM returns r
+    JOIN products p ON r.product_id = p.id
+    LEFT JOIN users u ON r.processed_by = u.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (sale_id) {
+    sql += ' AND r.sale_id = ?';
+    params.push(sale_id);
+  }
+  
+  if (transaction_id) {
+    sql += ' AND r.transaction_id = ?';
+    params.push(transaction_id);
+  }
+  
+  if (startDate) {
+    sql += ' AND DATE(r.created_at) >= ?';
+    params.push(startDate);
+  }
+  
+  if (endDate) {
+    sql += ' AND DATE(r.created_at) <= ?';
+    params.push(endDate);
+  }
+  
+  sql += ' ORDER BY r.created_at DESC, r.id DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Returns fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch returns' });
+    }
+    res.json(rows);
+  });
+});
+
+// Return items from a sale or a whole transaction. Sellable items go back on the shelf;
+// damaged items are received back and immediately written off.
+app.post('/api/returns', authenticateToken, requirePermission('sale.return'), async (req, res) => {
+  const { items, quantity, refund_amount, condition, refund_method, reason } = req.body;
+  
+  // A scanned receipt for a single sale carries SALE-<id> rather than a transaction ID
+  const singleSale = /^SALE-(\d+)$/.exec(req.body.transaction_id || '');
+  const sale_id = singleSale ? parseInt(singleSale[1]) : req.body.sale_id;
+  const transaction_id = singleSale ? undefined : req.body.transaction_id;
+  
+  if (!sale_id && !transaction_id) {
+    return res.status(400).json({ error: 'A sale ID or transaction ID is required' });
+  }
+  
+  if (refund_method && !REFUND_METHODS.includes(refund_method)) {
+    return res.status(400).json({ error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}` });
+  }
+  
+  try {
+    const { returnNumber, lines } = await withTransaction(async () => {
+      const requestedLines = await resolveReturnLines({ sale_id, transaction_id, items, quantity, refund_amount, condition });
+      const returnNumber = generateReferenceId('RET');
+      const lines = [];
+      
+      for (const line of requestedLines) {
+        const { sale } = line;
+        const method = refund_method || (REFUND_METHODS.includes(sale.payment_method) ? sale.payment_method : 'cash');
+        const location = sale.location || DEFAULT_LOCATION;
+        requireLocationAccess(req.user, location);
+        
+        const { lastID: returnId } = await dbRun(
+          `INSERT INTO returns (return_number, sale_id, transaction_id, product_id, quantity, refund_amount, tax_refund, refund_method, condition, reason, location, processed_by) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            returnNumber, sale.id, sale.transaction_id, sale.product_id, line.quantity, line.refundAmount,
+            line.taxRefund, method, line.condition, reason, location, req.user.userId
+          ]
+        );
+        
+        let stock = await adjustStock({
+          productId: sale.product_id,
+          location,
+          change: line.quantity,
+          movementType: 'return',
+          reason: `${returnNumber} for sale #${sale.id}${reason ? `: ${reason}` : ''}`,
+          userId: req.user.userId,
+          apiKeyId: req.user.apiKeyId,
+          referenceType: 'return',
+          referenceId: returnId
+        });
+        
+        if (line.condition === 'damaged') {
+          ({ stock } = await writeOffStock({
+            productId: sale.product_id,
+            location,
+            quantity: line.quantity,
+            reasonCode: 'damaged',
+            notes: `${returnNumber} returned damaged`,
+            userId: req.user.userId,
+            apiKeyId: req.user.apiKeyId
+          }));
+        }
+        
+        lines.push({
+          return_id: returnId,
+          sale_id: sale.id,
+          product_id: sale.product_id,
+          quantity: line.quantity,
+          refund_amount: line.refundAmount,
+          tax_refund: line.taxRefund,
+          refund_method: method,
+          condition: line.condition,
+          location,
+          stock
+        });
+      }
+      
+      return { returnNumber, lines };
+    });
+    
+    const totalRefund = parseFloat(lines.reduce((sum, line) => sum + line.refund_amount, 0).toFixed(2));
+    const totalTaxRefund = parseFloat(lines.reduce((sum, line) => sum + line.tax_refund, 0).toFixed(2));
+    
+    console.log(`✅ Return recorded: ${returnNumber}, ${lines.length} lines, Refund ${totalRefund}`);
+    res.status(201).json({
+      return_number: returnNumber,
+      message: 'Return recorded successfully',
+      items: lines.map(({ stock, ...line }) => ({ ...line, newQuantity: stock.newQuantity })),
+      total_refund: totalRefund,
+      total_tax_refund: totalTaxRefund,
+      refund_due: parseFloat((totalRefund + totalTaxRefund).toFixed(2))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record return');
+  }
+});
+
+// Write-off Routes
+const WRITE_OFF_REASONS = ['damaged', 'stolen', 'display_sample', 'expired_promo', 'miscount'];
+
+app.get('/api/write-offs', authenticateToken, requirePermission('report.view_costs'), (req, res) => {
+  const { reason_code, product_id, location, startDate, endDate, limit = 100 } = req.query;
+  
+  let sql = `
+    SELECT 
+      w.*,
+      p.name as product_name,
+      p.sku,
+      p.category,
+      u.username as user_name
+    FROM write_offs w
+    JOIN products p ON w.product_id = p.id
+    LEFT JOIN users u ON w.user_id = u.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (reason_code) {
+    sql += ' AND w.reason_code = ?';
+    params.push(reason_code);
+  }
+  
+  if (product_id) {
+    sql += ' AND w.product_id = ?';
+    params.push(product_id);
+  }
+  
+  if (location) {
+    sql += ' AND w.location = ?';
+    params.push(location);
+  }
+  
+  if (startDate) {
+    sql += ' AND DATE(w.created_at) >= ?';
+    params.push(startDate);
+  }
+  
+  if (endDate) {
+    sql += ' AND DATE(w.created_at) <= ?';
+    params.push(endDate);
+  }
+  
+  sql += ' ORDER BY w.created_at DESC, w.id DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Write-offs fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch write-offs' });
+    }
+    res.json(rows);
+  });
+});
+
+// Record a write-off, optionally with a photo of the damage (multipart field "photo")
+app.post('/api/write-offs', authenticateToken, requirePermission('stock.adjust'), upload.single('photo'), async (req, res) => {
+  const { product_id, reason_code, notes, location = DEFAULT_LOCATION } = req.body;
+  const quantity = parseInt(req.body.quantity);
+  const photoUrl = req.file ? `/uploads/${req.file.filename}` : null;
+  
+  // Don't keep evidence photos for write-offs that were never recorded
+  const discardPhoto = () => {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  };
+  
+  if (!product_id || !quantity || quantity <= 0) {
+    discardPhoto();
+    return res.status(400).json({ error: 'Valid product ID and quantity are required' });
+  }
+  
+  if (!WRITE_OFF_REASONS.includes(reason_code)) {
+    discardPhoto();
+    return res.status(400).json({ error: `Reason code must be one of: ${WRITE_OFF_REASONS.join(', ')}` });
+  }
+  
+  try {
+    const writeOff = await withTransaction(async () => {
+      await requireLocation(location);
+      requireLocationAccess(req.user, location);
+      return writeOffStock({
+        productId: product_id,
+        location,
+        quantity,
+        reasonCode: reason_code,
+        notes,
+        photoUrl,
+        userId: req.user.userId,
+        apiKeyId: req.user.apiKeyId
+      });
+    });
+    
+    const { stock } = writeOff;
+    if (stock.newQuantity <= stock.reorderLevel) {
+      createLowStockAlert(product_id, stock.newQuantity, stock.reorderLevel, location);
+    }
+    
+    console.log(`✅ Write-off recorded: Product ${product_id} at ${location}, ${quantity} units (${reason_code}), Cost ${writeOff.totalCost}`);
+    res.status(201).json({
+      id: writeOff.id,
+      message: 'Write-off recorded successfully',
+      totalCost: writeOff.totalCost,
+      photoUrl,
+      newQuantity: stock.newQuantity
+    });
+  } catch (error) {
+    discardPhoto();
+    sendError(res, error, 'Failed to record write-off');
+  }
+});
+
+// Shrinkage valued at cost, broken down by reason, category and user
+app.get('/api/reports/shrinkage', authenticateToken, requirePermission('report.view_costs'), async (req, res) => {
+  const { startDate, endDate, location } = req.query;
+  
+  let filters = ' WHERE 1=1';
+  const params = [];
+  
+  if (startDate) {
+    filters += ' AND DATE(w.created_at) >= ?';
+    params.push(startDate);
+  }
+  
+  if (endDate) {
+    filters += ' AND DATE(w.created_at) <= ?';
+    params.push(endDate);
+  }
+  
+  if (location) {
+    filters += ' AND w.location = ?';
+    params.push(location);
+  }
+  
+  const breakdown = (groupColumn, label) => dbAll(
+    `SELECT 
+       ${groupColumn} as ${label},
+       COUNT(*) as write_off_count,
+       SUM(w.quantity) as units,
+       ROUND(SUM(w.total_cost), 2) as total_cost
+     FROM write_offs w
+     JOIN products p ON w.product_id = p.id
+     LEFT JOIN users u ON w.user_id = u.id
+     ${filters}
+     GROUP BY ${groupColumn}
+     ORDER BY total_cost DESC`,
+    params
+  );
+  
+  try {
+    const totals = await dbGet(
+      `SELECT 
+         COUNT(*) as write_off_count,
+         COALESCE(SUM(w.quantity), 0) as units,
+         COALESCE(ROUND(SUM(w.total_cost), 2), 0) as total_cost
+       FROM write_offs w
+       ${filters}`,
+      params
+    );
+    
+    res.json({
+      startDate: startDate || null,
+      endDate: endDate || null,
+      location: location || null,
+      totals,
+      byReason: await breakdown('w.reason_code', 'reason_code'),
+      byCategory: await breakdown('p.category', 'category'),
+      byUser: await breakdown("COALESCE(u.username, 'unknown')", 'user_name')
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to build shrinkage report');
+  }
+});
+
+// Sales tax liability for filing: tax collected on sales less tax refunded on returns, by
+// period and tax class. Returns count in the period they were refunded.
+const TAX_PERIODS = {
+  month: date => `strftime('%Y-%m', ${date})`,
+  quarter: date => `strftime('%Y', ${date}) || '-Q' || ((CAST(strftime('%m', ${date}) AS INTEGER) + 2) / 3)`,
+  year: date => `strftime('%Y', ${date})`
+};
+
+app.get('/api/reports/sales-tax', authenticateToken, requirePermission('report.view'), async (req, res) => {
+  const { startDate, endDate, groupBy = 'month' } = req.query;
+  
+  if (!TAX_PERIODS[groupBy]) {
+    return res.status(400).json({ error: `groupBy must be one of ${Object.keys(TAX_PERIODS).join(', ')}` });
+  }
+  
+  const dateFilters = column => {
+    let sql = '';
+    const params = [];
+    if (startDate) {
+      sql += ` AND DATE(${column}) >= ?`;
+      params.push(startDate);
+    }
+    if (endDate) {
+      sql += ` AND DATE(${column}) <= ?`;
+      params.push(endDate);
+    }
+    return { sql, params };
+  };
+  
+  try {
+    const saleFilters = dateFilters('s.sale_date');
+    const sales = await dbAll(
+      `SELECT 
+         ${TAX_PERIODS[groupBy]('s.sale_date')} as period,
+         COALESCE(s.tax_class, 'unclassified') as tax_class,
+         COUNT(*) as sales_count,
+         ROUND(SUM(s.total_amount), 2) as gross_sales,
+         ROUND(SUM(s.taxable_amount), 2) as taxable_sales,
+         ROUND(SUM(CASE WHEN s.tax_exempt_customer_id IS NOT NULL THEN s.total_amount ELSE 0 END), 2) as exempt_customer_sales,
+         ROUND(SUM(s.tax_amount), 2) as tax_collected
+       FROM sales s
+       WHERE 1=1 ${saleFilters.sql}
+       GROUP BY period, tax_class`,
+      saleFilters.params
+    );
+    
+    const returnFilters = dateFilters('r.created_at');
+    const refunds = await dbAll(
+      `SELECT 
+         ${TAX_PERIODS[groupBy]('r.created_at')} as period,
+         COALESCE(s.tax_class, 'unclassified') as tax_class,
+         ROUND(SUM(r.refund_amount), 2) as refunded_sales,
+         ROUND(SUM(r.tax_refund), 2) as tax_refunded
+       FROM returns r
+       JOIN sales s ON r.sale_id = s.id
+       WHERE 1=1 ${returnFilters.sql}
+       GROUP BY period, tax_class`,
+      returnFilters.params
+    );
+    
+    const rows = new Map();
+    const empty = (period, tax_class) => ({
+      period, tax_class, sales_count: 0, gross_sales: 0, taxable_sales: 0, exempt_sales: 0, unclassified_sales: 0,
+      exempt_customer_sales: 0, tax_collected: 0, refunded_sales: 0, tax_refunded: 0, net_tax_due: 0
+    });
+    
+    sales.forEach(row => {
+      rows.set(`${row.period}|${row.tax_class}`, { ...empty(row.period, row.tax_class), ...row });
+    });
+    refunds.forEach(row => {
+      const key = `${row.period}|${row.tax_class}`;
+      rows.set(key, { ...(rows.get(key) || empty(row.period, row.tax_class)), ...row });
+    });
+    
+    // Sales recorded before tax classes existed were never assessed, so they aren't counted as exempt
+    const periods = [...rows.values()]
+      .map(row => ({
+        ...row,
+        exempt_sales: row.tax_class === 'unclassified' ? 0 : roundCents(row.gross_sales - row.taxable_sales),
+        unclassified_sales: row.tax_class === 'unclassified' ? row.gross_sales : 0,
+        net_tax_due: roundCents(row.tax_collected - row.tax_refunded)
+      }))
+      .sort((a, b) => a.period.localeCompare(b.period) || a.tax_class.localeCompare(b.tax_class));
+    
+    const totals = ['sales_count', 'gross_sales', 'taxable_sales', 'exempt_sales', 'unclassified_sales', 'exempt_customer_sales',
+      'tax_collected', 'refunded_sales', 'tax_refunded', 'net_tax_due']
+      .reduce((totals, field) => ({
+        ...totals,
+        [field]: roundCents(periods.reduce((sum, row) => sum + row[field], 0))
+      }), {});
+    
+    res.json({
+      startDate: startDate || null,
+      endDate: endDate || null,
+      groupBy,
+      totals,
+      periods
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to build sales tax report');
+  }
+});
+
+// Stock Count Routes
+app.get('/api/count-sessions', authenticateToken, requirePermission('stock.view'), (req, res) => {
+  const { status, location, limit = 50 } = req.query;
+  
+  let sql = `
+    SELECT 
+      cs.*,
+      u.username as started_by_name,
+      COUNT(ci.id) as item_count,
+      (SELECT COUNT(DISTINCT product_id) FROM count_entries WHERE session_id = cs.id) as items_counted
+    FROM count_sessions cs
+    LEFT JOIN count_session_items ci ON cs.id = ci.session_id
+    LEFT JOIN users u ON cs.started_by = u.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (status) {
+    sql += ' AND cs.status = ?';
+    params.push(status);
+  }
+  
+  if (location) {
+    sql += ' AND cs.location = ?';
+    params.push(location);
+  }
+  
+  sql += ' GROUP BY cs.id ORDER BY cs.started_at DESC, cs.id DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Count sessions fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch count sessions' });
+    }
+    res.json(rows);
+  });
+});
+
+// Start a count scoped to a location and optionally a category or shelf range.
+// Expected quantities and costs are frozen at this point.
+app.post('/api/count-sessions', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  const { name, count_type = 'cycle', location = DEFAULT_LOCATION, category, shelf_from, shelf_to, notes } = req.body;
+  
+  if (!['full', 'cycle'].includes(count_type)) {
+    return res.status(400).json({ error: 'Count type must be full or cycle' });
+  }
+  
+  try {
+    const sessionId = await withTransaction(async () => {
+      await requireLocation(location);
+      requireLocationAccess(req.user, location);
+      
+      let scopeSql = `
+        SELECT i.product_id, i.quantity, i.shelf_location, COALESCE(p.cost_price, 0) as unit_cost
+        FROM inventory i
+        JOIN products p ON i.product_id = p.id
+        WHERE i.location = ?
+      `;
+      const scopeParams = [location];
+      
+      if (category) {
+        scopeSql += ' AND p.category = ?';
+        scopeParams.push(category);
+      }
+      
+      if (shelf_from) {
+        scopeSql += ' AND i.shelf_location >= ?';
+        scopeParams.push(shelf_from);
+      }
+      
+      if (shelf_to) {
+        scopeSql += ' AND i.shelf_location <= ?';
+        scopeParams.push(shelf_to);
+      }
+      
+      const snapshot = await dbAll(scopeSql + ' ORDER BY i.shelf_location, i.product_id', scopeParams);
+      if (snapshot.length === 0) {
+        throw new HttpError(400, 'No inventory matches the count scope');
+      }
+      
+      const { lastID } = await dbRun(
+        `INSERT INTO count_sessions (name, count_type, location, category, shelf_from, shelf_to, notes, started_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, count_type, location, category, shelf_from, shelf_to, notes, req.user.userId]
+      );
+      
+      await dbRun(
+        "UPDATE count_sessions SET session_number = ? WHERE id = ?",
+        [`CNT-${String(lastID).padStart(5, '0')}`, lastID]
+      );
+      
+      for (const row of snapshot) {
+        await dbRun(
+          `INSERT INTO count_session_items (session_id, product_id, shelf_location, expected_quantity, unit_cost) 
+           VALUES (?, ?, ?, ?, ?)`,
+          [lastID, row.product_id, row.shelf_location, row.quantity, row.unit_cost]
+        );
+      }
+      
+      return lastID;
+    });
+    
+    const session = await dbGet("SELECT * FROM count_sessions WHERE id = ?", [sessionId]);
+    console.log(`✅ Count session started: ${session.session_number} at ${location}`);
+    res.status(201).json(await getCountVariance(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to start count session');
+  }
+});
+
+// Session detail with the variance report (live while counting, as posted once approved)
+app.get('/api/count-sessions/:id', authenticateToken, requirePermission('stock.view'), async (req, res) => {
+  try {
+    const session = await dbGet("SELECT * FROM count_sessions WHERE id = ?", [req.params.id]);
+    if (!session) {
+      return res.status(404).json({ error: 'Count session not found' });
+    }
+    res.json(await getCountVariance(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch count session');
+  }
+});
+
+// Submit counted quantities; several counters may count the same item
+app.post('/api/count-sessions/:id/counts', authenticateToken, requirePermission('stock.count'), async (req, res) => {
+  const { counts } = req.body;
+  
+  if (!Array.isArray(counts) || counts.length === 0) {
+    return res.status(400).json({ error: 'At least one count is required' });
+  }
+  
+  try {
+    await withTransaction(async () => {
+      const session = await dbGet("SELECT * FROM count_sessions WHERE id = ?", [req.params.id]);
+      if (!session) {
+        throw new HttpError(404, 'Count session not found');
+      }
+      if (session.status !== 'open') {
+        throw new HttpError(400, `Cannot add counts to a ${session.status} session`);
+      }
+      requireLocationAccess(req.user, session.location);
+      
+      for (const { product_id, counted_quantity } of counts) {
+        const quantity = parseInt(counted_quantity);
+        const item = await dbGet(
+          "SELECT id FROM count_session_items WHERE session_id = ? AND product_id = ?",
+          [session.id, product_id]
+        );
+        
+        if (!item) {
+          throw new HttpError(400, `Product ${product_id} is not in this count`);
+        }
+        if (isNaN(quantity) || quantity < 0) {
+          throw new HttpError(400, `Invalid counted quantity for product ${product_id}`);
+        }
+        
+        await dbRun(
+          "INSERT INTO count_entries (session_id, product_id, counted_quantity, user_id) VALUES (?, ?, ?, ?)",
+          [session.id, product_id, quantity, req.user.userId]
+        );
+      }
+    });
+    
+    console.log(`✅ ${counts.length} count(s) recorded for session ${req.params.id} by ${req.user.username}`);
+    res.status(201).json({ message: 'Counts recorded successfully', recorded: counts.length });
+  } catch (error) {
+    sendError(res, error, 'Failed to record counts');
+  }
+});
+
+// Counting finished; the session waits for manager approval
+app.put('/api/count-sessions/:id/submit', authenticateToken, requirePermission('stock.count'), async (req, res) => {
+  const scope = roleLocation(req.user);
+  
+  try {
+    const { changes } = await dbRun(
+      `UPDATE count_sessions SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP 
+       WHERE id = ? AND status = 'open' AND (? IS NULL OR location = ?)`,
+      [req.params.id, scope, scope]
+    );
+    if (changes === 0) {
+      throw new HttpError(400, scope ? `Only open count sessions at ${scope} can be submitted` : 'Only open count sessions can be submitted');
+    }
+    
+    console.log(`✅ Count session submitted: ID ${req.params.id} by ${req.user.username}`);
+    res.json({ message: 'Count session submitted for approval' });
+  } catch (error) {
+    sendError(res, error, 'Failed to submit count session');
+  }
+});
+
+// Approve a submitted count: post an adjustment for every variance and keep the report
+app.put('/api/count-sessions/:id/approve', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    const { session, report } = await withTransaction(async () => {
+      const session = await dbGet("SELECT * FROM count_sessions WHERE id = ?", [req.params.id]);
+      if (!session) {
+        throw new HttpError(404, 'Count session not found');
+      }
+      if (session.status !== 'submitted') {
+        throw new HttpError(400, `Cannot approve a ${session.status} count session`);
+      }
+      requireLocationAccess(req.user, session.location);
+      
+      const report = await getCountVariance(session);
+      
+      for (const item of report.items) {
+        if (item.counted_quantity === null) continue;
+        
+        if (item.variance !== 0) {
+          await adjustStock({
+            productId: item.product_id,
+            location: session.location,
+            change: item.variance,
+            movementType: 'adjustment',
+            reason: `Count ${session.session_number} variance`,
+            userId: req.user.userId,
+            apiKeyId: req.user.apiKeyId,
+            referenceType: 'count_session',
+            referenceId: session.id
+          });
+        }
+        
+        await dbRun(
+          `UPDATE count_session_items SET 
+           counted_quantity = ?, movements_during_count = ?, sales_during_count = ?, variance = ?, variance_cost = ? 
+           WHERE id = ?`,
+          [item.counted_quantity, item.movements_during_count, item.sales_during_count, item.variance, item.variance_cost, item.id]
+        );
+      }
+      
+      await dbRun(
+        `UPDATE count_sessions SET status = 'approved', approved_by = ?, approved_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [req.user.userId, session.id]
+      );
+      
+      return { session, report };
+    });
+    
+    console.log(`✅ Count session approved: ${session.session_number}, variance cost ${report.totals.variance_cost}`);
+    res.json(await getCountVariance(await dbGet("SELECT * FROM count_sessions WHERE id = ?", [session.id])));
+  } catch (error) {
+    sendError(res, error, 'Failed to approve count session');
+  }
+});
+
+app.put('/api/count-sessions/:id/cancel', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  const scope = roleLocation(req.user);
+  
+  try {
+    const { changes } = await dbRun(
+      `UPDATE count_sessions SET status = 'cancelled' 
+       WHERE id = ? AND status IN ('open', 'submitted') AND (? IS NULL OR location = ?)`,
+      [req.params.id, scope, scope]
+    );
+    if (changes === 0) {
+      throw new HttpError(400, scope
+        ? `Only open or submitted count sessions at ${scope} can be cancelled`
+        : 'Only open or submitted count sessions can be cancelled');
+    }
+    
+    console.log(`✅ Count session cancelled: ID ${req.params.id} by ${req.user.username}`);
+    res.json({ message: 'Count session cancelled successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel count session');
+  }
+});
+
+// Analytics Routes
+app.get('/api/analytics/dashboard', authenticateToken, requirePermission('dashboard.view'), (req, res) => {
+  const queries = {
+    totalProducts: "SELECT COUNT(*) as count FROM products",
+    totalValue: `
+      SELECT COALESCE(SUM(i.quantity * p.sell_price), 0) as total 
+      FROM inventory i 
+      JOIN products p ON i.product_id = p.id
+    `,
+    lowStockCount: "SELECT COUNT(*) as count FROM inventory WHERE quantity <= reorder_level",
+    outOfStockCount: "SELECT COUNT(*) as count FROM inventory WHERE quantity = 0",
+    todaySales: `
+      SELECT 
+        COUNT(*) as count, 
+        ROUND(COALESCE(SUM(total_amount), 0) - r.refunds, 2) as revenue,
+        ROUND(COALESCE(SUM(total_amount + discount_amount), 0), 2) as gross,
+        ROUND(COALESCE(SUM(discount_amount), 0), 2) as discounts,
+        r.refunds
+      FROM sales, (
+        SELECT COALESCE(SUM(refund_amount), 0) as refunds FROM returns WHERE DATE(created_at) = DATE('now')
+      ) r
+      WHERE DATE(sale_date) = DATE('now')
+    `,
+    weekSales: `
+      SELECT 
+        COUNT(*) as count, 
+        ROUND(COALESCE(SUM(total_amount), 0) - r.refunds, 2) as revenue,
+        ROUND(COALESCE(SUM(total_amount + discount_amount), 0), 2) as gross,
+        ROUND(COALESCE(SUM(discount_amount), 0), 2) as discounts,
+        r.refunds
+      FROM sales, (
+        SELECT COALESCE(SUM(refund_amount), 0) as refunds FROM returns WHERE created_at >= DATE('now', '-7 days')
+      ) r
+      WHERE sale_date >= DATE('now', '-7 days')
+    `,
+    monthSales: `
+      SELECT 
+        COUNT(*) as count, 
+        ROUND(COALESCE(SUM(total_amount), 0) - r.refunds, 2) as revenue,
+        ROUND(COALESCE(SUM(total_amount + discount_amount), 0), 2) as gross,
+        ROUND(COALESCE(SUM(discount_amount), 0), 2) as discounts,
+        r.refunds
+      FROM sales, (
+        SELECT COALESCE(SUM(refund_amount), 0) as refunds FROM returns WHERE created_at >= DATE('now', '-30 days')
+      ) r
+      WHERE sale_date >= DATE('now', '-30 days')
+    `,
+    topSellingProduct: `
+      SELECT 
+        p.name,
+        SUM(s.quantity_sold) as total_sold,
+        ROUND(SUM(s.total_amount) - COALESCE(r.refunds, 0), 2) as total_revenue
+      FROM sales s
+      JOIN products p ON s.product_id = p.id
+      LEFT JOIN (
+        SELECT product_id, SUM(refund_amount) as refunds 
+        FROM returns 
+        WHERE created_at >= DATE('now', '-30 days')
+        GROUP BY product_id
+      ) r ON r.product_id = s.product_id
+      WHERE s.sale_date >= DATE('now', '-30 days')
+      GROUP BY s.product_id, p.name
+      ORDER BY total_sold DESC
+      LIMIT 1
+    `
+  };
+  
+  const results = {};
+  let completed = 0;
+  const totalQueries = Object.keys(queries).length;
+  
+  Object.entries(queries).forEach(([key, sql]) => {
+    db.get(sql, (err, row) => {
+      if (err) {
+        console.error(`Analytics query error (${key}):`, err);
+        results[key] = key === 'topSellingProduct' ? null : { count: 0, total: 0, revenue: 0 };
+      } else {
+        results[key] = row;
+      }
+      
+      completed++;
+      if (completed === totalQueries) {
+        res.json(results);
+      }
+    });
+  });
+});
+
+app.get('/api/analytics/sales-trend', authenticateToken, requirePermission('dashboard.view'), (req, res) => {
+  const { period = '30' } = req.query;
+  
+  // Gross revenue is at list price; revenue is net of discounts and of refunds issued that
+  // day. Days with only refunds still appear.
+  const sql = `
+    WITH daily_sales AS (
+      SELECT 
+        DATE(sale_date) as date,
+        COUNT(*) as sales_count,
+        SUM(quantity_sold) as items_sold,
+        SUM(total_amount + discount_amount) as gross_revenue,
+        SUM(discount_amount) as discounts,
+        SUM(total_amount) as sales_revenue,
+        COUNT(DISTINCT product_id) as unique_products
+      FROM sales 
+      WHERE sale_date >= DATE('now', '-${parseInt(period)} days')
+      GROUP BY DATE(sale_date)
+    ),
+    daily_refunds AS (
+      SELECT 
+        DATE(created_at) as date,
+        SUM(quantity) as items_returned,
+        SUM(refund_amount) as refunds
+      FROM returns 
+      WHERE created_at >= DATE('now', '-${parseInt(period)} days')
+      GROUP BY DATE(created_at)
+    )
+    SELECT 
+      d.date,
+      COALESCE(s.sales_count, 0) as sales_count,
+      COALESCE(s.items_sold, 0) as items_sold,
+      ROUND(COALESCE(s.sales_revenue, 0) - COALESCE(r.refunds, 0), 2) as revenue,
+      ROUND(COALESCE(s.gross_revenue, 0), 2) as gross_revenue,
+      ROUND(COALESCE(s.discounts, 0), 2) as discounts,
+      COALESCE(r.refunds, 0) as refunds,
+      COALESCE(r.items_returned, 0) as items_returned,
+      COALESCE(s.unique_products, 0) as unique_products
+    FROM (SELECT date FROM daily_sales UNION SELECT date FROM daily_refunds) d
+    LEFT JOIN daily_sales s ON s.date = d.date
+    LEFT JOIN daily_refunds r ON r.date = d.date
+    ORDER BY d.date ASC
+  `;
+  
+  db.all(sql, (err, rows) => {
+    if (err) {
+      console.error('Sales trend error:', err);
+      return res.status(500).json({ error: 'Failed to fetch sales trend' });
+    }
+    res.json(rows);
+  });
+});
+
+app.get('/api/analytics/category-distribution', authenticateToken, requirePermission('dashboard.view'), (req, res) => {
+  const sql = `
+    SELECT 
+      p.category,
+      COUNT(DISTINCT p.id) as product_count,
+      SUM(i.quantity) as total_inventory,
+      SUM(i.quantity * p.sell_price) as total_value,
+      AVG(p.sell_price) as avg_price,
+      MIN(p.sell_price) as min_price,
+      MAX(p.sell_price) as max_price
+    FROM products p
+    JOIN (
+      SELECT product_id, SUM(quantity) as quantity
+      FROM inventory
+      GROUP BY product_id
+    ) i ON p.id = i.product_id
+    GROUP BY p.category
+    ORDER BY total_value DESC
+  `;
+  
+  db.all(sql, (err, rows) => {
+    if (err) {
+      console.error('Category distribution error:', err);
+      return res.status(500).json({ error: 'Failed to fetch category distribution' });
+    }
+    res.json(rows);
+  });
+});
+
+app.get('/api/analytics/top-products', authenticateToken, requirePermission('dashboard.view'), (req, res) => {
+  const { period = '30', metric = 'revenue', limit = 10, rollup } = req.query;
+  
+  const orderBy = metric === 'quantity' ? 'total_sold' : 'total_revenue';
+  
+  // rollup=parent counts variant sales against their parent product
+  const productJoin = rollup === 'parent'
+    ? 'JOIN products v ON s.product_id = v.id\n    JOIN products p ON p.id = COALESCE(v.parent_id, v.id)'
+    : 'JOIN products p ON s.product_id = p.id';
+  
+  // total_revenue is net of discounts (the same figure as net_revenue)
+  const sql = `
+    SELECT 
+      p.id,
+      p.name,
+      p.category,
+      p.sell_price,
+      SUM(s.quantity_sold) as total_sold,
+      ROUND(SUM(s.total_amount + s.discount_amount), 2) as gross_revenue,
+      ROUND(SUM(s.discount_amount), 2) as discount_amount,
+      ROUND(SUM(s.total_amount), 2) as net_revenue,
+      SUM(s.total_amount) as total_revenue,
+      COUNT(s.id) as transaction_count,
+      AVG(s.quantity_sold) as avg_quantity_per_sale
+    FROM sales s
+    ${productJoin}
+    WHERE s.sale_date >= DATE('now', '-${parseInt(period)} days')
+    GROUP BY p.id, p.name, p.category, p.sell_price
+    ORDER BY ${orderBy} DESC
+    LIMIT ?
+  `;
+  
+  db.all(sql, [parseInt(limit)], (err, rows) => {
+    if (err) {
+      console.error('Top products error:', err);
+      return res.status(500).json({ error: 'Failed to fetch top products' });
+    }
+    res.json(rows);
+  });
+});
+
+// Units, revenue and stock per variant option value (e.g. per size) for a parent product or
+// a category, with each value's share of units sold to guide buying
+app.get('/api/analytics/variant-breakdown', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
+  const { product_id, category, attribute = 'size', period = '30' } = req.query;
+  
+  if (!/^[a-z0-9_]+$/.test(attribute)) {
+    return res.status(400).json({ error: 'Invalid attribute' });
+  }
+  
+  const path = `$.${attribute}`;
+  let sql = `
+    SELECT 
+      json_extract(p.variant_attributes, ?) as value,
+      COUNT(p.id) as variant_count,
+      COALESCE(SUM(sold.units), 0) as units_sold,
+      ROUND(COALESCE(SUM(sold.revenue), 0), 2) as revenue,
+      COALESCE(SUM(stock.quantity), 0) as current_stock
+    FROM products p
+    LEFT JOIN (
+      SELECT product_id, SUM(quantity_sold) as units, SUM(total_amount) as revenue
+      FROM sales
+      WHERE sale_date >= DATE('now', '-${parseInt(period)} days')
+      GROUP BY product_id
+    ) sold ON sold.product_id = p.id
+    LEFT JOIN (
+      SELECT product_id, SUM(quantity) as quantity FROM inventory GROUP BY product_id
+    ) stock ON stock.product_id = p.id
+    WHERE p.parent_id IS NOT NULL AND json_extract(p.variant_attributes, ?) IS NOT NULL
+  `;
+  const params = [path, path];
+  
+  if (product_id) {
+    sql += ' AND p.parent_id = ?';
+    params.push(product_id);
+  }
+  
+  if (category && category !== 'all') {
+    sql += ' AND p.category = ?';
+    params.push(category);
+  }
+  
+  sql += ' GROUP BY value ORDER BY units_sold DESC';
+  
+  try {
+    const rows = await dbAll(sql, params);
+    
+    // For a single product, keep the option order it was set up with (S, M, L rather than by sales)
+    if (product_id) {
+      const parent = await dbGet("SELECT variant_options FROM products WHERE id = ?", [product_id]);
+      const option = parent && parent.variant_options && JSON.parse(parent.variant_options).find(o => o.name === attribute);
+      if (option) {
+        rows.sort((a, b) => option.values.indexOf(a.value) - option.values.indexOf(b.value));
+      }
+    }
+    
+    const totalUnits = rows.reduce((sum, row) => sum + row.units_sold, 0);
+    res.json({
+      attribute,
+      period: parseInt(period),
+      total_units: totalUnits,
+      values: rows.map(row => ({
+        ...row,
+        unit_share: totalUnits > 0 ? parseFloat((row.units_sold / totalUnits * 100).toFixed(1)) : 0,
+        sell_through_rate: row.units_sold + row.current_stock > 0
+          ? parseFloat((row.units_sold / (row.units_sold + row.current_stock) * 100).toFixed(1))
+          : 0
+      }))
+    });
+  } catch (error) {
+    console.error('Variant breakdown error:', error);
+    res.status(500).json({ error: 'Failed to fetch variant breakdown' });
+  }
+});
+
+// Forecast Routes
+function forecastOptions(query) {
+  const options = {
+    location: query.location,
+    category: query.category,
+    serviceLevel: query.service_level !== undefined ? parseFloat(query.service_level) : undefined
+  };
+
+  for (const [param, option] of [
+    ['history_days', 'historyDays'], ['average_days', 'averageDays'],
+    ['lead_time_days', 'leadTimeDays'], ['review_days', 'reviewDays']
+  ]) {
+    if (query[param] === undefined) continue;
+    const value = parseInt(query[param]);
+    if (isNaN(value) || value < (param === 'lead_time_days' ? 0 : 1) || value > 365) {
+      throw new HttpError(400, `Invalid ${param}`);
+    }
+    options[option] = value;
+  }
+
+  if (options.averageDays > (options.historyDays || 56)) {
+    throw new HttpError(400, 'average_days cannot exceed history_days');
+  }
+
+  Object.keys(options).forEach(option => options[option] === undefined && delete options[option]);
+  return options;
+}
+
+app.get('/api/forecast', authenticateToken, requirePermission('stock.view'), async (req, res) => {
+  try {
+    let forecasts = await forecastDemand(forecastOptions(req.query));
+    
+    if (req.query.at_risk === 'true') {
+      forecasts = forecasts.filter(forecast => forecast.projected_stockout);
+    }
+    
+    res.json(forecasts);
+  } catch (error) {
+    sendError(res, error, 'Failed to build demand forecast');
+  }
+});
+
+app.get('/api/forecast/:productId', authenticateToken, requirePermission('stock.view'), async (req, res) => {
+  try {
+    const forecasts = await forecastDemand({ ...forecastOptions(req.query), productId: req.params.productId });
+    
+    if (forecasts.length === 0) {
+      return res.status(404).json({ error: 'No inventory found for product' });
+    }
+    
+    res.json(forecasts);
+  } catch (error) {
+    sendError(res, error, 'Failed to build demand forecast');
+  }
+});
+
+// Replace hand-set reorder levels with the forecast recommendation for the items in scope
+app.post('/api/forecast/apply-reorder-levels', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    const forecasts = await forecastDemand(forecastOptions({ ...req.query, ...req.body }));
+    // Items without recent sales keep their hand-set level
+    const changed = forecasts.filter(forecast =>
+      forecast.daily_velocity > 0 && forecast.recommended_reorder_level !== forecast.reorder_level
+    );
+    changed.forEach(forecast => requireLocationAccess(req.user, forecast.location));
+    
+    await withTransaction(async () => {
+      for (const forecast of changed) {
+        await dbRun(
+          "UPDATE inventory SET reorder_level = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ? AND location = ?",
+          [forecast.recommended_reorder_level, forecast.product_id, forecast.location]
+        );
+      }
+    });
+    
+    console.log(`✅ Reorder levels updated from forecast: ${changed.length} item(s) by ${req.user.username}`);
+    res.json({
+      message: 'Reorder levels updated successfully',
+      updated: changed.map(forecast => ({
+        product_id: forecast.product_id,
+        location: forecast.location,
+        previous_reorder_level: forecast.reorder_level,
+        reorder_level: forecast.recommended_reorder_level
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to apply reorder levels');
+  }
+});
+
+// Alerts Routes
+app.get('/api/alerts', authenticateToken, requirePermission('alert.view'), (req, res) => {
+  const { status = 'active', type, location } = req.query;
+  
+  let sql = `
+    SELECT 
+      a.*,
+      p.name as product_name,
+      p.category,
+      p.sku,
+      i.quantity as current_quantity,
+      i.reorder_level
+    FROM alerts a
+    JOIN products p ON a.product_id = p.id
+    LEFT JOIN inventory i ON a.product_id = i.product_id AND i.location = COALESCE(a.location, '${DEFAULT_LOCATION}')
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  // "open" covers active, acknowledged and snoozed alerts
+  if (status === 'open') {
+    sql += ` AND a.${OPEN_ALERTS}`;
+  } else {
+    sql += ' AND a.status = ?';
+    params.push(status);
+  }
+  
+  if (type) {
+    sql += ' AND a.alert_type = ?';
+    params.push(type);
+  }
+  
+  if (location) {
+    sql += ' AND a.location = ?';
+    params.push(location);
+  }
+  
+  sql += ' ORDER BY a.priority DESC, a.created_at DESC';
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Alerts fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+    res.json(rows);
+  });
+});
+
+app.get('/api/alerts/:id/history', authenticateToken, requirePermission('alert.view'), (req, res) => {
+  db.all(
+    "SELECT * FROM alert_history WHERE alert_id = ? ORDER BY created_at, id",
+    [req.params.id],
+    (err, rows) => {
+      if (err) {
+        console.error('Alert history fetch error:', err);
+        return res.status(500).json({ error: 'Failed to fetch alert history' });
+      }
+      res.json(rows);
+    }
+  );
+});
+
+// Lifecycle transitions. The optional note (or dismissal reason) is kept in the alert history.
+app.put('/api/alerts/:id/acknowledge', authenticateToken, requirePermission('alert.manage'), async (req, res) => {
+  try {
+    const alert = await transitionAlert(req.params.id, 'acknowledge', { actor: req.user.username, note: req.body.note });
+    console.log(`✅ Alert acknowledged: ID ${alert.id} by ${req.user.username}`);
+    res.json(alert);
+  } catch (error) {
+    sendError(res, error, 'Failed to acknowledge alert');
+  }
+});
+
+app.put('/api/alerts/:id/snooze', authenticateToken, requirePermission('alert.manage'), async (req, res) => {
+  const until = new Date(req.body.until);
+  
+  if (!req.body.until || isNaN(until.getTime()) || until <= new Date()) {
+    return res.status(400).json({ error: 'A future "until" date is required' });
+  }
+  
+  try {
+    const alert = await transitionAlert(req.params.id, 'snooze', {
+      actor: req.user.username,
+      note: req.body.note,
+      snoozedUntil: toDbTimestamp(until)
+    });
+    console.log(`✅ Alert snoozed: ID ${alert.id} until ${alert.snoozed_until} by ${req.user.username}`);
+    res.json(alert);
+  } catch (error) {
+    sendError(res, error, 'Failed to snooze alert');
+  }
+});
+
+app.put('/api/alerts/:id/dismiss', authenticateToken, requirePermission('alert.resolve'), async (req, res) => {
+  if (!req.body.reason) {
+    return res.status(400).json({ error: 'A reason is required to dismiss an alert' });
+  }
+  
+  try {
+    const alert = await transitionAlert(req.params.id, 'dismiss', { actor: req.user.username, note: req.body.reason });
+    console.log(`✅ Alert dismissed: ID ${alert.id} by ${req.user.username}`);
+    res.json(alert);
+  } catch (error) {
+    sendError(res, error, 'Failed to dismiss alert');
+  }
+});
+
+app.put('/api/alerts/:id/resolve', authenticateToken, requirePermission('alert.resolve'), async (req, res) => {
+  try {
+    const alert = await transitionAlert(req.params.id, 'resolve', { actor: req.user.username, note: req.body.reason });
+    console.log(`✅ Alert resolved: ID ${alert.id} by ${req.user.username}`);
+    res.json({ message: 'Alert resolved successfully', alert });
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve alert');
+  }
+});
+
+// Time to acknowledge and resolve per alert type, in hours
+app.get('/api/reports/alert-resolution', authenticateToken, requirePermission('report.view'), (req, res) => {
+  const { startDate, endDate } = req.query;
+  
+  let sql = `
+    SELECT 
+      alert_type,
+      COUNT(*) as alert_count,
+      SUM(CASE WHEN ${OPEN_ALERTS} THEN 1 ELSE 0 END) as open_count,
+      SUM(CASE WHEN status = 'resolved' THEN 1 ELSE 0 END) as resolved_count,
+      SUM(CASE WHEN status = 'dismissed' THEN 1 ELSE 0 END) as dismissed_count,
+      SUM(CASE WHEN escalated_at IS NOT NULL THEN 1 ELSE 0 END) as escalated_count,
+      ROUND(AVG((julianday(acknowledged_at) - julianday(created_at)) * 24), 2) as avg_hours_to_acknowledge,
+      ROUND(AVG(CASE WHEN status = 'resolved' THEN (julianday(resolved_at) - julianday(created_at)) * 24 END), 2) as avg_hours_to_resolve,
+      ROUND(MAX(CASE WHEN status = 'resolved' THEN (julianday(resolved_at) - julianday(created_at)) * 24 END), 2) as max_hours_to_resolve
+    FROM alerts
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (startDate) {
+    sql += ' AND DATE(created_at) >= ?';
+    params.push(startDate);
+  }
+  
+  if (endDate) {
+    sql += ' AND DATE(created_at) <= ?';
+    params.push(endDate);
+  }
+  
+  sql += ' GROUP BY alert_type ORDER BY alert_count DESC';
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Alert resolution report error:', err);
+      return res.status(500).json({ error: 'Failed to generate alert resolution report' });
+    }
+    res.json(rows);
+  });
+});
+
+// Alert Rule Routes
+function validateAlertRule(body, existing = {}) {
+  const rule = { ...existing, ...body };
+  
+  if (!rule.name) {
+    throw new HttpError(400, 'Rule name is required');
+  }
+  if (!ALERT_RULE_TYPES.includes(rule.rule_type)) {
+    throw new HttpError(400, `Rule type must be one of ${ALERT_RULE_TYPES.join(', ')}`);
+  }
+  if (!ALERT_PRIORITIES.includes(rule.priority || 'medium')) {
+    throw new HttpError(400, `Priority must be one of ${ALERT_PRIORITIES.join(', ')}`);
+  }
+  if (rule.product_id && rule.category) {
+    throw new HttpError(400, 'A rule applies to a product or a category, not both');
+  }
+  for (const field of ['threshold', 'dedup_hours']) {
+    if (rule[field] !== undefined && rule[field] !== null && (isNaN(parseFloat(rule[field])) || parseFloat(rule[field]) < 0)) {
+      throw new HttpError(400, `${field} must be a non-negative number`);
+    }
+  }
+  
+  return rule;
+}
+
+app.get('/api/alert-rules', authenticateToken, requirePermission('alert.view'), (req, res) => {
+  const { rule_type, category, product_id } = req.query;
+  
+  let sql = `
+    SELECT ar.*, p.name as product_name
+    FROM alert_rules ar
+    LEFT JOIN products p ON ar.product_id = p.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (rule_type) {
+    sql += ' AND ar.rule_type = ?';
+    params.push(rule_type);
+  }
+  
+  if (category) {
+    sql += ' AND ar.category = ?';
+    params.push(category);
+  }
+  
+  if (product_id) {
+    sql += ' AND ar.product_id = ?';
+    params.push(product_id);
+  }
+  
+  sql += ' ORDER BY ar.rule_type, ar.product_id IS NULL, ar.category IS NULL, ar.name';
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Alert rules fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch alert rules' });
+    }
+    res.json(rows);
+  });
+});
+
+app.post('/api/alert-rules', authenticateToken, requirePermission('alert_rule.manage'), async (req, res) => {
+  try {
+    const rule = validateAlertRule(req.body);
+    const { lastID } = await dbRun(
+      `INSERT INTO alert_rules (name, rule_type, product_id, category, threshold, priority, dedup_hours, is_active, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        rule.name, rule.rule_type, rule.product_id || null, rule.category || null,
+        parseFloat(rule.threshold) || 0, rule.priority || 'medium',
+        rule.dedup_hours !== undefined ? parseInt(rule.dedup_hours) : 24,
+        rule.is_active === false ? 0 : 1, req.user.userId
+      ]
+    );
+    
+    console.log(`✅ Alert rule created: ${rule.name} (${rule.rule_type})`);
+    res.status(201).json(await dbGet("SELECT * FROM alert_rules WHERE id = ?", [lastID]));
+  } catch (error) {
+    sendError(res, error, 'Failed to create alert rule');
+  }
+});
+
+app.put('/api/alert-rules/:id', authenticateToken, requirePermission('alert_rule.manage'), async (req, res) => {
+  try {
+    const existing = await dbGet("SELECT * FROM alert_rules WHERE id = ?", [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    
+    const rule = validateAlertRule(req.body, existing);
+    await dbRun(
+      `UPDATE alert_rules SET 
+       name = ?, rule_type = ?, product_id = ?, category = ?, threshold = ?, priority = ?, 
+       dedup_hours = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [
+        rule.name, rule.rule_type, rule.product_id || null, rule.category || null,
+        parseFloat(rule.threshold) || 0, rule.priority, parseInt(rule.dedup_hours),
+        rule.is_active === false || rule.is_active === 0 ? 0 : 1, existing.id
+      ]
+    );
+    
+    console.log(`✅ Alert rule updated: ID ${existing.id} by ${req.user.username}`);
+    res.json(await dbGet("SELECT * FROM alert_rules WHERE id = ?", [existing.id]));
+  } catch (error) {
+    sendError(res, error, 'Failed to update alert rule');
+  }
+});
+
+app.delete('/api/alert-rules/:id', authenticateToken, requirePermission('alert_rule.manage'), async (req, res) => {
+  try {
+    const { changes } = await dbRun("DELETE FROM alert_rules WHERE id = ?", [req.params.id]);
+    if (changes === 0) {
+      throw new HttpError(404, 'Alert rule not found');
+    }
+    
+    console.log(`✅ Alert rule deleted: ID ${req.params.id}`);
+    res.json({ message: 'Alert rule deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete alert rule');
+  }
+});
+
+// Run the scheduled rule checks now
+app.post('/api/alert-rules/evaluate', authenticateToken, requirePermission('alert_rule.manage'), async (req, res) => {
+  try {
+    const raised = await evaluateAlertRules();
+    res.json({ message: 'Alert rules evaluated', raised });
+  } catch (error) {
+    sendError(res, error, 'Failed to evaluate alert rules');
+  }
+});
+
+// Stock Movement Routes
+app.get('/api/stock-movements', authenticateToken, requirePermission('stock.view'), (req, res) => {
+  const { product_id, movement_type, location, api_key_id, limit = 50 } = req.query;
+  
+  let sql = `
+    SELECT 
+      sm.*,
+      p.name as product_name,
+      p.sku,
+      u.username as user_name,
+      k.name as api_key_name
+    FROM stock_movements sm
+    JOIN products p ON sm.product_id = p.id
+    LEFT JOIN users u ON sm.user_id = u.id
+    LEFT JOIN api_keys k ON sm.api_key_id = k.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (product_id) {
+    sql += ' AND sm.product_id = ?';
+    params.push(product_id);
+  }
+  
+  if (movement_type) {
+    sql += ' AND sm.movement_type = ?';
+    params.push(movement_type);
+  }
+  
+  if (api_key_id) {
+    sql += ' AND sm.api_key_id = ?';
+    params.push(api_key_id);
+  }
+  
+  if (location) {
+    sql += ' AND sm.location = ?';
+    params.push(location);
+  }
+  
+  sql += ' ORDER BY sm.created_at DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Stock movements fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch stock movements' });
+    }
+    res.json(rows);
+  });
+});
+
+// Purchase Order Routes
+const PO_STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_received: ['cancelled'],
+  received: [],
+  cancelled: []
+};
+
+app.get('/api/purchase-orders', authenticateToken, requirePermission('purchase.view'), (req, res) => {
+  const { status, supplier, limit = 50 } = req.query;
+
+  let sql = `
+    SELECT
+      po.*,
+      u.username as created_by_name,
+      COUNT(poi.id) as item_count,
+      COALESCE(SUM(poi.quantity_ordered), 0) as units_ordered,
+      COALESCE(SUM(poi.quantity_received), 0) as units_received,
+      COALESCE(ROUND(SUM(poi.quantity_ordered * poi.unit_cost), 2), 0) as total_cost
+    FROM purchase_orders po
+    LEFT JOIN purchase_order_items poi ON po.id = poi.purchase_order_id
+    LEFT JOIN users u ON po.created_by = u.id
+    WHERE 1=1
+  `;
+
+  const params = [];
+
+  if (status) {
+    sql += ' AND po.status = ?';
+    params.push(status);
+  }
+
+  if (supplier) {
+    sql += ' AND po.supplier = ?';
+    params.push(supplier);
+  }
+
+  sql += ' GROUP BY po.id ORDER BY po.created_at DESC, po.id DESC LIMIT ?';
+  params.push(parseInt(limit));
+
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Purchase orders fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch purchase orders' });
+    }
+    res.json(rows);
+  });
+});
+
+app.get('/api/purchase-orders/:id', authenticateToken, requirePermission('purchase.view'), async (req, res) => {
+  try {
+    const order = await getPurchaseOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    res.json(order);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch purchase order');
+  }
+});
+
+app.post('/api/purchase-orders', authenticateToken, requirePermission('purchase.manage'), async (req, res) => {
+  const { supplier, expected_date, notes, items, location = DEFAULT_LOCATION } = req.body;
+
+  if (!supplier) {
+    return res.status(400).json({ error: 'Supplier is required' });
+  }
+
+  try {
+    const orderId = await withTransaction(async () => {
+      await requireLocation(location);
+      requireLocationAccess(req.user, location);
+      const lineItems = await validatePurchaseOrderItems(items);
+
+      const { lastID } = await dbRun(
+        `INSERT INTO purchase_orders (supplier, location, expected_date, notes, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [supplier, location, expected_date, notes, req.user.userId]
+      );
+
+      await dbRun(
+        "UPDATE purchase_orders SET po_number = ? WHERE id = ?",
+        [`PO-${String(lastID).padStart(5, '0')}`, lastID]
+      );
+      await insertPurchaseOrderItems(lastID, lineItems);
+
+      return lastID;
+    });
+
+    const order = await getPurchaseOrder(orderId);
+    console.log(`✅ Purchase order created: ${order.po_number} (${supplier}, ${order.items.length} items)`);
+    res.status(201).json(order);
+  } catch (error) {
+    sendError(res, error, 'Failed to create purchase order');
+  }
+});
+
+app.put('/api/purchase-orders/:id', authenticateToken, requirePermission('purchase.manage'), async (req, res) => {
+  const { supplier, location, expected_date, notes, items } = req.body;
+
+  try {
+    await withTransaction(async () => {
+      const order = await dbGet("SELECT * FROM purchase_orders WHERE id = ?", [req.params.id]);
+      if (!order) {
+        throw new HttpError(404, 'Purchase order not found');
+      }
+      if (order.status !== 'draft') {
+        throw new HttpError(400, 'Only draft purchase orders can be edited', { status: order.status });
+      }
+      requireLocationAccess(req.user, order.location || DEFAULT_LOCATION);
+
+      if (location) {
+        await requireLocation(location);
+        requireLocationAccess(req.user, location);
+      }
+
+      await dbRun(
+        `UPDATE purchase_orders SET
+         supplier = ?, location = ?, expected_date = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          supplier || order.supplier,
+          location || order.location,
+          expected_date !== undefined ? expected_date : order.expected_date,
+          notes !== undefined ? notes : order.notes,
+          order.id
+        ]
+      );
+
+      if (items !== undefined) {
+        const lineItems = await validatePurchaseOrderItems(items);
+        await dbRun("DELETE FROM purchase_order_items WHERE purchase_order_id = ?", [order.id]);
+        await insertPurchaseOrderItems(order.id, lineItems);
+      }
+    });
+
+    console.log(`✅ Purchase order updated: ID ${req.params.id}`);
+    res.json(await getPurchaseOrder(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to update purchase order');
+  }
+});
+
+app.put('/api/purchase-orders/:id/status', authenticateToken, requirePermission('purchase.manage'), async (req, res) => {
+  const { status } = req.body;
+
+  try {
+    const order = await dbGet("SELECT * FROM purchase_orders WHERE id = ?", [req.params.id]);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    requireLocationAccess(req.user, order.location || DEFAULT_LOCATION);
+
+    const allowed = PO_STATUS_TRANSITIONS[order.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        error: `Cannot change purchase order from ${order.status} to ${status}`,
+        allowed
+      });
+    }
+
+    const timestampColumn = status === 'sent' ? 'sent_at' : 'cancelled_at';
+    await dbRun(
+      `UPDATE purchase_orders SET status = ?, ${timestampColumn} = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, order.id]
+    );
+
+    console.log(`✅ Purchase order ${order.po_number} marked ${status} by ${req.user.username}`);
+    res.json(await getPurchaseOrder(order.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to update purchase order status');
+  }
+});
+
+// Receive purchase order lines (fully or partially) into inventory
+app.post('/api/purchase-orders/:id/receive', authenticateToken, requirePermission('purchase.receive'), async (req, res) => {
+  const { items, notes } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'At least one item to receive is required' });
+  }
+
+  try {
+    const { order, receipts } = await withTransaction(async () => {
+      const order = await dbGet("SELECT * FROM purchase_orders WHERE id = ?", [req.params.id]);
+      if (!order) {
+        throw new HttpError(404, 'Purchase order not found');
+      }
+      if (!['sent', 'partially_received'].includes(order.status)) {
+        throw new HttpError(400, `Cannot receive against a ${order.status} purchase order`);
+      }
+      requireLocationAccess(req.user, order.location || DEFAULT_LOCATION);
+
+      const receipts = [];
+
+      for (const { item_id, quantity_received } of items) {
+        const quantity = parseInt(quantity_received);
+        const line = await dbGet(
+          "SELECT * FROM purchase_order_items WHERE id = ? AND purchase_order_id = ?",
+          [item_id, order.id]
+        );
+
+        if (!line) {
+          throw new HttpError(400, `Item ${item_id} is not on this purchase order`);
+        }
+
+        const outstanding = line.quantity_ordered - line.quantity_received;
+        if (!quantity || quantity <= 0 || quantity > outstanding) {
+          throw new HttpError(400, `Invalid quantity for item ${item_id}`, { outstanding, requested: quantity_received });
+        }
+
+        await dbRun(
+          "UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?",
+          [quantity, line.id]
+        );
+
+        const stock = await adjustStock({
+          productId: line.product_id,
+          location: order.location || DEFAULT_LOCATION,
+          change: quantity,
+          movementType: 'restock',
+          reason: `${order.po_number} receipt${notes ? `: ${notes}` : ''}`,
+          userId: req.user.userId,
+          apiKeyId: req.user.apiKeyId,
+          referenceType: 'purchase_order',
+          referenceId: order.id
+        });
+
+        receipts.push({ item_id: line.id, product_id: line.product_id, quantity_received: quantity, ...stock });
+      }
+
+      const { outstanding } = await dbGet(
+        `SELECT COALESCE(SUM(quantity_ordered - quantity_received), 0) as outstanding
+         FROM purchase_order_items WHERE purchase_order_id = ?`,
+        [order.id]
+      );
+
+      const status = outstanding === 0 ? 'received' : 'partially_received';
+      await dbRun(
+        `UPDATE purchase_orders SET status = ?,
+         received_at = CASE WHEN ? = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, status, order.id]
+      );
+
+      return { order, receipts };
+    });
+
+    console.log(`✅ Received ${receipts.length} line(s) against ${order.po_number}`);
+    res.json({
+      message: 'Items received successfully',
+      receipts,
+      purchaseOrder: await getPurchaseOrder(order.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to receive purchase order');
+  }
+});
+
+// Location Routes
+app.get('/api/locations', authenticateToken, requirePermission('stock.view'), (req, res) => {
+  const sql = `
+    SELECT 
+      l.*,
+      COUNT(i.id) as product_count,
+      COALESCE(SUM(i.quantity), 0) as total_units,
+      COALESCE(SUM(CASE WHEN i.quantity <= i.reorder_level THEN 1 ELSE 0 END), 0) as low_stock_count
+    FROM locations l
+    LEFT JOIN inventory i ON i.location = l.name
+    GROUP BY l.id
+    ORDER BY l.id
+  `;
+  
+  db.all(sql, (err, rows) => {
+    if (err) {
+      console.error('Locations fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch locations' });
+    }
+    res.json(rows);
+  });
+});
+
+app.post('/api/locations', authenticateToken, requirePermission('location.manage'), async (req, res) => {
+  const { name, location_type = 'store' } = req.body;
+  
+  if (!name) {
+    return res.status(400).json({ error: 'Location name is required' });
+  }
+  
+  try {
+    const { lastID } = await dbRun("INSERT INTO locations (name, location_type) VALUES (?, ?)", [name, location_type]);
+    
+    console.log(`✅ New location created: ${name} (${location_type})`);
+    res.status(201).json({ id: lastID, message: 'Location created successfully' });
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      return res.status(400).json({ error: 'Location already exists' });
+    }
+    if (err.message.includes('CHECK')) {
+      return res.status(400).json({ error: 'Location type must be store, kiosk or warehouse' });
+    }
+    res.status(500).json({ error: 'Failed to create location' });
+  }
+});
+
+// Per-location reorder settings (quantities change through sales, receipts and transfers)
+app.put('/api/products/:id/stock-levels', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
+  const { location = DEFAULT_LOCATION, reorder_level, max_stock_level, shelf_location } = req.body;
+  
+  try {
+    await requireLocation(location);
+    requireLocationAccess(req.user, location);
+    
+    const product = await dbGet("SELECT id FROM products WHERE id = ?", [req.params.id]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    await dbRun(
+      `INSERT INTO inventory (product_id, quantity, reorder_level, max_stock_level, shelf_location, location) 
+       VALUES (?, 0, COALESCE(?, 10), COALESCE(?, 100), ?, ?)
+       ON CONFLICT (product_id, location) DO UPDATE SET 
+       reorder_level = COALESCE(?, reorder_level), 
+       max_stock_level = COALESCE(?, max_stock_level), 
+       shelf_location = COALESCE(?, shelf_location), 
+       updated_at = CURRENT_TIMESTAMP`,
+      [
+        product.id, reorder_level, max_stock_level, shelf_location, location,
+        reorder_level, max_stock_level, shelf_location
+      ]
+    );
+    
+    console.log(`✅ Stock levels updated: product ${product.id} at ${location}`);
+    res.json(await dbGet(
+      "SELECT * FROM inventory WHERE product_id = ? AND location = ?",
+      [product.id, location]
+    ));
+  } catch (error) {
+    sendError(res, error, 'Failed to update stock levels');
+  }
+});
+
+// Stock Transfer Routes
+app.get('/api/transfers', authenticateToken, requirePermission('stock.view'), (req, res) => {
+  const { status, location, limit = 50 } = req.query;
+  
+  let sql = `
+    SELECT 
+      t.*,
+      u.username as requested_by_name,
+      COUNT(ti.id) as item_count,
+      COALESCE(SUM(ti.quantity), 0) as total_units
+    FROM stock_transfers t
+    LEFT JOIN stock_transfer_items ti ON t.id = ti.transfer_id
+    LEFT JOIN users u ON t.requested_by = u.id
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (status) {
+    sql += ' AND t.status = ?';
+    params.push(status);
+  }
+  
+  if (location) {
+    sql += ' AND (t.from_location = ? OR t.to_location = ?)';
+    params.push(location, location);
+  }
+  
+  sql += ' GROUP BY t.id ORDER BY t.created_at DESC, t.id DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Transfers fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch transfers' });
+    }
+    res.json(rows);
+  });
+});
+
+app.get('/api/transfers/:id', authenticateToken, requirePermission('stock.view'), async (req, res) => {
+  try {
+    const transfer = await getTransfer(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    res.json(transfer);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch transfer');
+  }
+});
+
+// Request stock to be moved between locations
+app.post('/api/transfers', authenticateToken, requirePermission('stock.transfer'), async (req, res) => {
+  const { from_location, to_location, items, notes } = req.body;
+  
+  if (!from_location || !to_location || from_location === to_location) {
+    return res.status(400).json({ error: 'Two different locations are required' });
+  }
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'At least one item is required' });
+  }
+  
+  try {
+    const transferId = await withTransaction(async () => {
+      await requireLocation(from_location);
+      requireLocationAccess(req.user, from_location);
+      await requireLocation(to_location);
+      
+      const { lastID } = await dbRun(
+        `INSERT INTO stock_transfers (from_location, to_location, notes, requested_by) 
+         VALUES (?, ?, ?, ?)`,
+        [from_location, to_location, notes, req.user.userId]
+      );
+      
+      await dbRun(
+        "UPDATE stock_transfers SET transfer_number = ? WHERE id = ?",
+        [`TR-${String(lastID).padStart(5, '0')}`, lastID]
+      );
+      
+      for (const [index, item] of items.entries()) {
+        const quantity = parseInt(item.quantity);
+        const product = item.product_id && await dbGet("SELECT id FROM products WHERE id = ?", [item.product_id]);
+        
+        if (!product || !quantity || quantity <= 0) {
+          throw new HttpError(400, `Line ${index + 1}: valid product ID and quantity are required`);
+        }
+        
+        await dbRun(
+          "INSERT INTO stock_transfer_items (transfer_id, product_id, quantity) VALUES (?, ?, ?)",
+          [lastID, product.id, quantity]
+        );
+      }
+      
+      return lastID;
+    });
+    
+    const transfer = await getTransfer(transferId);
+    console.log(`✅ Transfer requested: ${transfer.transfer_number} (${from_location} → ${to_location})`);
+    res.status(201).json(transfer);
+  } catch (error) {
+    sendError(res, error, 'Failed to create transfer');
+  }
+});
+
+// Ship a requested transfer, taking stock out of the source location
+app.put('/api/transfers/:id/ship', authenticateToken, requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const { transfer, movements } = await withTransaction(async () => {
+      const transfer = await getTransfer(req.params.id);
+      if (!transfer) {
+        throw new HttpError(404, 'Transfer not found');
+      }
+      if (transfer.status !== 'requested') {
+        throw new HttpError(400, `Cannot ship a ${transfer.status} transfer`);
+      }
+      requireLocationAccess(req.user, transfer.from_location);
+      
+      const movements = [];
+      
+      for (const item of transfer.items) {
+        const stock = await adjustStock({
+          productId: item.product_id,
+          location: transfer.from_location,
+          change: -item.quantity,
+          movementType: 'adjustment',
+          reason: `Transfer ${transfer.transfer_number} to ${transfer.to_location}`,
+          userId: req.user.userId,
+          apiKeyId: req.user.apiKeyId,
+          referenceType: 'transfer',
+          referenceId: transfer.id
+        });
+        movements.push({ product_id: item.product_id, ...stock });
+      }
+      
+      await dbRun(
+        `UPDATE stock_transfers SET status = 'in_transit', shipped_by = ?, shipped_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [req.user.userId, transfer.id]
+      );
+      
+      return { transfer, movements };
+    });
+    
+    movements.forEach(movement => {
+      if (movement.newQuantity <= movement.reorderLevel) {
+        createLowStockAlert(movement.product_id, movement.newQuantity, movement.reorderLevel, movement.location);
+      }
+    });
+    
+    console.log(`✅ Transfer shipped: ${transfer.transfer_number} by ${req.user.username}`);
+    res.json(await getTransfer(transfer.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to ship transfer');
+  }
+});
+
+// Receive an in-transit transfer into the destination location
+app.put('/api/transfers/:id/receive', authenticateToken, requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const transfer = await withTransaction(async () => {
+      const transfer = await getTransfer(req.params.id);
+      if (!transfer) {
+        throw new HttpError(404, 'Transfer not found');
+      }
+      if (transfer.status !== 'in_transit') {
+        throw new HttpError(400, `Cannot receive a ${transfer.status} transfer`);
+      }
+      requireLocationAccess(req.user, transfer.to_location);
+      
+      for (const item of transfer.items) {
+        await adjustStock({
+          productId: item.product_id,
+          location: transfer.to_location,
+          change: item.quantity,
+          movementType: 'adjustment',
+          reason: `Transfer ${transfer.transfer_number} from ${transfer.from_location}`,
+          userId: req.user.userId,
+          apiKeyId: req.user.apiKeyId,
+          referenceType: 'transfer',
+          referenceId: transfer.id
+        });
+      }
+      
+      await dbRun(
+        `UPDATE stock_transfers SET status = 'received', received_by = ?, received_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [req.user.userId, transfer.id]
+      );
+      
+      return transfer;
+    });
+    
+    console.log(`✅ Transfer received: ${transfer.transfer_number} by ${req.user.username}`);
+    res.json(await getTransfer(transfer.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to receive transfer');
+  }
+});
+
+app.put('/api/transfers/:id/cancel', authenticateToken, requirePermission('stock.transfer'), async (req, res) => {
+  const scope = roleLocation(req.user);
+  
+  try {
+    // A user limited to one location can cancel transfers to or from it
+    const { changes } = await dbRun(
+      `UPDATE stock_transfers SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP 
+       WHERE id = ? AND status = 'requested' AND (? IS NULL OR ? IN (from_location, to_location))`,
+      [req.params.id, scope, scope]
+    );
+    if (changes === 0) {
+      throw new HttpError(400, scope
+        ? `Only requested transfers to or from ${scope} can be cancelled`
+        : 'Only requested transfers can be cancelled');
+    }
+    
+    console.log(`✅ Transfer cancelled: ID ${req.params.id} by ${req.user.username}`);
+    res.json({ message: 'Transfer cancelled successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel transfer');
+  }
+});
+
+// Notification Routes
+app.get('/api/notifications/settings', authenticateToken, requirePermission('notification.manage'), (req, res) => {
+  db.all("SELECT * FROM notification_settings ORDER BY notification_type", (err, rows) => {
+    if (err) {
+      console.error('Notification settings fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch notification settings' });
+    }
+    res.json(rows);
+  });
+});
+
+// Roles and extra addresses are comma-separated lists
+app.put('/api/notifications/settings/:type', authenticateToken, requirePermission('notification.manage'), async (req, res) => {
+  const { roles, extra_recipients, enabled } = req.body;
+  const roleList = Array.isArray(roles) ? roles.join(',') : roles;
+  const extraList = Array.isArray(extra_recipients) ? extra_recipients.join(',') : extra_recipients;
+  
+  const unknownRoles = roleList === undefined ? [] : roleList.split(',').filter(role => role && !getRole(role.trim()));
+  if (unknownRoles.length > 0) {
+    return res.status(400).json({ error: `Unknown roles: ${unknownRoles.join(', ')}` });
+  }
+  
+  try {
+    const { changes } = await dbRun(
+      `UPDATE notification_settings SET 
+       roles = COALESCE(?, roles), extra_recipients = COALESCE(?, extra_recipients), 
+       enabled = COALESCE(?, enabled), updated_at = CURRENT_TIMESTAMP 
+       WHERE notification_type = ?`,
+      [roleList, extraList, enabled === undefined ? null : (enabled ? 1 : 0), req.params.type]
+    );
+    if (changes === 0) {
+      throw new HttpError(404, 'Notification type not found');
+    }
+    
+    console.log(`✅ Notification settings updated: ${req.params.type} by ${req.user.username}`);
+    res.json({ message: 'Notification settings updated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to update notification settings');
+  }
+});
+
+app.get('/api/notifications/deliveries', authenticateToken, requirePermission('notification.manage'), (req, res) => {
+  const { status, notification_type, limit = 50 } = req.query;
+  
+  let sql = `
+    SELECT id, notification_type, recipients, subject, status, attempts, last_error, 
+           message_id, next_attempt_at, created_at, sent_at
+    FROM email_deliveries
+    WHERE 1=1
+  `;
+  
+  const params = [];
+  
+  if (status) {
+    sql += ' AND status = ?';
+    params.push(status);
+  }
+  
+  if (notification_type) {
+    sql += ' AND notification_type = ?';
+    params.push(notification_type);
+  }
+  
+  sql += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Email deliveries fetch error:', err);
+      return res.status(500).json({ error: 'Failed to fetch email deliveries' });
+    }
+    res.json(rows);
+  });
+});
+
+app.post('/api/notifications/deliveries/:id/retry', authenticateToken, requirePermission('notification.manage'), async (req, res) => {
+  try {
+    const delivery = await dbGet("SELECT id, status FROM email_deliveries WHERE id = ?", [req.params.id]);
+    
+    if (!delivery) {
+      return res.status(404).json({ error: 'Email delivery not found' });
+    }
+    if (delivery.status === 'sent') {
+      return res.status(400).json({ error: 'Email was already sent' });
+    }
+    
+    res.json(await deliverEmail(delivery.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to retry email delivery');
+  }
+});
+
+// Send a scheduled report now, e.g. to check SMTP settings
+app.post('/api/notifications/send/:type', authenticateToken, requirePermission('notification.manage'), async (req, res) => {
+  const senders = {
+    low_stock_digest: sendLowStockDigest,
+    weekly_summary: async () => (await sendWeeklySummary()).delivery
+  };
+  
+  if (!senders[req.params.type]) {
+    return res.status(400).json({ error: `Can only send ${Object.keys(senders).join(', ')} on demand` });
+  }
+  
+  try {
+    const delivery = await senders[req.params.type]();
+    res.json(delivery ? { message: 'Notification processed', delivery } : { message: 'Nothing sent' });
+  } catch (error) {
+    sendError(res, error, 'Failed to send notification');
+  }
+});
+
+// Audit Routes
+const AUDIT_CSV_COLUMNS = [
+  'id', 'created_at', 'request_id', 'user_id', 'api_key_id', 'username', 'role', 'action', 'method', 'path',
+  'entity_type', 'entity_id', 'status_code', 'ip_address', 'changes', 'request_body'
+];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  // Text that a spreadsheet would read as a formula is kept as text
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Filters: user_id, username, action (or its prefix, e.g. product), entity_type, entity_id,
+// method, status (success|failure), request_id, from, to. format=csv downloads the results.
+app.get('/api/audit', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+  const {
+    user_id, api_key_id, username, action, entity_type, entity_id, method, status, request_id, from, to,
+    format = 'json', limit = 100, offset = 0
+  } = req.query;
+  
+  let sql = 'SELECT * FROM audit_log WHERE 1=1';
+  const params = [];
+  
+  if (user_id) {
+    sql += ' AND user_id = ?';
+    params.push(user_id);
+  }
+  
+  if (api_key_id) {
+    sql += ' AND api_key_id = ?';
+    params.push(api_key_id);
+  }
+  
+  if (username) {
+    sql += ' AND username = ?';
+    params.push(username);
+  }
+  
+  if (action) {
+    sql += " AND (action = ? OR action LIKE ? || '.%')";
+    params.push(action, action);
+  }
+  
+  if (entity_type) {
+    sql += ' AND entity_type = ?';
+    params.push(entity_type);
+  }
+  
+  if (entity_id) {
+    sql += ' AND entity_id = ?';
+    params.push(entity_id);
+  }
+  
+  if (method) {
+    sql += ' AND method = ?';
+    params.push(method.toUpperCase());
+  }
+  
+  if (status === 'success' || status === 'failure') {
+    sql += status === 'success' ? ' AND status_code < 400' : ' AND status_code >= 400';
+  }
+  
+  if (request_id) {
+    sql += ' AND request_id = ?';
+    params.push(request_id);
+  }
+  
+  if (from) {
+    sql += ' AND created_at >= ?';
+    params.push(toDbTimestamp(from) || from);
+  }
+  
+  if (to) {
+    sql += ' AND created_at <= ?';
+    params.push(toDbTimestamp(to) || to);
+  }
+  
+  // Exports are capped higher than pages of the JSON listing
+  const maxRows = format === 'csv' ? 50000 : 1000;
+  sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+  params.push(Math.min(parseInt(limit) || 100, maxRows), parseInt(offset) || 0);
+  
+  try {
+    const rows = await dbAll(sql, params);
+    
+    if (format === 'csv') {
+      const csv = [
+        AUDIT_CSV_COLUMNS.join(','),
+        ...rows.map(row => AUDIT_CSV_COLUMNS.map(column => csvValue(row[column])).join(','))
+      ].join('\n');
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+      return res.send(csv + '\n');
+    }
+    
+    res.json(rows.map(row => ({
+      ...row,
+      changes: row.changes ? JSON.parse(row.changes) : null,
+      request_body: row.request_body ? JSON.parse(row.request_body) : null
+    })));
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Live Event Routes
+// Server-Sent Events stream. EventSource cannot send headers, so the token may be given as ?token=
+app.get('/api/events', (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+}, authenticateToken, requirePermission('dashboard.view'), (req, res) => {
+  const topics = req.query.topics
+    ? req.query.topics.split(',').map(topic => topic.trim()).filter(Boolean)
+    : EVENT_TOPICS;
+  const unknownTopics = topics.filter(topic => !EVENT_TOPICS.includes(topic));
+  
+  if (unknownTopics.length > 0) {
+    return res.status(400).json({ error: `Unknown topics: ${unknownTopics.join(', ')}`, topics: EVENT_TOPICS });
+  }
+  
+  // A user limited to one location only hears about that location
+  const location = req.query.location || roleLocation(req.user);
+  try {
+    requireLocationAccess(req.user, location);
+  } catch (error) {
+    return sendError(res, error, 'Failed to open event stream');
+  }
+  
+  // no-transform keeps the compression middleware from buffering the stream
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  
+  const client = {
+    res,
+    topics,
+    location,
+    user: req.user.username,
+    userId: req.user.userId,
+    sessionId: req.user.sid,
+    apiKeyId: req.user.apiKeyId || null
+  };
+  
+  // Replay what the client missed, or ask it to refetch if we no longer have those events
+  const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+  if (lastEventId) {
+    const [epoch, sequenceText] = String(lastEventId).split('-');
+    const sequence = parseInt(sequenceText);
+    const oldest = eventStream.history[0];
+    const missed = epoch !== eventStream.epoch || isNaN(sequence) || sequence > eventStream.sequence ||
+      (oldest && sequence < oldest.sequence - 1);
+    
+    if (missed) {
+      res.write(`id: ${eventStream.epoch}-${eventStream.sequence}\nevent: resync\ndata: ${JSON.stringify({ type: 'resync' })}\n\n`);
+    } else {
+      eventStream.history
+        .filter(event => event.sequence > sequence)
+        .forEach(event => writeEvent(client, event));
+    }
+  }
+  
+  eventStream.clients.add(client);
+  console.log(`📡 Event stream opened by ${client.user} (${topics.join(', ')})`);
+  
+  client.heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  
+  req.on('close', () => closeEventClient(client));
+});
+
+// Helper Functions
+// Normalises a date/time from a request to the UTC "YYYY-MM-DD HH:MM:SS" form SQLite's
+// CURRENT_TIMESTAMP uses, or null if it cannot be parsed
+function toDbTimestamp(value) {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date.toISOString().replace('T', ' ').slice(0, 19) : null;
+}
+
+function priceMatches(a, b) {
+  return Math.abs(parseFloat(a) - parseFloat(b)) < 0.005;
+}
+
+function recordPriceHistory(productId, { sellPrice, costPrice, previousSellPrice = null, previousCostPrice = null, source, referenceId = null, userId = null }) {
+  return dbRun(
+    `INSERT INTO price_history (product_id, sell_price, cost_price, previous_sell_price, previous_cost_price, change_source, reference_id, user_id) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, sellPrice, costPrice, previousSellPrice, previousCostPrice, source, referenceId, userId]
+  );
+}
+
+// Sets a product's prices (either may be omitted to keep the current one), recording the
+// change in price_history. Returns the previous and new prices, or null if nothing changed.
+async function setProductPrices(productId, { sellPrice, costPrice, source, referenceId = null, userId = null }) {
+  const product = await dbGet("SELECT id, name, sku, category, sell_price, cost_price FROM products WHERE id = ?", [productId]);
+  if (!product) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const newSellPrice = sellPrice !== undefined && sellPrice !== null ? parseFloat(sellPrice) : product.sell_price;
+  const newCostPrice = costPrice !== undefined && costPrice !== null ? parseFloat(costPrice) : product.cost_price;
+
+  if (priceMatches(newSellPrice, product.sell_price) && priceMatches(newCostPrice || 0, product.cost_price || 0)) {
+    return null;
+  }
+
+  await dbRun(
+    "UPDATE products SET sell_price = ?, cost_price = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [newSellPrice, newCostPrice, productId]
+  );
+  await recordPriceHistory(productId, {
+    sellPrice: newSellPrice,
+    costPrice: newCostPrice,
+    previousSellPrice: product.sell_price,
+    previousCostPrice: product.cost_price,
+    source,
+    referenceId,
+    userId
+  });
+
+  publishEvent('product.updated', {
+    product_id: product.id,
+    name: product.name,
+    sku: product.sku,
+    category: product.category,
+    sell_price: newSellPrice,
+    cost_price: newCostPrice,
+    previous_sell_price: product.sell_price,
+    source
+  });
+
+  // Variants without a price override follow their parent
+  const variants = await dbAll("SELECT id FROM products WHERE parent_id = ? AND price_override IS NULL", [productId]);
+  for (const variant of variants) {
+    await setProductPrices(variant.id, { sellPrice: newSellPrice, costPrice: newCostPrice, source, referenceId, userId });
+  }
+
+  return { previousSellPrice: product.sell_price, sellPrice: newSellPrice, previousCostPrice: product.cost_price, costPrice: newCostPrice };
+}
+
+// Marks down every product in the markdown's scope, skipping products already in another
+// active markdown
+async function startMarkdown(markdown) {
+  const products = await dbAll(
+    `SELECT id, sell_price FROM products 
+     WHERE ${markdown.product_id ? '(id = ? OR parent_id = ?)' : 'category = ?'}
+     AND id NOT IN (SELECT parent_id FROM products WHERE parent_id IS NOT NULL)
+     AND id NOT IN (
+       SELECT mi.product_id FROM markdown_items mi 
+       JOIN markdowns m ON mi.markdown_id = m.id 
+       WHERE m.status = 'active'
+     )`,
+    markdown.product_id ? [markdown.product_id, markdown.product_id] : [markdown.category]
+  );
+
+  for (const product of products) {
+    const markdownPrice = parseFloat((product.sell_price * (1 - markdown.percent_off / 100)).toFixed(2));
+    await dbRun(
+      "INSERT INTO markdown_items (markdown_id, product_id, original_price, markdown_price) VALUES (?, ?, ?, ?)",
+      [markdown.id, product.id, product.sell_price, markdownPrice]
+    );
+    await setProductPrices(product.id, { sellPrice: markdownPrice, source: 'markdown_start', referenceId: markdown.id });
+  }
+
+  await dbRun("UPDATE markdowns SET status = 'active', started_at = CURRENT_TIMESTAMP WHERE id = ?", [markdown.id]);
+  console.log(`🏷️ Markdown started: ${markdown.name} (${products.length} products, ${markdown.percent_off}% off)`);
+}
+
+// Restores original prices. A product whose price was changed during the markdown keeps
+// the newer price.
+async function endMarkdown(markdown, status = 'ended', userId = null) {
+  const items = await dbAll(
+    `SELECT mi.*, p.sell_price FROM markdown_items mi 
+     JOIN products p ON mi.product_id = p.id 
+     WHERE mi.markdown_id = ?`,
+    [markdown.id]
+  );
+
+  for (const item of items) {
+    if (priceMatches(item.sell_price, item.markdown_price)) {
+      await setProductPrices(item.product_id, {
+        sellPrice: item.original_price, source: 'markdown_end', referenceId: markdown.id, userId
+      });
+      await dbRun("UPDATE markdown_items SET reverted_at = CURRENT_TIMESTAMP WHERE id = ?", [item.id]);
+    } else {
+      console.log(`🏷️ Product ${item.product_id} kept its price ${item.sell_price} (changed during markdown ${markdown.name})`);
+    }
+  }
+
+  await dbRun("UPDATE markdowns SET status = ?, ended_at = CURRENT_TIMESTAMP WHERE id = ?", [status, markdown.id]);
+  console.log(`🏷️ Markdown ${status}: ${markdown.name}`);
+}
+
+// Applies due scheduled price changes and starts/ends markdowns. Runs every minute and once
+// at startup to catch up on anything that fell due while the server was down.
+async function applyPriceSchedules() {
+  const dueChanges = await dbAll(
+    "SELECT * FROM scheduled_price_changes WHERE status = 'pending' AND effective_at <= CURRENT_TIMESTAMP ORDER BY effective_at, id"
+  );
+  for (const change of dueChanges) {
+    await withTransaction(async () => {
+      await setProductPrices(change.product_id, {
+        sellPrice: change.new_sell_price,
+        costPrice: change.new_cost_price,
+        source: 'scheduled',
+        referenceId: change.id,
+        userId: change.created_by
+      });
+      await dbRun(
+        "UPDATE scheduled_price_changes SET status = 'applied', applied_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [change.id]
+      );
+    });
+    console.log(`🏷️ Scheduled price change applied: product ${change.product_id}`);
+  }
+
+  const ending = await dbAll("SELECT * FROM markdowns WHERE status = 'active' AND ends_at <= CURRENT_TIMESTAMP");
+  for (const markdown of ending) {
+    await withTransaction(() => endMarkdown(markdown));
+  }
+
+  const starting = await dbAll(
+    "SELECT * FROM markdowns WHERE status = 'scheduled' AND starts_at <= CURRENT_TIMESTAMP AND ends_at > CURRENT_TIMESTAMP"
+  );
+  for (const markdown of starting) {
+    await withTransaction(() => startMarkdown(markdown));
+  }
+
+  // Windows that passed entirely while the server was down never take effect
+  await dbRun(
+    "UPDATE markdowns SET status = 'ended', ended_at = CURRENT_TIMESTAMP WHERE status = 'scheduled' AND ends_at <= CURRENT_TIMESTAMP"
+  );
+
+  return { changes: dueChanges.length, started: starting.length, ended: ending.length };
+}
+
+// Lifecycle actions: the statuses each may start from, the status it leads to and the
+// history entry it records
+const ALERT_ACTIONS = {
+  acknowledge: { from: ['active', 'snoozed'], to: 'acknowledged', event: 'acknowledged' },
+  snooze: { from: ['active', 'acknowledged'], to: 'snoozed', event: 'snoozed' },
+  unsnooze: { from: ['snoozed'], to: 'active', event: 'unsnoozed' },
+  dismiss: { from: OPEN_ALERT_STATUSES, to: 'dismissed', event: 'dismissed' },
+  resolve: { from: OPEN_ALERT_STATUSES, to: 'resolved', event: 'resolved' }
+};
+
+function logAlertHistory(alertId, action, fromStatus, toStatus, actor = 'system', note = null) {
+  return dbRun(
+    `INSERT INTO alert_history (alert_id, action, from_status, to_status, actor, note) 
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [alertId, action, fromStatus, toStatus, actor, note]
+  );
+}
+
+// Moves an alert through the lifecycle, records the history entry and broadcasts the change
+async function transitionAlert(alertId, actionName, { actor = 'system', note = null, snoozedUntil = null } = {}) {
+  const action = ALERT_ACTIONS[actionName];
+  const alert = await dbGet("SELECT * FROM alerts WHERE id = ?", [alertId]);
+
+  if (!alert) {
+    throw new HttpError(404, 'Alert not found');
+  }
+  if (!action.from.includes(alert.status)) {
+    throw new HttpError(400, `Cannot ${actionName} an alert that is ${alert.status}`);
+  }
+
+  const updates = ['status = ?'];
+  const params = [action.to];
+
+  if (actionName === 'acknowledge') {
+    updates.push('acknowledged_by = ?', 'acknowledged_at = CURRENT_TIMESTAMP', 'snoozed_until = NULL');
+    params.push(actor);
+  } else if (actionName === 'snooze') {
+    updates.push('snoozed_until = ?');
+    params.push(snoozedUntil);
+  } else if (actionName === 'unsnooze') {
+    updates.push('snoozed_until = NULL');
+  } else {
+    updates.push('resolved_at = CURRENT_TIMESTAMP', 'resolved_by = ?', 'resolution_note = ?', 'snoozed_until = NULL');
+    params.push(actor, note);
+  }
+
+  await dbRun(`UPDATE alerts SET ${updates.join(', ')} WHERE id = ?`, [...params, alert.id]);
+  await logAlertHistory(alert.id, action.event, alert.status, action.to, actor, note);
+
+  publishEvent(`alert.${action.event}`, {
+    id: alert.id,
+    product_id: alert.product_id,
+    alert_type: alert.alert_type,
+    location: alert.location,
+    previous_status: alert.status,
+    status: action.to,
+    by: actor,
+    note,
+    ...(snoozedUntil && { snoozed_until: snoozedUntil })
+  });
+
+  return dbGet("SELECT * FROM alerts WHERE id = ?", [alert.id]);
+}
+
+// Wakes snoozed alerts whose time is up and escalates critical alerts nobody has acknowledged
+async function runAlertLifecycle() {
+  const due = await dbAll(
+    "SELECT id FROM alerts WHERE status = 'snoozed' AND snoozed_until <= CURRENT_TIMESTAMP"
+  );
+  for (const alert of due) {
+    await transitionAlert(alert.id, 'unsnooze', { note: 'Snooze expired' });
+  }
+
+  const unacknowledged = await dbAll(
+    `SELECT a.*, p.name as product_name FROM alerts a
+     JOIN products p ON a.product_id = p.id
+     WHERE a.status = 'active' AND a.priority = 'critical' AND a.escalated_at IS NULL
+     AND a.created_at <= DATETIME('now', ?)`,
+    [`-${ALERT_ESCALATION_MINUTES} minutes`]
+  );
+
+  for (const alert of unacknowledged) {
+    const note = `Unacknowledged for ${ALERT_ESCALATION_MINUTES} minutes`;
+    await dbRun("UPDATE alerts SET escalated_at = CURRENT_TIMESTAMP WHERE id = ?", [alert.id]);
+    await logAlertHistory(alert.id, 'escalated', alert.status, alert.status, 'system', note);
+    publishEvent('alert.escalated', {
+      id: alert.id,
+      product_id: alert.product_id,
+      alert_type: alert.alert_type,
+      location: alert.location,
+      status: alert.status,
+      note
+    });
+    console.log(`⏫ Alert escalated: ${alert.message}`);
+
+    sendNotification('alert_escalation', alertEscalationEmail(alert))
+      .catch(error => console.error('Alert escalation email error:', error));
+  }
+
+  return { woken: due.length, escalated: unacknowledged.length };
+}
+
+// Stock coming back resolves the low_stock/out_of_stock alerts it clears, whatever moved it
+onEvent(({ type, data }) => {
+  if (type !== 'stock.changed' || data.change <= 0) return;
+
+  dbGet("SELECT username FROM users WHERE id = ?", [data.user_id || null])
+    .then(user => resolveStockAlerts(
+      data.product_id, data.new_quantity, data.reorder_level, user ? user.username : 'system', data.location
+    ))
+    .catch(error => console.error('Alert auto-resolve error:', error));
+});
+
+// Inserts an alert unless one of the same type for the product and location is still active
+// or was raised within the last `dedupHours`, then broadcasts it and emails critical ones
+async function recordAlert({ productId, alertType, message, priority, location = null, dedupHours = 0 }) {
+  const existingAlert = await dbGet(
+    `SELECT id FROM alerts 
+     WHERE product_id = ? AND alert_type = ? AND COALESCE(location, ?) = ?
+     AND (${OPEN_ALERTS} OR created_at >= DATETIME('now', ?))`,
+    [productId, alertType, DEFAULT_LOCATION, location || DEFAULT_LOCATION, `-${dedupHours} hours`]
+  );
+  if (existingAlert) return null;
+
+  const { lastID } = await dbRun(
+    `INSERT INTO alerts (product_id, alert_type, message, priority, location) 
+     VALUES (?, ?, ?, ?, ?)`,
+    [productId, alertType, message, priority, location]
+  );
+
+  const alert = { id: lastID, product_id: productId, alert_type: alertType, message, priority, location, status: 'active' };
+  await logAlertHistory(lastID, 'created', null, 'active');
+  publishEvent('alert.created', alert);
+  console.log(`🚨 ${priority.toUpperCase()} alert created: ${message}`);
+
+  if (priority === 'critical') {
+    sendNotification('critical_alert', criticalAlertEmail(alert))
+      .catch(error => console.error('Critical alert email error:', error));
+  }
+  return alert;
+}
+
+// The most specific rule of a type for a product: product rule, then category rule, then
+// global rule. An inactive rule switches the check off for its scope.
+function matchAlertRule(rules, ruleType, product) {
+  const candidates = rules.filter(rule => rule.rule_type === ruleType);
+  const rule = candidates.find(candidate => candidate.product_id === product.id)
+    || candidates.find(candidate => !candidate.product_id && candidate.category === product.category)
+    || candidates.find(candidate => !candidate.product_id && !candidate.category);
+
+  return rule && rule.is_active ? rule : null;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseDbTimestamp(value) {
+  return value ? new Date(value.replace(' ', 'T') + 'Z') : null;
+}
+
+// Evaluates alert rules for the products (and locations) in scope. Write events pass only
+// the rule types they can affect; the scheduled check runs everything except price_change,
+// which needs the previous price, and resolves overstock/below_cost alerts that have cleared.
+async function evaluateAlertRules({
+  productId, location, previousPrice,
+  ruleTypes = ['overstock', 'below_cost', 'no_sales', 'sales_spike']
+} = {}) {
+  const rules = await dbAll("SELECT * FROM alert_rules");
+  const products = await dbAll(
+    `SELECT id, name, category, cost_price, sell_price, created_at FROM products${productId ? ' WHERE id = ?' : ''}`,
+    productId ? [productId] : []
+  );
+
+  let stockSql = "SELECT product_id, location, quantity, max_stock_level FROM inventory WHERE 1=1";
+  const stockParams = [];
+  if (productId) {
+    stockSql += ' AND product_id = ?';
+    stockParams.push(productId);
+  }
+  if (location) {
+    stockSql += ' AND location = ?';
+    stockParams.push(location);
+  }
+  const stockRows = await dbAll(stockSql, stockParams);
+
+  const salesStats = await dbAll(
+    `SELECT product_id, COALESCE(location, ?) as location,
+       MAX(sale_date) as last_sale,
+       SUM(CASE WHEN sale_date >= DATETIME('now', '-1 day') THEN quantity_sold ELSE 0 END) as units_last_day,
+       SUM(CASE WHEN sale_date < DATETIME('now', '-1 day') AND sale_date >= DATETIME('now', '-29 days') 
+           THEN quantity_sold ELSE 0 END) / 28.0 as average_daily_units
+     FROM sales${productId ? ' WHERE product_id = ?' : ''}
+     GROUP BY product_id, COALESCE(location, ?)`,
+    [DEFAULT_LOCATION, ...(productId ? [productId] : []), DEFAULT_LOCATION]
+  );
+  const statsFor = (id, place) => salesStats.find(stats => stats.product_id === id && stats.location === place) || {};
+
+  const raised = [];
+  const violations = new Set();
+  const raise = async (rule, productId, location, message) => {
+    violations.add(`${rule.rule_type}|${productId}|${location || DEFAULT_LOCATION}`);
+    const alert = await recordAlert({
+      productId, alertType: rule.rule_type, message, priority: rule.priority, location, dedupHours: rule.dedup_hours
+    });
+    if (alert) raised.push(alert);
+  };
+
+  for (const product of products) {
+    const rule = ruleType => ruleTypes.includes(ruleType) ? matchAlertRule(rules, ruleType, product) : null;
+    const belowCost = rule('below_cost');
+    const priceChange = rule('price_change');
+
+    if (belowCost && product.cost_price > 0 && product.sell_price < product.cost_price) {
+      await raise(belowCost, product.id, null,
+        `${product.name} sells below cost (${product.sell_price.toFixed(2)} vs cost ${product.cost_price.toFixed(2)})`);
+    }
+
+    if (priceChange && previousPrice > 0 && product.sell_price !== previousPrice) {
+      const percent = (product.sell_price - previousPrice) / previousPrice * 100;
+      if (Math.abs(percent) > priceChange.threshold) {
+        await raise(priceChange, product.id, null,
+          `${product.name} price changed from ${previousPrice.toFixed(2)} to ${product.sell_price.toFixed(2)} ` +
+          `(${percent > 0 ? '+' : ''}${percent.toFixed(1)}%)`);
+      }
+    }
+
+    for (const stock of stockRows.filter(row => row.product_id === product.id)) {
+      const stats = statsFor(product.id, stock.location);
+      const overstock = rule('overstock');
+      const noSales = rule('no_sales');
+      const salesSpike = rule('sales_spike');
+
+      if (overstock && stock.max_stock_level > 0 &&
+          stock.quantity > stock.max_stock_level * (1 + overstock.threshold / 100)) {
+        await raise(overstock, product.id, stock.location,
+          `${product.name} is overstocked at ${stock.location} (${stock.quantity} on hand, max ${stock.max_stock_level})`);
+      }
+
+      if (noSales && stock.quantity > 0) {
+        const cutoff = Date.now() - noSales.threshold * 86400000;
+        const lastSale = parseDbTimestamp(stats.last_sale);
+        if (parseDbTimestamp(product.created_at) < cutoff && (!lastSale || lastSale < cutoff)) {
+          await raise(noSales, product.id, stock.location,
+            `${product.name} has not sold at ${stock.location} in ${noSales.threshold} days (${stock.quantity} on hand)`);
+        }
+      }
+
+      if (salesSpike && stats.average_daily_units > 0 && stats.units_last_day >= salesSpike.threshold &&
+          stats.units_last_day >= salesSpike.threshold * stats.average_daily_units) {
+        await raise(salesSpike, product.id, stock.location,
+          `${product.name} sales spiked at ${stock.location}: ${stats.units_last_day} units in 24 hours ` +
+          `vs ${stats.average_daily_units.toFixed(1)} per day on average`);
+      }
+    }
+  }
+
+  // A full scheduled run knows every current violation, so clear the conditions that have gone away
+  if (!productId && !location) {
+    const activeAlerts = await dbAll(
+      `SELECT id, alert_type, product_id, COALESCE(location, ?) as location FROM alerts 
+       WHERE ${OPEN_ALERTS} AND alert_type IN ('overstock', 'below_cost')`,
+      [DEFAULT_LOCATION]
+    );
+
+    for (const alert of activeAlerts) {
+      if (ruleTypes.includes(alert.alert_type) &&
+          !violations.has(`${alert.alert_type}|${alert.product_id}|${alert.location}`)) {
+        await transitionAlert(alert.id, 'resolve', { note: 'Condition cleared' });
+      }
+    }
+  }
+
+  return raised;
+}
+
+// Write events that can trip alert rules
+onEvent(({ type, data }) => {
+  const checks = [];
+
+  if (type === 'stock.changed' && data.change > 0) {
+    checks.push({ productId: data.product_id, location: data.location, ruleTypes: ['overstock'] });
+  } else if (type === 'sale.recorded') {
+    checks.push({ productId: data.product_id, location: data.location, ruleTypes: ['sales_spike'] });
+  } else if (type === 'sale.transaction') {
+    data.items.forEach(item => {
+      checks.push({ productId: item.product_id, location: data.location, ruleTypes: ['sales_spike'] });
+    });
+  } else if (type === 'product.created') {
+    checks.push({ productId: data.product_id, location: data.location, ruleTypes: ['below_cost', 'overstock'] });
+  } else if (type === 'product.updated') {
+    checks.push({
+      productId: data.product_id,
+      location: data.location,
+      previousPrice: data.previous_sell_price,
+      ruleTypes: ['below_cost', 'price_change', 'overstock']
+    });
+  }
+
+  checks.forEach(check => {
+    evaluateAlertRules(check).catch(error => console.error('Alert rule evaluation error:', error));
+  });
+});
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Wraps a heading, intro and optional table rows in the shared email layout
+function renderEmail({ title, intro, columns = [], rows = [], footer = '' }) {
+  const html = `<!DOCTYPE html>
+<html><body style="font-family: Arial, sans-serif; color: #1f2937;">
+  <h2 style="color: #a51c30;">${escapeHtml(title)}</h2>
+  <p>${escapeHtml(intro)}</p>
+  ${rows.length > 0 ? `<table cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+    <tr>${columns.map(column => `<th align="left" style="border-bottom: 2px solid #a51c30;">${escapeHtml(column)}</th>`).join('')}</tr>
+    ${rows.map(row => `<tr>${row.map(cell => `<td style="border-bottom: 1px solid #e5e7eb;">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n    ')}
+  </table>` : ''}
+  ${footer ? `<p>${escapeHtml(footer)}</p>` : ''}
+  <p style="color: #6b7280; font-size: 12px;">${escapeHtml(SHOP_NAME)} Inventory</p>
+</body></html>`;
+
+  const text = [
+    title,
+    '',
+    intro,
+    ...(rows.length > 0 ? ['', columns.join(' | '), ...rows.map(row => row.join(' | '))] : []),
+    ...(footer ? ['', footer] : []),
+    '',
+    `${SHOP_NAME} Inventory`
+  ].join('\n');
+
+  return { html, text };
+}
+
+function criticalAlertEmail(alert) {
+  return {
+    subject: `[${SHOP_NAME}] CRITICAL: ${alert.message}`,
+    ...renderEmail({
+      title: 'Critical inventory alert',
+      intro: alert.message,
+      columns: ['Alert', 'Product ID', 'Location', 'Priority'],
+      rows: [[alert.alert_type, alert.product_id, alert.location, alert.priority]],
+      footer: 'Restock or transfer stock to resolve this alert.'
+    })
+  };
+}
+
+function securityAlertEmail(subject, intro, rows) {
+  return {
+    subject: `[${SHOP_NAME}] SECURITY: ${subject}`,
+    ...renderEmail({
+      title: 'Failed login alert',
+      intro,
+      columns: ['Last username tried', 'Address', 'Failures'],
+      rows,
+      footer: 'If this wasn\'t someone who forgot their password, review GET /api/auth/login-failures. Locked accounts can be unlocked from user management.'
+    })
+  };
+}
+
+function alertEscalationEmail(alert) {
+  return {
+    subject: `[${SHOP_NAME}] ESCALATED: ${alert.message}`,
+    ...renderEmail({
+      title: 'Unacknowledged critical alert',
+      intro: `No one has acknowledged this alert for ${ALERT_ESCALATION_MINUTES} minutes: ${alert.message}`,
+      columns: ['Alert', 'Product', 'Location', 'Raised'],
+      rows: [[alert.alert_type, alert.product_name, alert.location || DEFAULT_LOCATION, alert.created_at]],
+      footer: 'Acknowledge the alert once someone is handling it.'
+    })
+  };
+}
+
+function lowStockDigestEmail(items, projected) {
+  return {
+    subject: `[${SHOP_NAME}] Daily low-stock digest: ${items.length} item(s) at or below reorder level`,
+    ...renderEmail({
+      title: 'Daily low-stock digest',
+      intro: `${items.length} item(s) are at or below their reorder level` +
+        (projected.length > 0 ? ` and ${projected.length} more are projected to sell out within their lead time.` : '.'),
+      columns: ['Product', 'SKU', 'Location', 'Quantity', 'Reorder Level'],
+      rows: items.map(item => [item.name, item.sku, item.location, item.quantity, item.reorder_level]),
+      footer: projected.map(alert => alert.message).join('\n')
+    })
+  };
+}
+
+function weeklySummaryEmail(stats, topProducts) {
+  const money = value => `${(value || 0).toFixed(2)}`;
+  return {
+    subject: `[${SHOP_NAME}] Weekly sales summary`,
+    ...renderEmail({
+      title: 'Weekly sales summary',
+      intro: `Last 7 days: ${stats.total_transactions} sales, ${stats.total_items_sold || 0} items, ` +
+        `revenue ${money(stats.total_revenue)} (discounts ${money(stats.total_discounts)}, refunds ${money(stats.total_refunds)}, ` +
+        `net ${money((stats.total_revenue || 0) - (stats.total_refunds || 0))}), ` +
+        `average sale ${money(stats.avg_transaction_value)}.`,
+      columns: ['Top Product', 'Units Sold', 'Revenue'],
+      rows: topProducts.map(product => [product.name, product.units_sold, money(product.revenue)])
+    })
+  };
+}
+
+// Receipts fit an 80mm thermal printer: 48 columns of the printer's standard font
+const RECEIPT_WIDTH = 48;
+const RECEIPT_HEADER = (process.env.RECEIPT_HEADER || '').split('|').filter(Boolean);
+const RECEIPT_FOOTER = process.env.RECEIPT_FOOTER || 'Thank you for shopping with us!';
+const RECEIPT_FORMATS = ['text', 'html', 'pdf'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Everything printed on a receipt for a transaction (or SALE-<id> for a single sale)
+async function getReceipt(receiptId) {
+  const sales = await dbAll(
+    `SELECT s.*, p.name as product_name, p.sku, tec.name as tax_exempt_customer
+     FROM sales s
+     JOIN products p ON s.product_id = p.id
+     LEFT JOIN tax_exempt_customers tec ON s.tax_exempt_customer_id = tec.id
+     WHERE ${BASKET_KEY} = ?
+     ORDER BY s.id`,
+    [receiptId]
+  );
+
+  if (sales.length === 0) {
+    throw new HttpError(404, 'Transaction not found');
+  }
+
+  const discounts = await dbAll(
+    `SELECT sd.sale_id, sd.coupon_code, sd.discount_amount, pr.name
+     FROM sale_discounts sd
+     JOIN promotions pr ON sd.promotion_id = pr.id
+     WHERE sd.sale_id IN (${sales.map(() => '?').join(', ')})
+     ORDER BY sd.id`,
+    sales.map(sale => sale.id)
+  );
+
+  const sum = field => roundCents(sales.reduce((total, sale) => total + (sale[field] || 0), 0));
+  const taxes = new Map();
+  sales.filter(sale => sale.tax_amount > 0).forEach(sale => {
+    taxes.set(sale.tax_rate, roundCents((taxes.get(sale.tax_rate) || 0) + sale.tax_amount));
+  });
+  const [first] = sales;
+
+  return {
+    receipt_id: receiptId,
+    location: first.location || DEFAULT_LOCATION,
+    sale_date: first.sale_date,
+    cashier_name: first.cashier_name,
+    payment_method: first.payment_method,
+    tax_exempt_customer: first.tax_exempt_customer,
+    items: sales.map(sale => ({
+      sale_id: sale.id,
+      product_name: sale.product_name,
+      sku: sale.sku,
+      quantity: sale.quantity_sold,
+      unit_price: sale.unit_price,
+      gross_amount: roundCents(sale.total_amount + (sale.discount_amount || 0)),
+      taxed: sale.tax_amount > 0,
+      discounts: discounts
+        .filter(discount => discount.sale_id === sale.id)
+        .map(({ name, coupon_code, discount_amount }) => ({ name, coupon_code, discount_amount }))
+    })),
+    subtotal: roundCents(sum('total_amount') + sum('discount_amount')),
+    discount_amount: sum('discount_amount'),
+    taxes: [...taxes].map(([rate, amount]) => ({ rate, amount })),
+    tax_amount: sum('tax_amount'),
+    total: roundCents(sum('total_amount') + sum('tax_amount'))
+  };
+}
+
+function receiptQrCode(receiptId) {
+  return bwipjs.toBuffer({ bcid: 'qrcode', text: receiptId, scale: 3 });
+}
+
+function renderReceiptText(receipt, { reprint = false } = {}) {
+  const money = value => value.toFixed(2);
+  const center = text => ' '.repeat(Math.max(0, Math.floor((RECEIPT_WIDTH - text.length) / 2))) + text;
+  const row = (left, right) => {
+    const width = RECEIPT_WIDTH - right.length - 1;
+    return `${left.length > width ? left.slice(0, width) : left.padEnd(width)} ${right}`;
+  };
+  const rule = '-'.repeat(RECEIPT_WIDTH);
+
+  const lines = [
+    center(SHOP_NAME.toUpperCase()),
+    ...RECEIPT_HEADER.map(center),
+    center(receipt.location),
+    ...(reprint ? ['', center('*** REPRINT ***')] : []),
+    rule,
+    receipt.cashier_name
+      ? row(`Date: ${receipt.sale_date.slice(0, 16)}`, `Cashier: ${receipt.cashier_name}`)
+      : `Date: ${receipt.sale_date.slice(0, 16)}`,
+    `Receipt: ${receipt.receipt_id}`,
+    rule
+  ];
+
+  receipt.items.forEach(item => {
+    lines.push(item.product_name.slice(0, RECEIPT_WIDTH));
+    lines.push(row(`  ${item.sku}  ${item.quantity} x ${money(item.unit_price)}`, `${money(item.gross_amount)}${item.taxed ? ' T' : '  '}`));
+    item.discounts.forEach(discount => {
+      lines.push(row(`  ${discount.coupon_code || discount.name}`, `-${money(discount.discount_amount)}  `));
+    });
+  });
+
+  lines.push(rule);
+  lines.push(row('Subtotal', `${money(receipt.subtotal)}  `));
+  if (receipt.discount_amount > 0) {
+    lines.push(row('Discounts', `-${money(receipt.discount_amount)}  `));
+  }
+  receipt.taxes.forEach(tax => lines.push(row(`Tax ${tax.rate}%`, `${money(tax.amount)}  `)));
+  if (receipt.tax_exempt_customer) {
+    lines.push(row(`Tax exempt: ${receipt.tax_exempt_customer}`, `${money(0)}  `));
+  }
+  lines.push(row('TOTAL', `${money(receipt.total)}  `));
+  lines.push(row(`Paid by ${receipt.payment_method.replace('_', ' ')}`, `${money(receipt.total)}  `));
+  lines.push(rule);
+  lines.push(center(RECEIPT_FOOTER));
+  lines.push(center(`Returns: quote ${receipt.receipt_id}`));
+
+  return lines.join('\n') + '\n';
+}
+
+function renderReceiptHtml(receipt, { qrSrc, reprint = false } = {}) {
+  const money = value => value.toFixed(2);
+  const row = (label, amount, style = '') =>
+    `<tr style="${style}"><td colspan="2">${escapeHtml(label)}</td><td style="text-align:right">${amount}</td></tr>`;
+
+  const items = receipt.items.map(item => [
+    `<tr><td colspan="3"><strong>${escapeHtml(item.product_name)}</strong></td></tr>`,
+    `<tr><td style="color:#666">${escapeHtml(item.sku)}</td><td>${item.quantity} &times; ${money(item.unit_price)}</td>` +
+      `<td style="text-align:right">${money(item.gross_amount)}${item.taxed ? ' T' : ''}</td></tr>`,
+    ...item.discounts.map(discount =>
+      `<tr style="color:#a51c30"><td colspan="2">&nbsp;&nbsp;${escapeHtml(discount.coupon_code || discount.name)}</td>` +
+      `<td style="text-align:right">-${money(discount.discount_amount)}</td></tr>`)
+  ].join('')).join('');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Receipt ${escapeHtml(receipt.receipt_id)}</title></head>
+<body style="font-family:Arial,sans-serif;font-size:13px;max-width:320px;margin:0 auto;color:#222">
+  <div style="text-align:center">
+    <h2 style="color:#a51c30;margin-bottom:4px">${escapeHtml(SHOP_NAME)}</h2>
+    ${RECEIPT_HEADER.map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+    <div>${escapeHtml(receipt.location)}</div>
+    ${reprint ? '<p><strong>*** REPRINT ***</strong></p>' : ''}
+  </div>
+  <p>Date: ${escapeHtml(receipt.sale_date)}<br>
+    ${receipt.cashier_name ? `Cashier: ${escapeHtml(receipt.cashier_name)}<br>` : ''}
+    Receipt: ${escapeHtml(receipt.receipt_id)}</p>
+  <table style="width:100%;border-collapse:collapse">
+    ${items}
+    <tr><td colspan="3"><hr></td></tr>
+    ${row('Subtotal', money(receipt.subtotal))}
+    ${receipt.discount_amount > 0 ? row('Discounts', `-${money(receipt.discount_amount)}`) : ''}
+    ${receipt.taxes.map(tax => row(`Tax ${tax.rate}%`, money(tax.amount))).join('')}
+    ${receipt.tax_exempt_customer ? row(`Tax exempt: ${receipt.tax_exempt_customer}`, money(0)) : ''}
+    ${row('Total', money(receipt.total), 'font-weight:bold;font-size:15px')}
+    ${row(`Paid by ${receipt.payment_method.replace('_', ' ')}`, money(receipt.total))}
+  </table>
+  <div style="text-align:center;margin-top:16px">
+    <p>${escapeHtml(RECEIPT_FOOTER)}</p>
+    ${qrSrc ? `<img src="${qrSrc}" alt="${escapeHtml(receipt.receipt_id)}" width="120"><br>` : ''}
+    <small>Returns: quote ${escapeHtml(receipt.receipt_id)}</small>
+  </div>
+</body></html>`;
+}
+
+// PDF sized to the 80mm paper roll: the text layout in a monospaced font with the QR code below
+async function renderReceiptPdf(receipt, options = {}) {
+  const text = renderReceiptText(receipt, options);
+  const qrCode = await receiptQrCode(receipt.receipt_id);
+  const fontSize = 7;
+  const lineCount = text.split('\n').length;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [226.77, lineCount * fontSize * 1.2 + 130], margin: 10 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Courier').fontSize(fontSize).text(text, { lineGap: fontSize * 0.2 });
+    doc.image(qrCode, (226.77 - 90) / 2, doc.y + 5, { width: 90 });
+    doc.end();
+  });
+}
+
+// Emails the receipt as HTML with the PDF attached; queued and retried like other emails
+async function emailReceipt(receiptId, address, { reprint = false } = {}) {
+  if (!getMailTransport()) {
+    console.log(`📧 Email not configured, skipping receipt ${receiptId}`);
+    return null;
+  }
+
+  const receipt = await getReceipt(receiptId);
+  const [qrCode, pdf] = await Promise.all([receiptQrCode(receiptId), renderReceiptPdf(receipt, { reprint })]);
+
+  return queueEmail('receipt', [address], {
+    subject: `Your ${SHOP_NAME} receipt ${receiptId}`,
+    text: renderReceiptText(receipt, { reprint }),
+    html: renderReceiptHtml(receipt, { qrSrc: 'cid:receipt-qr', reprint }),
+    attachments: [
+      { filename: 'receipt-qr.png', content: qrCode.toString('base64'), encoding: 'base64', cid: 'receipt-qr' },
+      { filename: `${receiptId}.pdf`, content: pdf.toString('base64'), encoding: 'base64' }
+    ]
+  });
+}
+
+// Account columns safe to return, with a status derived from the flags
+const USER_STATUS = `CASE 
+    WHEN pending_approval = 1 THEN 'pending'
+    WHEN is_active = 1 AND locked_until > CURRENT_TIMESTAMP THEN 'locked'
+    WHEN is_active = 1 THEN 'active'
+    WHEN deactivated_at IS NULL THEN 'invited'
+    ELSE 'inactive'
+  END`;
+const USER_COLUMNS = `id, username, email, role, first_name, last_name, phone, is_active, pending_approval, 
+  must_reset_password, last_login, locked_until, two_factor_enabled_at, invited_by, deactivated_at, created_at, updated_at, ${USER_STATUS} as status`;
+
+async function requireUser(id) {
+  const user = await dbGet(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  return user;
+}
+
+function requireAssignableRole(manager, roleName) {
+  const role = getRole(roleName);
+  if (!role) {
+    throw new HttpError(400, `Unknown role: ${roleName}`);
+  }
+  requireGrantable(manager, `The ${role.name} role`, role.permissions, role.location);
+  return role;
+}
+
+// A user the manager could have given their current role, so an admin can't be reset or
+// deactivated from a lesser role
+async function requireManageableUser(manager, id) {
+  const user = await requireUser(id);
+  if (getRole(user.role)) {
+    requireAssignableRole(manager, user.role);
+  }
+  return user;
+}
+
+// Keeps at least one active admin able to manage the shop
+async function requireAnotherAdmin(user) {
+  const { count } = await dbGet(
+    "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND is_active = 1 AND id != ?",
+    [user.id]
+  );
+  if (count === 0) {
+    throw new HttpError(400, `${user.username} is the only active admin`);
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function setupUrl(token) {
+  return `${APP_URL}/setup-password?token=${token}`;
+}
+
+// One-time token for an invitation or password reset. Only its hash is stored, and a new token
+// voids any unused one issued earlier for the same purpose.
+async function issueUserToken(userId, purpose, createdBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = purpose === 'invite' ? INVITE_EXPIRY_HOURS : PASSWORD_RESET_EXPIRY_HOURS;
+  
+  await dbRun(
+    "UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL",
+    [userId, purpose]
+  );
+  await dbRun(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_by) 
+     VALUES (?, ?, ?, DATETIME('now', ?), ?)`,
+    [userId, purpose, hashToken(token), `+${hours} hours`, createdBy]
+  );
+  return token;
+}
+
+async function sendAccountEmail(user, purpose, token) {
+  if (!getMailTransport()) {
+    console.log(`📧 Email not configured, skipping ${purpose} for ${user.username}`);
+    return null;
+  }
+  
+  const url = setupUrl(token);
+  const [subject, intro, hours] = purpose === 'invite'
+    ? [`You're invited to ${SHOP_NAME} Inventory`, `You've been invited to ${SHOP_NAME} Inventory as ${user.role}, with the username ${user.username}.`, INVITE_EXPIRY_HOURS]
+    : [`Reset your ${SHOP_NAME} Inventory password`, `An administrator has asked you to choose a new password for ${user.username}.`, PASSWORD_RESET_EXPIRY_HOURS];
+  const outro = `The link can be used once and expires in ${hours} hours.`;
+  
+  return queueEmail(purpose === 'invite' ? 'user_invite' : 'password_reset', [user.email], {
+    subject,
+    text: `${intro}\n\nSet your password: ${url}\n\n${outro}\n`,
+    html: `<p>${escapeHtml(intro)}</p><p><a href="${escapeHtml(url)}">Set your password</a></p><p>${escapeHtml(outro)}</p>`
+  });
+}
+
+// Sessions. An access token is a short-lived JWT naming its session; the refresh token is opaque,
+// stored only as a hash and replaced each time it is used. A refresh token that has already been
+// replaced can only be a copy, so presenting one revokes the whole session.
+function sessionTokens(user, sessionId, refreshToken) {
+  const token = jwt.sign(
+    { userId: user.id, username: user.username, role: user.role, email: user.email, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_MINUTES * 60 }
+  );
+  return { token, refresh_token: refreshToken, expires_in: ACCESS_TOKEN_MINUTES * 60 };
+}
+
+async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  
+  await dbRun(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, expires_at, ip_address, user_agent) 
+     VALUES (?, ?, ?, DATETIME('now', ?), ?, ?)`,
+    [sessionId, user.id, hashToken(refreshToken), `+${REFRESH_TOKEN_DAYS} days`, req.ip, req.get('User-Agent') || null]
+  );
+  return sessionTokens(user, sessionId, refreshToken);
+}
+
+async function rotateSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const session = await dbGet(
+    `SELECT *, expires_at <= CURRENT_TIMESTAMP as expired FROM user_sessions 
+     WHERE refresh_token_hash = ? OR previous_token_hash = ?`,
+    [hash, hash]
+  );
+  if (!session || session.revoked_at || session.expired) {
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+  
+  if (session.previous_token_hash === hash) {
+    await revokeSessions(session.user_id, 'refresh_token_reuse', session.id);
+    throw new HttpError(401, 'Refresh token was already used; the session has been signed out');
+  }
+  
+  const user = await dbGet("SELECT * FROM users WHERE id = ? AND is_active = 1", [session.user_id]);
+  if (!user) {
+    await revokeSessions(session.user_id, 'deactivated', session.id);
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+  
+  // Matching on the old hash means only one of two simultaneous refreshes wins
+  const nextToken = crypto.randomBytes(32).toString('hex');
+  const { changes } = await dbRun(
+    `UPDATE user_sessions SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = CURRENT_TIMESTAMP, 
+     expires_at = DATETIME('now', ?), ip_address = ?, user_agent = ? 
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [hashToken(nextToken), hash, `+${REFRESH_TOKEN_DAYS} days`, req.ip, req.get('User-Agent') || null, session.id, hash]
+  );
+  if (changes === 0) {
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+  
+  return { user, tokens: sessionTokens(user, session.id, nextToken) };
+}
+
+// Revokes one of a user's sessions, or all of them
+async function revokeSessions(userId, reason, sessionId = null) {
+  const { changes } = await dbRun(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? 
+     WHERE user_id = ? AND revoked_at IS NULL ${sessionId ? 'AND id = ?' : ''}`,
+    sessionId ? [reason, userId, sessionId] : [reason, userId]
+  );
+  closeEventStreams(client => client.userId === userId && (!sessionId || client.sessionId === sessionId));
+  return changes;
+}
+
+function listSessions(userId) {
+  return dbAll(
+    `SELECT id, created_at, last_used_at, expires_at, ip_address, user_agent 
+     FROM user_sessions 
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP 
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [userId]
+  );
+}
+
+// Issues the session for a user who has passed every login step
+async function completeLogin(user, req) {
+  await dbRun("UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?", [user.id]);
+  const tokens = await createSession(user, req);
+  const role = getRole(user.role);
+  
+  console.log(`✅ User logged in: ${user.username}`);
+  return {
+    ...tokens,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      permissions: role ? role.permissions : [],
+      location: role ? role.location : null,
+      twoFactorEnabled: Boolean(user.two_factor_enabled_at),
+      firstName: user.first_name,
+      lastName: user.last_name
+    }
+  };
+}
+
+// Two-factor authentication. Codes follow RFC 6238 (HMAC-SHA1, 6 digits, 30-second steps), which
+// is what Google Authenticator, 1Password and the like expect. After the password, login returns
+// a short-lived challenge token instead of a session; the session is issued once the challenge
+// is answered with a code or a recovery code.
+function twoFactorRequired(user) {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+}
+
+function twoFactorChallenge(user) {
+  const challengeToken = jwt.sign(
+    { userId: user.id, purpose: 'two_factor' },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_MINUTES * 60 }
+  );
+  return {
+    two_factor_required: true,
+    setup_required: !user.two_factor_enabled_at,
+    challenge_token: challengeToken,
+    expires_in: TWO_FACTOR_CHALLENGE_MINUTES * 60
+  };
+}
+
+async function verifyTwoFactorChallenge(challengeToken) {
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (error) {
+    payload = null;
+  }
+  const user = payload && payload.purpose === 'two_factor'
+    ? await dbGet("SELECT * FROM users WHERE id = ? AND is_active = 1", [payload.userId])
+    : null;
+  if (!user) {
+    throw new HttpError(401, 'Login challenge is invalid or has expired, please log in again', { code: 'challenge_expired' });
+  }
+  return user;
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+}
+
+function base32Decode(text) {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// The time step a code belongs to, allowing one step of clock drift either way. Steps up to
+// lastStep have been used already.
+function verifyTotp(secret, code, lastStep) {
+  if (!/^\d{6}$/.test(code)) return null;
+  
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  return [current, current - 1, current + 1].find(step =>
+    step > (lastStep || 0) && crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(code))
+  ) || null;
+}
+
+function totpUri(user, secret) {
+  const issuer = `${SHOP_NAME} Inventory`;
+  const label = encodeURIComponent(`${issuer}:${user.username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+}
+
+function hashRecoveryCode(code) {
+  return hashToken(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''));
+}
+
+// Replaces the user's recovery codes. The codes are returned this once; only hashes are stored.
+async function issueRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  
+  await dbRun("DELETE FROM user_recovery_codes WHERE user_id = ?", [userId]);
+  for (const code of codes) {
+    await dbRun("INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)", [userId, hashRecoveryCode(code)]);
+  }
+  return codes;
+}
+
+async function countRecoveryCodes(userId) {
+  const { count } = await dbGet(
+    "SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  return count;
+}
+
+// Uses up an authenticator code or a recovery code, returning which one matched, or null. Both
+// are claimed with a conditional update, so a code can't be used twice even by simultaneous
+// requests.
+async function redeemTwoFactorCode(user, { code, recovery_code }) {
+  if (recovery_code) {
+    const { changes } = await dbRun(
+      "UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+      [user.id, hashRecoveryCode(recovery_code)]
+    );
+    return changes > 0 ? 'recovery_code' : null;
+  }
+  
+  const step = user.totp_secret ? verifyTotp(user.totp_secret, String(code || ''), user.totp_last_step) : null;
+  if (step === null) return null;
+  
+  const { changes } = await dbRun(
+    "UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+    [step, user.id, step]
+  );
+  return changes > 0 ? 'totp' : null;
+}
+
+async function disableTwoFactor(userId) {
+  await dbRun(
+    `UPDATE users SET totp_secret = NULL, totp_last_step = NULL, two_factor_enabled_at = NULL, 
+     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [userId]
+  );
+  await dbRun("DELETE FROM user_recovery_codes WHERE user_id = ?", [userId]);
+}
+
+// Looks up an API key and makes it the request's actor. Its name stands in for a username in
+// logs and the audit trail; userId is null, since no person is involved.
+async function authenticateApiKey(key, req) {
+  const apiKey = await dbGet(
+    "SELECT *, expires_at <= CURRENT_TIMESTAMP as expired FROM api_keys WHERE key_hash = ?",
+    [hashToken(key)]
+  );
+  if (!apiKey || apiKey.revoked_at) {
+    throw new HttpError(401, 'Invalid API key', { code: 'invalid_api_key' });
+  }
+  if (apiKey.expired) {
+    throw new HttpError(401, 'API key has expired', { code: 'api_key_expired' });
+  }
+  
+  const ip = normalizeIp(req.ip);
+  const allowedIps = JSON.parse(apiKey.allowed_ips || '[]');
+  if (allowedIps.length > 0 && !allowedIps.some(entry => ipMatches(ip, entry))) {
+    throw new HttpError(403, 'API key is not allowed from this address', { code: 'ip_not_allowed' });
+  }
+  
+  await dbRun(
+    "UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?",
+    [ip, apiKey.id]
+  );
+  
+  req.user = {
+    userId: null,
+    username: `api-key:${apiKey.name}`,
+    role: null,
+    apiKeyId: apiKey.id,
+    apiKeyPrefix: apiKey.key_prefix,
+    scopes: JSON.parse(apiKey.scopes),
+    location: apiKey.location
+  };
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.5) compare as plain IPv4
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+function ipv4ToNumber(ip) {
+  return ip.split('.').reduce((value, octet) => value * 256 + parseInt(octet), 0);
+}
+
+// An allowlist entry is a single address or an IPv4 CIDR range such as 10.0.0.0/24
+function ipMatches(ip, entry) {
+  const [range, bits] = entry.split('/');
+  if (bits === undefined) return ip === normalizeIp(range);
+  if (!net.isIPv4(ip) || !net.isIPv4(range)) return false;
+  
+  const size = 2 ** (32 - parseInt(bits));
+  return Math.floor(ipv4ToNumber(ip) / size) === Math.floor(ipv4ToNumber(range) / size);
+}
+
+function validateAllowedIps(allowedIps) {
+  if (allowedIps === undefined || allowedIps === null) return [];
+  if (!Array.isArray(allowedIps)) {
+    throw new HttpError(400, 'allowed_ips must be an array of addresses or CIDR ranges');
+  }
+  const invalid = allowedIps.filter(entry => {
+    const [range, bits] = String(entry).split('/');
+    if (bits === undefined) return !net.isIP(range);
+    return !net.isIPv4(range) || !/^\d+$/.test(bits) || parseInt(bits) > 32;
+  });
+  if (invalid.length > 0) {
+    throw new HttpError(400, `Invalid addresses: ${invalid.join(', ')}`);
+  }
+  return allowedIps.map(String);
+}
+
+function validateApiKeyScopes(scopes) {
+  const permissions = validateRolePermissions(scopes);
+  const excluded = permissions.filter(permission => API_KEY_EXCLUDED_PERMISSIONS.includes(permission));
+  if (excluded.length > 0) {
+    throw new HttpError(400, `API keys can't be given ${excluded.join(', ')}`);
+  }
+  return permissions;
+}
+
+// API keys as listed to admins, never including the hash
+function getApiKeys(where = '1=1', params = []) {
+  return dbAll(
+    `SELECT k.id, k.name, k.key_prefix, k.scopes, k.location, k.allowed_ips, k.expires_at, k.last_used_at, k.last_used_ip, 
+       k.revoked_at, k.created_at, k.updated_at, u.username as created_by, r.username as revoked_by,
+       CASE 
+         WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+         WHEN k.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+         ELSE 'active'
+       END as status
+     FROM api_keys k
+     LEFT JOIN users u ON k.created_by = u.id
+     LEFT JOIN users r ON k.revoked_by = r.id
+     WHERE ${where}
+     ORDER BY k.created_at DESC, k.id DESC`,
+    params
+  ).then(rows => rows.map(row => ({
+    ...row,
+    scopes: JSON.parse(row.scopes),
+    allowed_ips: JSON.parse(row.allowed_ips || '[]')
+  })));
+}
+
+// Parses a "<requests>/<window>" setting such as 300/1m or 20/15m
+function parseRateLimit(variable, fallback) {
+  const value = process.env[variable] || fallback;
+  if (value === 'off') return null;
+  
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(value);
+  if (!match) {
+    throw new Error(`${variable} must look like 300/1m or 20/15m, or be "off"`);
+  }
+  const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }[match[3]];
+  return { limit: parseInt(match[1]), windowMs: parseInt(match[2]) * unitMs };
+}
+
+// Fixed-window counters in this process. Any store with these methods can replace it; they
+// return promises, and counters are { count, resetAt, updatedAt } with times in milliseconds.
+//   get(key)                  the counter, or null once its window has passed
+//   increment(key, windowMs)  adds one, starting a new window if needed, and returns the counter
+//   reset(key)                drops the counter
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+  const current = key => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+  
+  // Sweep finished windows so abandoned keys don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000).unref();
+  
+  return {
+    async get(key) {
+      const counter = current(key);
+      return counter && { ...counter };
+    },
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const counter = current(key) || { count: 0, resetAt: now + windowMs };
+      counter.count += 1;
+      counter.updatedAt = now;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+// Route group a request is limited under, or null for unlimited reads
+function rateLimitGroup(req) {
+  const route = `${req.baseUrl}${req.path}`;
+  if (/^\/api\/auth\/(login|register|refresh|setup-password|2fa\/verify)$/.test(route)) return 'auth';
+  if (route === '/api/products/export' || route === '/api/labels' || ['csv', 'pdf'].includes(req.query.format)) {
+    return 'export';
+  }
+  if (/^\/api\/(analytics|reports|forecast)(\/|$)/.test(route)) return 'analytics';
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return 'write';
+  return null;
+}
+
+// Who a request counts against. Runs before authentication, so only a token that verifies
+// names a user; anything else is counted against its address.
+function rateLimitActor(req) {
+  const authHeader = req.headers['authorization'];
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]) || req.query.token;
+  
+  if (token && token.startsWith(API_KEY_PREFIX)) {
+    return `key:${hashToken(token).slice(0, 16)}`;
+  }
+  if (token) {
+    try {
+      return `user:${jwt.verify(token, JWT_SECRET).userId}`;
+    } catch (error) {
+      return `ip:${req.ip}`;
+    }
+  }
+  return `ip:${req.ip}`;
+}
+
+// Counts the request against its group's limit and reports it in the RateLimit-* headers
+async function rateLimitRequests(req, res, next) {
+  const group = rateLimitGroup(req);
+  const policy = group && RATE_LIMITS[group];
+  if (!policy) return next();
+  
+  try {
+    const actor = group === 'auth' ? `ip:${req.ip}` : rateLimitActor(req);
+    const { count, resetAt } = await rateLimitStore.increment(`rate:${group}:${actor}`, policy.windowMs);
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+    
+    res.set({
+      'RateLimit-Policy': `${policy.limit};w=${policy.windowMs / 1000}`,
+      'RateLimit-Limit': String(policy.limit),
+      'RateLimit-Remaining': String(Math.max(0, policy.limit - count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+    
+    if (count > policy.limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        code: 'rate_limited',
+        retry_after: resetSeconds
+      });
+    }
+    next();
+  } catch (error) {
+    // Better to serve unlimited than to fail every request while the store is down
+    console.error('Rate limit store error:', error);
+    next();
+  }
+}
+
+// Refuses a login attempt while the address is blocked, the account is locked, or the
+// username's progressive delay hasn't passed. Existing accounts are locked in the database,
+// so a lock outlives a restart; unknown usernames are locked the same way to avoid revealing
+// which accounts exist.
+async function checkLoginThrottle(username, ip) {
+  const now = Date.now();
+  const byIp = await rateLimitStore.get(`login:ip:${ip}`);
+  if (byIp && byIp.count >= LOGIN_MAX_FAILURES_PER_IP) {
+    throw new HttpError(429, 'Too many failed logins from this address, please try again later', {
+      code: 'ip_blocked',
+      retry_after: Math.ceil((byIp.resetAt - now) / 1000)
+    });
+  }
+  
+  const byUser = await rateLimitStore.get(`login:user:${username}`);
+  const user = await dbGet(
+    "SELECT locked_until, STRFTIME('%s', locked_until) * 1000 as locked_until_ms FROM users WHERE username = ?",
+    [username]
+  );
+  const lockedUntil = user
+    ? (user.locked_until_ms > now ? user.locked_until_ms : null)
+    : (byUser && byUser.count >= LOGIN_MAX_FAILURES ? byUser.resetAt : null);
+  if (lockedUntil) {
+    throw new HttpError(423, 'Account is temporarily locked after too many failed logins', {
+      code: 'account_locked',
+      locked_until: new Date(lockedUntil).toISOString(),
+      retry_after: Math.ceil((lockedUntil - now) / 1000)
+    });
+  }
+  
+  if (byUser && byUser.count >= LOGIN_DELAY_AFTER) {
+    const delayMs = Math.min(2 ** (byUser.count - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_SECONDS) * 1000;
+    const waitMs = byUser.updatedAt + delayMs - now;
+    if (waitMs > 0) {
+      throw new HttpError(429, 'Too many failed logins, please wait before trying again', {
+        code: 'login_throttled',
+        retry_after: Math.ceil(waitMs / 1000)
+      });
+    }
+  }
+}
+
+// Counts a failed login, locking the account or blocking the address at their limits and
+// emailing admins when that happens
+async function recordLoginFailure(username, ip) {
+  const windowMs = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+  const byUser = await rateLimitStore.increment(`login:user:${username}`, windowMs);
+  const byIp = await rateLimitStore.increment(`login:ip:${ip}`, windowMs);
+  
+  if (byUser.count === LOGIN_MAX_FAILURES) {
+    const { changes } = await dbRun(
+      "UPDATE users SET locked_until = DATETIME('now', ?) WHERE username = ?",
+      [`+${LOGIN_LOCKOUT_MINUTES} minutes`, username]
+    );
+    console.log(`🔒 ${changes ? 'Account locked' : 'Unknown username locked'}: ${username} after ${byUser.count} failed logins`);
+    if (changes) {
+      sendNotification('security_alert', securityAlertEmail(
+        `Account ${username} locked`,
+        `${username} was locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${byUser.count} failed logins.`,
+        [[username, ip, byUser.count]]
+      )).catch(error => console.error('Security alert email error:', error));
+    }
+  }
+  
+  if (byIp.count === LOGIN_MAX_FAILURES_PER_IP) {
+    console.log(`🔒 Address blocked: ${ip} after ${byIp.count} failed logins`);
+    sendNotification('security_alert', securityAlertEmail(
+      `Logins blocked from ${ip}`,
+      `Logins from ${ip} were blocked for up to ${LOGIN_LOCKOUT_MINUTES} minutes after ${byIp.count} failed attempts.`,
+      [[username, ip, byIp.count]]
+    )).catch(error => console.error('Security alert email error:', error));
+  }
+}
+
+function clearLoginFailures(username) {
+  return rateLimitStore.reset(`login:user:${username}`);
+}
+
+// Custom roles are kept in memory, since every request checks a permission, and reloaded
+// whenever one is changed
+const customRoles = new Map();
+
+async function loadCustomRoles() {
+  const rows = await dbAll("SELECT * FROM roles");
+  customRoles.clear();
+  for (const row of rows) {
+    customRoles.set(row.name, { ...row, permissions: JSON.parse(row.permissions), is_system: false });
+  }
+}
+
+function getRole(name) {
+  if (SYSTEM_ROLES[name]) {
+    return { name, permissions: SYSTEM_ROLES[name], location: null, is_system: true };
+  }
+  return customRoles.get(name) || null;
+}
+
+// Permissions come from the user's role, or from the scopes of an API key
+function userPermissions(user) {
+  if (user.apiKeyId) return user.scopes;
+  const role = getRole(user.role);
+  return role ? role.permissions : [];
+}
+
+function hasPermission(user, permission) {
+  return Boolean(user && userPermissions(user).includes(permission));
+}
+
+// The one location a user's role (or an API key) is limited to, or null
+function roleLocation(user) {
+  if (user.apiKeyId) return user.location;
+  const role = getRole(user.role);
+  return role ? role.location : null;
+}
+
+function requireLocationAccess(user, location) {
+  const scope = roleLocation(user);
+  if (scope && scope !== location) {
+    throw new HttpError(403, `Your role is limited to ${scope}`);
+  }
+}
+
+// Roles a user hands out or edits can't have a permission the user lacks, or reach beyond the
+// location the user's own role is limited to
+function requireGrantable(user, what, permissions, location) {
+  const granted = userPermissions(user);
+  const missing = permissions.filter(permission => !granted.includes(permission));
+  if (missing.length > 0) {
+    throw new HttpError(403, `${what} has permissions you don't have`, { permissions: missing });
+  }
+  const scope = roleLocation(user);
+  if (scope && location !== scope) {
+    throw new HttpError(403, `Your role is limited to ${scope}`);
+  }
+}
+
+function hideCosts(req, rows) {
+  if (!hasPermission(req.user, 'report.view_costs')) {
+    for (const row of [].concat(rows)) {
+      COST_FIELDS.forEach(field => delete row[field]);
+    }
+  }
+  return rows;
+}
+
+function validateRolePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new HttpError(400, 'permissions must be a non-empty array');
+  }
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown permissions: ${unknown.join(', ')}`, { permissions: Object.keys(PERMISSIONS) });
+  }
+  return [...new Set(permissions)];
+}
+
+async function listRoles() {
+  const counts = await dbAll("SELECT role, COUNT(*) as user_count FROM users WHERE deactivated_at IS NULL GROUP BY role");
+  const userCount = name => (counts.find(row => row.role === name) || { user_count: 0 }).user_count;
+  
+  return [
+    ...Object.keys(SYSTEM_ROLES).map(getRole),
+    ...[...customRoles.values()].sort((a, b) => a.name.localeCompare(b.name))
+  ].map(role => ({ ...role, user_count: userCount(role.name) }));
+}
+
+// Manufacturer GTINs (UPC-A, EAN-13, EAN-8), plus Code128 for internal codes such as the SKU
+const BARCODE_SYMBOLOGIES = {
+  upc_a: { bcid: 'upca', length: 12 },
+  ean_13: { bcid: 'ean13', length: 13 },
+  ean_8: { bcid: 'ean8', length: 8 },
+  code128: { bcid: 'code128' }
+};
+
+// GS1 mod-10: weights of 3 and 1 alternate, starting with 3 on the rightmost data digit
+function gtinCheckDigit(digits) {
+  const sum = [...digits].reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+function detectSymbology(barcode) {
+  return Object.keys(BARCODE_SYMBOLOGIES).find(symbology =>
+    BARCODE_SYMBOLOGIES[symbology].length === barcode.length && /^\d+$/.test(barcode)) || 'code128';
+}
+
+function validateBarcode(barcode, symbology = detectSymbology(barcode)) {
+  const spec = BARCODE_SYMBOLOGIES[symbology];
+  if (!spec) {
+    throw new HttpError(400, `Symbology must be one of ${Object.keys(BARCODE_SYMBOLOGIES).join(', ')}`);
+  }
+  
+  if (!spec.length) {
+    if (!/^[\x20-\x7e]{1,48}$/.test(barcode)) {
+      throw new HttpError(400, 'Code128 barcodes are 1-48 printable ASCII characters');
+    }
+    return symbology;
+  }
+  
+  if (!new RegExp(`^\\d{${spec.length}}$`).test(barcode)) {
+    throw new HttpError(400, `${symbology} barcodes are ${spec.length} digits`);
+  }
+  const expected = gtinCheckDigit(barcode.slice(0, -1));
+  if (expected !== Number(barcode.slice(-1))) {
+    throw new HttpError(400, 'Invalid check digit', { barcode, expected_check_digit: expected });
+  }
+  return symbology;
+}
+
+// Scanners may send a UPC-A as the equivalent EAN-13 (with a leading zero), or the reverse
+function barcodeCandidates(code) {
+  if (/^\d{12}$/.test(code)) return [code, `0${code}`];
+  if (/^0\d{12}$/.test(code)) return [code, code.slice(1)];
+  return [code];
+}
+
+// Product for a scanned code: a registered barcode first, then the SKU (printed as Code128)
+async function findProductByBarcode(code) {
+  const candidates = barcodeCandidates(code.trim());
+  const match = await dbGet(
+    `SELECT product_id, barcode, symbology FROM product_barcodes WHERE barcode IN (${candidates.map(() => '?').join(', ')})`,
+    candidates
+  );
+  if (match) return match;
+  
+  const product = await dbGet("SELECT id, sku FROM products WHERE sku IN (?, ?)", [code.trim(), code.trim().toUpperCase()]);
+  return product ? { product_id: product.id, barcode: product.sku, symbology: 'code128' } : null;
+}
+
+// Label stock in points on US Letter sheets
+const LABEL_PAGE = { width: 612, height: 792 };
+const LABEL_LAYOUTS = {
+  // Avery 5160: 3 × 10 labels of 2.625" × 1"
+  shelf: { columns: 3, rows: 10, width: 189, height: 72, left: 13.5, top: 36, pitchX: 198, pitchY: 72 },
+  // Avery 5167: 4 × 20 labels of 1.75" × 0.5"
+  price: { columns: 4, rows: 20, width: 126, height: 36, left: 21.6, top: 36, pitchX: 148.5, pitchY: 36 }
+};
+const LABEL_FORMATS = ['pdf', 'svg'];
+const MAX_LABELS = 2000;
+
+// What goes on each label, as positioned text and barcode elements shared by the PDF and SVG
+// renderers. Text is cut to fit using an average glyph width, since SVG can't measure it.
+function labelElements(label, type) {
+  const fit = (text, size, width) => {
+    const max = Math.floor(width / (size * 0.55));
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
   };
+  const price = `$${label.sell_price.toFixed(2)}`;
   
-  const results = {};
-  let completed = 0;
-  const totalQueries = Object.keys(queries).length;
+  const elements = type === 'price'
+    ? [
+      { type: 'text', x: 4, y: 4, size: 12, bold: true, text: price },
+      { type: 'text', x: 4, y: 22, size: 5, text: fit(label.name, 5, 58) },
+      { type: 'barcode', x: 64, y: 4, width: 58, height: 28 }
+    ]
+    : [
+      { type: 'text', x: 6, y: 6, size: 8, bold: true, text: fit(label.name, 8, 177) },
+      { type: 'text', x: 6, y: 17, size: 6, text: fit(label.sku || '', 6, 80) },
+      { type: 'text', x: 6, y: 30, size: 18, bold: true, text: price },
+      { type: 'barcode', x: 92, y: 18, width: 91, height: 48 }
+    ];
   
-  Object.entries(queries).forEach(([key, sql]) => {
-    db.get(sql, (err, row) => {
-      if (err) {
-        console.error(`Analytics query error (${key}):`, err);
-        results[key] = key === 'topSellingProduct' ? null : { count: 0, total: 0, revenue: 0 };
-      } else {
-        results[key] = row;
+  return elements.filter(element => element.type !== 'barcode' || label.barcode);
+}
+
+function labelBarcodeOptions(label, type) {
+  return {
+    bcid: BARCODE_SYMBOLOGIES[label.symbology].bcid,
+    text: label.barcode,
+    includetext: type === 'shelf',
+    textsize: 8,
+    height: 10
+  };
+}
+
+// Position of the nth label on its page
+function labelPosition(index, layout) {
+  const perPage = layout.columns * layout.rows;
+  const slot = index % perPage;
+  return {
+    page: Math.floor(index / perPage),
+    x: layout.left + (slot % layout.columns) * layout.pitchX,
+    y: layout.top + Math.floor(slot / layout.columns) * layout.pitchY
+  };
+}
+
+async function renderLabelsPdf(labels, type) {
+  const layout = LABEL_LAYOUTS[type];
+  const images = new Map();
+  for (const label of labels) {
+    if (label.barcode && !images.has(label.barcode)) {
+      images.set(label.barcode, await bwipjs.toBuffer({ ...labelBarcodeOptions(label, type), scale: 3 }));
+    }
+  }
+  
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [LABEL_PAGE.width, LABEL_PAGE.height], margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    labels.forEach((label, index) => {
+      const { page, x, y } = labelPosition(index, layout);
+      if (index === 0 || labelPosition(index - 1, layout).page !== page) {
+        doc.addPage();
       }
       
-      completed++;
-      if (completed === totalQueries) {
-        res.json(results);
+      labelElements(label, type).forEach(element => {
+        if (element.type === 'barcode') {
+          doc.image(images.get(label.barcode), x + element.x, y + element.y, {
+            fit: [element.width, element.height], align: 'center', valign: 'center'
+          });
+        } else {
+          doc.font(element.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(element.size)
+            .text(element.text, x + element.x, y + element.y, { lineBreak: false });
+        }
+      });
+    });
+    
+    doc.end();
+  });
+}
+
+// One SVG per sheet; page is zero-based
+function renderLabelsSvg(labels, type, page) {
+  const layout = LABEL_LAYOUTS[type];
+  const barcodes = new Map();
+  
+  const content = labels
+    .map((label, index) => ({ label, ...labelPosition(index, layout) }))
+    .filter(position => position.page === page)
+    .map(({ label, x, y }) => labelElements(label, type).map(element => {
+      if (element.type === 'barcode') {
+        if (!barcodes.has(label.barcode)) {
+          barcodes.set(label.barcode, bwipjs.toSVG(labelBarcodeOptions(label, type)));
+        }
+        return barcodes.get(label.barcode).replace('<svg ',
+          `<svg x="${x + element.x}" y="${y + element.y}" width="${element.width}" height="${element.height}" `);
+      }
+      // SVG text is positioned by its baseline
+      return `<text x="${x + element.x}" y="${y + element.y + element.size * 0.8}" font-family="Helvetica, Arial, sans-serif" ` +
+        `font-size="${element.size}"${element.bold ? ' font-weight="bold"' : ''}>${escapeHtml(element.text)}</text>`;
+    }).join('\n'))
+    .join('\n');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="8.5in" height="11in" viewBox="0 0 ${LABEL_PAGE.width} ${LABEL_PAGE.height}">
+${content}
+</svg>
+`;
+}
+
+// Active users holding one of the notification's roles, plus its extra addresses
+async function getNotificationRecipients(settings) {
+  const roles = (settings.roles || '').split(',').map(role => role.trim()).filter(Boolean);
+  const users = roles.length > 0
+    ? await dbAll(
+      `SELECT email FROM users WHERE is_active = 1 AND role IN (${roles.map(() => '?').join(', ')})`,
+      roles
+    )
+    : [];
+  const extra = (settings.extra_recipients || '').split(',').map(address => address.trim());
+
+  return [...new Set([...users.map(user => user.email), ...extra].filter(Boolean))];
+}
+
+// Queues an email in the delivery log and attempts it straight away. Failed deliveries are
+// retried by the retry job with exponential backoff.
+async function sendNotification(type, { subject, text, html }) {
+  if (!getMailTransport()) {
+    console.log(`📧 Email not configured, skipping ${type}: ${subject}`);
+    return null;
+  }
+
+  const settings = await dbGet("SELECT * FROM notification_settings WHERE notification_type = ?", [type]);
+  if (!settings || !settings.enabled) return null;
+
+  const recipients = await getNotificationRecipients(settings);
+  if (recipients.length === 0) {
+    console.log(`📧 No recipients for ${type}, skipping: ${subject}`);
+    return null;
+  }
+
+  return queueEmail(type, recipients, { subject, text, html });
+}
+
+// Attachments are stored with the delivery (base64 content) so retries resend them
+async function queueEmail(type, recipients, { subject, text, html, attachments }) {
+  const { lastID } = await dbRun(
+    `INSERT INTO email_deliveries (notification_type, recipients, subject, text_body, html_body, attachments) 
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [type, recipients.join(', '), subject, text, html, attachments ? JSON.stringify(attachments) : null]
+  );
+
+  return deliverEmail(lastID);
+}
+
+async function deliverEmail(deliveryId) {
+  const delivery = await dbGet("SELECT * FROM email_deliveries WHERE id = ?", [deliveryId]);
+  const transport = getMailTransport();
+
+  try {
+    if (!transport) {
+      throw new Error('Email transport not configured');
+    }
+
+    const info = await transport.sendMail({
+      from: EMAIL_FROM,
+      to: delivery.recipients,
+      subject: delivery.subject,
+      text: delivery.text_body,
+      html: delivery.html_body,
+      attachments: delivery.attachments ? JSON.parse(delivery.attachments) : undefined
+    });
+
+    await dbRun(
+      `UPDATE email_deliveries SET status = 'sent', attempts = attempts + 1, message_id = ?, 
+       last_error = NULL, next_attempt_at = NULL, sent_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [info.messageId, deliveryId]
+    );
+    console.log(`📧 Email sent: ${delivery.subject} → ${delivery.recipients}`);
+  } catch (error) {
+    const attempts = delivery.attempts + 1;
+    const retryMinutes = attempts < EMAIL_MAX_ATTEMPTS ? 5 * 2 ** (attempts - 1) : null;
+
+    await dbRun(
+      `UPDATE email_deliveries SET status = 'failed', attempts = ?, last_error = ?, 
+       next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE DATETIME('now', '+' || ? || ' minutes') END 
+       WHERE id = ?`,
+      [attempts, error.message, retryMinutes, retryMinutes, deliveryId]
+    );
+    console.error(`❌ Email delivery ${deliveryId} failed (attempt ${attempts}):`, error.message);
+  }
+
+  return dbGet(
+    `SELECT id, notification_type, recipients, subject, status, attempts, last_error, 
+            message_id, next_attempt_at, created_at, sent_at
+     FROM email_deliveries WHERE id = ?`,
+    [deliveryId]
+  );
+}
+
+async function retryFailedDeliveries() {
+  const due = await dbAll(
+    `SELECT id FROM email_deliveries 
+     WHERE status = 'failed' AND next_attempt_at IS NOT NULL AND next_attempt_at <= CURRENT_TIMESTAMP`
+  );
+
+  for (const delivery of due) {
+    await deliverEmail(delivery.id);
+  }
+  return due.length;
+}
+
+async function sendLowStockDigest() {
+  const items = await dbAll(
+    `SELECT p.name, p.sku, i.location, i.quantity, i.reorder_level
+     FROM inventory i
+     JOIN products p ON i.product_id = p.id
+     WHERE i.quantity <= i.reorder_level
+     ORDER BY i.location, i.quantity`
+  );
+  const projected = await dbAll(
+    `SELECT message FROM alerts WHERE alert_type = 'projected_stockout' AND ${OPEN_ALERTS} ORDER BY created_at`
+  );
+
+  if (items.length === 0 && projected.length === 0) return null;
+  return sendNotification('low_stock_digest', lowStockDigestEmail(items, projected));
+}
+
+async function sendWeeklySummary() {
+  const stats = await dbGet(
+    `SELECT 
+      COUNT(*) as total_transactions,
+      SUM(quantity_sold) as total_items_sold,
+      SUM(total_amount) as total_revenue,
+      SUM(discount_amount) as total_discounts,
+      AVG(total_amount) as avg_transaction_value,
+      (SELECT SUM(refund_amount) FROM returns WHERE created_at >= DATE('now', '-7 days')) as total_refunds
+    FROM sales 
+    WHERE sale_date >= DATE('now', '-7 days')`
+  );
+  const topProducts = await dbAll(
+    `SELECT p.name, SUM(s.quantity_sold) as units_sold, SUM(s.total_amount) as revenue
+     FROM sales s
+     JOIN products p ON s.product_id = p.id
+     WHERE s.sale_date >= DATE('now', '-7 days')
+     GROUP BY s.product_id
+     ORDER BY units_sold DESC
+     LIMIT 5`
+  );
+
+  return { stats, delivery: await sendNotification('weekly_summary', weeklySummaryEmail(stats, topProducts)) };
+}
+
+// Safety stock multipliers (z-scores) for the supported service levels
+const SERVICE_LEVEL_Z = { 0.8: 0.84, 0.85: 1.04, 0.9: 1.28, 0.95: 1.65, 0.975: 1.96, 0.99: 2.33 };
+
+// Forecasts demand for every inventory row in scope from complete days of sales history.
+// Daily velocity is a moving average over `averageDays`, shaped by weekday factors from the
+// last `historyDays` and a seasonal factor taken from the same period last year. Reorder
+// recommendations cover the supplier lead time plus safety stock at `serviceLevel`, and order
+// quantities top stock up to cover the lead time and `reviewDays` beyond it.
+async function forecastDemand({
+  location, category, productId, historyDays = 56, averageDays = 28,
+  leadTimeDays, serviceLevel = 0.95, reviewDays = 30
+} = {}) {
+  const z = SERVICE_LEVEL_Z[serviceLevel];
+  if (z === undefined) {
+    throw new HttpError(400, `Service level must be one of ${Object.keys(SERVICE_LEVEL_Z).join(', ')}`);
+  }
+
+  let stockSql = `
+    SELECT 
+      i.product_id, i.location, i.quantity, i.reorder_level,
+      p.name as product_name, p.sku, p.category, p.supplier,
+      COALESCE(p.lead_time_days, 7) as lead_time_days,
+      (SELECT COALESCE(SUM(poi.quantity_ordered - poi.quantity_received), 0)
+       FROM purchase_order_items poi
+       JOIN purchase_orders po ON poi.purchase_order_id = po.id
+       WHERE poi.product_id = i.product_id AND po.location = i.location
+       AND po.status IN ('sent', 'partially_received')) as on_order
+    FROM inventory i
+    JOIN products p ON i.product_id = p.id
+    WHERE 1=1
+  `;
+  let salesFilter = '';
+  const filterParams = [];
+
+  if (location) {
+    stockSql += ' AND i.location = ?';
+    salesFilter += ' AND COALESCE(location, ?) = ?';
+  }
+  if (productId) {
+    stockSql += ' AND i.product_id = ?';
+    salesFilter += ' AND product_id = ?';
+  }
+  if (category) {
+    stockSql += ' AND p.category = ?';
+  }
+
+  const stockRows = await dbAll(
+    stockSql + ' ORDER BY p.name, i.location',
+    [location, productId, category].filter(Boolean)
+  );
+  if (location) filterParams.push(DEFAULT_LOCATION, location);
+  if (productId) filterParams.push(productId);
+
+  const daily = await dbAll(
+    `SELECT product_id, COALESCE(location, ?) as location, DATE(sale_date) as day, SUM(quantity_sold) as units
+     FROM sales
+     WHERE sale_date >= DATE('now', ?) AND sale_date < DATE('now')${salesFilter}
+     GROUP BY product_id, COALESCE(location, ?), DATE(sale_date)`,
+    [DEFAULT_LOCATION, `-${historyDays} days`, ...filterParams, DEFAULT_LOCATION]
+  );
+
+  // Sales in the year-ago window we are about to enter, against the window just before it
+  const lastYear = await dbAll(
+    `SELECT product_id, COALESCE(location, ?) as location,
+       SUM(CASE WHEN sale_date >= DATE('now', '-365 days') THEN quantity_sold ELSE 0 END) as ahead,
+       SUM(CASE WHEN sale_date < DATE('now', '-365 days') THEN quantity_sold ELSE 0 END) as trailing
+     FROM sales
+     WHERE sale_date >= DATE('now', ?) AND sale_date < DATE('now', ?)${salesFilter}
+     GROUP BY product_id, COALESCE(location, ?)`,
+    [DEFAULT_LOCATION, `-${365 + averageDays} days`, `-${365 - averageDays} days`, ...filterParams, DEFAULT_LOCATION]
+  );
+
+  // Complete days in the history window, oldest first, as UTC dates to match SQLite's DATE('now')
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const days = [];
+  for (let offset = historyDays; offset >= 1; offset--) {
+    days.push(new Date(today.getTime() - offset * 86400000));
+  }
+
+  const key = (productId, location) => `${productId}|${location}`;
+  const unitsByDay = new Map();
+  daily.forEach(row => unitsByDay.set(`${key(row.product_id, row.location)}|${row.day}`, row.units));
+  const seasonalRows = new Map(lastYear.map(row => [key(row.product_id, row.location), row]));
+
+  return stockRows.map(stock => {
+    const series = days.map(day =>
+      unitsByDay.get(`${key(stock.product_id, stock.location)}|${day.toISOString().slice(0, 10)}`) || 0
+    );
+    const recent = series.slice(-averageDays);
+    const historyMean = series.reduce((sum, units) => sum + units, 0) / series.length;
+    const velocity = recent.reduce((sum, units) => sum + units, 0) / recent.length;
+    const stdDev = Math.sqrt(recent.reduce((sum, units) => sum + (units - velocity) ** 2, 0) / recent.length);
+
+    // Weekday factors need a few weeks of steady sales to mean anything
+    const weekdayFactors = [1, 1, 1, 1, 1, 1, 1];
+    if (historyMean * series.length >= 28) {
+      for (let weekday = 0; weekday < 7; weekday++) {
+        const units = series.filter((_, i) => days[i].getUTCDay() === weekday);
+        const mean = units.reduce((sum, value) => sum + value, 0) / units.length;
+        weekdayFactors[weekday] = parseFloat((mean / historyMean).toFixed(2));
+      }
+    }
+
+    const seasonal = seasonalRows.get(key(stock.product_id, stock.location));
+    const seasonalFactor = seasonal && seasonal.ahead > 0 && seasonal.trailing > 0
+      ? parseFloat(Math.min(4, Math.max(0.25, seasonal.ahead / seasonal.trailing)).toFixed(2))
+      : 1;
+
+    const demandOn = dayAhead => velocity * weekdayFactors[(today.getUTCDay() + dayAhead) % 7] * seasonalFactor;
+    const demandOver = numberOfDays => {
+      let total = 0;
+      for (let day = 0; day < numberOfDays; day++) total += demandOn(day);
+      return total;
+    };
+
+    // Walk forward until projected demand uses up the stock on hand (within a year)
+    let daysUntilStockout = null;
+    if (velocity > 0) {
+      let remaining = stock.quantity;
+      for (let day = 0; day < 365; day++) {
+        remaining -= demandOn(day);
+        if (remaining <= 0) {
+          daysUntilStockout = day;
+          break;
+        }
+      }
+    }
+
+    const leadTime = leadTimeDays !== undefined ? leadTimeDays : stock.lead_time_days;
+    const safetyStock = z * stdDev * Math.sqrt(leadTime) * seasonalFactor;
+    const orderUpTo = demandOver(leadTime + reviewDays) + safetyStock;
+
+    return {
+      ...stock,
+      lead_time_days: leadTime,
+      daily_velocity: parseFloat(velocity.toFixed(2)),
+      weekday_factors: weekdayFactors,
+      seasonal_factor: seasonalFactor,
+      forecast_next_7_days: parseFloat(demandOver(7).toFixed(1)),
+      days_until_stockout: daysUntilStockout,
+      projected_stockout_date: daysUntilStockout === null
+        ? null
+        : new Date(today.getTime() + daysUntilStockout * 86400000).toISOString().slice(0, 10),
+      projected_stockout: daysUntilStockout !== null && daysUntilStockout <= leadTime,
+      safety_stock: Math.ceil(safetyStock),
+      recommended_reorder_level: Math.ceil(demandOver(leadTime) + safetyStock),
+      recommended_order_quantity: Math.max(0, Math.ceil(orderUpTo - stock.quantity - stock.on_order))
+    };
+  });
+}
+
+// Raises a projected_stockout alert for a forecast that runs out within its lead time
+async function createProjectedStockoutAlert(forecast) {
+  const priority = forecast.days_until_stockout <= forecast.lead_time_days / 2 ? 'high' : 'medium';
+  const message = `${forecast.product_name} is projected to sell out at ${forecast.location} by ` +
+    `${forecast.projected_stockout_date} (${forecast.days_until_stockout} days, lead time ${forecast.lead_time_days} days)`;
+
+  await recordAlert({
+    productId: forecast.product_id,
+    alertType: 'projected_stockout',
+    message,
+    priority,
+    location: forecast.location
+  });
+}
+
+// Raises alerts for items forecast to run out before a reorder could arrive and resolves
+// the ones whose forecast has recovered. Items already at their reorder level are left to
+// the low-stock alerts.
+async function checkProjectedStockouts() {
+  const forecasts = await forecastDemand();
+  const atRisk = forecasts.filter(forecast => forecast.projected_stockout && forecast.quantity > forecast.reorder_level);
+
+  for (const forecast of atRisk) {
+    await createProjectedStockoutAlert(forecast);
+  }
+
+  const stillAtRisk = new Set(forecasts.filter(forecast => forecast.projected_stockout)
+    .map(forecast => `${forecast.product_id}|${forecast.location}`));
+  const activeAlerts = await dbAll(
+    `SELECT id, product_id, COALESCE(location, ?) as location FROM alerts WHERE alert_type = 'projected_stockout' AND ${OPEN_ALERTS}`,
+    [DEFAULT_LOCATION]
+  );
+
+  for (const alert of activeAlerts) {
+    if (!stillAtRisk.has(`${alert.product_id}|${alert.location}`)) {
+      await transitionAlert(alert.id, 'resolve', { note: 'No longer projected to stock out within lead time' });
+    }
+  }
+
+  return atRisk.length;
+}
+
+// Builds a count session's variance report valued at the cost frozen when it started.
+// While counting, each item uses the most recent count and the expected quantity is moved
+// forward by stock movements (sales, receipts, transfers) between session start and that
+// count. Approved sessions report the values stored at approval.
+async function getCountVariance(session) {
+  const items = await dbAll(
+    `SELECT ci.*, p.name as product_name, p.sku, p.category
+     FROM count_session_items ci
+     JOIN products p ON ci.product_id = p.id
+     WHERE ci.session_id = ?
+     ORDER BY ci.shelf_location, ci.product_id`,
+    [session.id]
+  );
+  const entries = await dbAll(
+    `SELECT ce.*, u.username as counter_name
+     FROM count_entries ce
+     LEFT JOIN users u ON ce.user_id = u.id
+     WHERE ce.session_id = ?
+     ORDER BY ce.counted_at, ce.id`,
+    [session.id]
+  );
+
+  for (const item of items) {
+    const itemEntries = entries.filter(entry => entry.product_id === item.product_id);
+
+    // Latest count from each counter; disagreement means the item needs a recount
+    const byCounter = new Map();
+    itemEntries.forEach(entry => byCounter.set(entry.user_id, entry));
+    const latestCounts = [...byCounter.values()];
+
+    item.counters = latestCounts.map(entry => ({
+      user_id: entry.user_id,
+      counter_name: entry.counter_name,
+      counted_quantity: entry.counted_quantity,
+      counted_at: entry.counted_at
+    }));
+    item.counter_disagreement = new Set(latestCounts.map(entry => entry.counted_quantity)).size > 1;
+
+    if (session.status === 'approved' || itemEntries.length === 0) {
+      continue;
+    }
+
+    const latest = itemEntries[itemEntries.length - 1];
+    const movements = await dbGet(
+      `SELECT 
+         COALESCE(SUM(quantity_change), 0) as net_change,
+         COALESCE(SUM(CASE WHEN movement_type = 'sale' THEN -quantity_change ELSE 0 END), 0) as units_sold
+       FROM stock_movements
+       WHERE product_id = ? AND location = ? AND created_at > ? AND created_at <= ?`,
+      [item.product_id, session.location, session.started_at, latest.counted_at]
+    );
+
+    item.counted_quantity = latest.counted_quantity;
+    item.movements_during_count = movements.net_change;
+    item.sales_during_count = movements.units_sold;
+    item.variance = latest.counted_quantity - (item.expected_quantity + movements.net_change);
+    item.variance_cost = parseFloat((item.variance * item.unit_cost).toFixed(2));
+  }
+
+  const counted = items.filter(item => item.counted_quantity !== null);
+  const sumCost = list => parseFloat(list.reduce((sum, item) => sum + item.variance_cost, 0).toFixed(2));
+
+  return {
+    ...session,
+    totals: {
+      items: items.length,
+      items_counted: counted.length,
+      items_uncounted: items.length - counted.length,
+      items_with_variance: counted.filter(item => item.variance !== 0).length,
+      items_needing_recount: items.filter(item => item.counter_disagreement).length,
+      variance_units: counted.reduce((sum, item) => sum + item.variance, 0),
+      variance_cost: sumCost(counted),
+      shrinkage_cost: sumCost(counted.filter(item => item.variance < 0)),
+      overage_cost: sumCost(counted.filter(item => item.variance > 0))
+    },
+    items
+  };
+}
+
+// Removes stock as a write-off valued at the product's cost_price. Miscounts are logged as
+// adjustments, every other reason as damage. Call inside withTransaction().
+async function writeOffStock({
+  productId, location, quantity, reasonCode, notes = null, photoUrl = null, userId, apiKeyId = null
+}) {
+  const product = await dbGet("SELECT id, cost_price FROM products WHERE id = ?", [productId]);
+  if (!product) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const unitCost = product.cost_price || 0;
+  const totalCost = parseFloat((unitCost * quantity).toFixed(2));
+
+  const { lastID } = await dbRun(
+    `INSERT INTO write_offs (product_id, location, quantity, reason_code, notes, unit_cost, total_cost, photo_url, user_id) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, location, quantity, reasonCode, notes, unitCost, totalCost, photoUrl, userId]
+  );
+
+  const stock = await adjustStock({
+    productId,
+    location,
+    change: -quantity,
+    movementType: reasonCode === 'miscount' ? 'adjustment' : 'damage',
+    reason: `Write-off #${lastID} (${reasonCode})${notes ? `: ${notes}` : ''}`,
+    userId,
+    apiKeyId,
+    referenceType: 'write_off',
+    referenceId: lastID
+  });
+
+  return { id: lastID, totalCost, stock };
+}
+
+// Works out which sale lines a return request covers, guarding against returning or
+// refunding more than was sold. Without explicit items a transaction is fully returned.
+async function resolveReturnLines({ sale_id, transaction_id, items, quantity, refund_amount, condition }) {
+  let requested = items;
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    if (sale_id) {
+      requested = [{ sale_id, quantity, refund_amount, condition }];
+    } else {
+      const sales = await dbAll(
+        `SELECT 
+           s.id,
+           s.quantity_sold - (SELECT COALESCE(SUM(quantity), 0) FROM returns WHERE sale_id = s.id) as returnable
+         FROM sales s WHERE s.transaction_id = ?`,
+        [transaction_id]
+      );
+
+      if (sales.length === 0) {
+        throw new HttpError(404, 'Transaction not found');
+      }
+
+      requested = sales
+        .filter(sale => sale.returnable > 0)
+        .map(sale => ({ sale_id: sale.id, condition }));
+
+      if (requested.length === 0) {
+        throw new HttpError(400, `Everything in transaction ${transaction_id} has already been returned`);
       }
+    }
+  }
+
+  const lines = [];
+  // The same sale can be listed more than once (e.g. part sellable, part damaged), so earlier
+  // lines of this request count against what is left to return and refund
+  const claimed = new Map();
+
+  for (const item of requested) {
+    const sale = await dbGet(
+      `SELECT 
+         s.*,
+         (SELECT COALESCE(SUM(quantity), 0) FROM returns WHERE sale_id = s.id) as quantity_returned,
+         (SELECT COALESCE(SUM(refund_amount), 0) FROM returns WHERE sale_id = s.id) as amount_refunded,
+         (SELECT COALESCE(SUM(tax_refund), 0) FROM returns WHERE sale_id = s.id) as tax_refunded
+       FROM sales s WHERE s.id = ?`,
+      [item.sale_id]
+    );
+
+    if (!sale) {
+      throw new HttpError(404, `Sale #${item.sale_id} not found`);
+    }
+    if (transaction_id && sale.transaction_id !== transaction_id) {
+      throw new HttpError(400, `Sale #${sale.id} is not part of transaction ${transaction_id}`);
+    }
+
+    const earlier = claimed.get(sale.id) || { quantity: 0, refund: 0, tax: 0 };
+    sale.quantity_returned += earlier.quantity;
+    sale.amount_refunded += earlier.refund;
+    sale.tax_refunded += earlier.tax;
+
+    const returnable = sale.quantity_sold - sale.quantity_returned;
+    const lineQuantity = item.quantity !== undefined ? parseInt(item.quantity) : returnable;
+
+    if (!lineQuantity || lineQuantity <= 0 || lineQuantity > returnable) {
+      throw new HttpError(400, `Cannot return ${item.quantity || 0} of sale #${sale.id}`, {
+        sale_id: sale.id,
+        quantity_sold: sale.quantity_sold,
+        quantity_returned: sale.quantity_returned,
+        returnable
+      });
+    }
+
+    const refundable = parseFloat((sale.total_amount - sale.amount_refunded).toFixed(2));
+    const refundAmount = item.refund_amount !== undefined
+      ? parseFloat(item.refund_amount)
+      : parseFloat((sale.total_amount * lineQuantity / sale.quantity_sold).toFixed(2));
+
+    if (isNaN(refundAmount) || refundAmount < 0 || refundAmount > refundable) {
+      throw new HttpError(400, `Invalid refund amount for sale #${sale.id}`, { sale_id: sale.id, refundable });
+    }
+
+    const lineCondition = item.condition || 'sellable';
+    if (!['sellable', 'damaged'].includes(lineCondition)) {
+      throw new HttpError(400, 'Condition must be sellable or damaged');
+    }
+
+    // Tax is refunded in proportion to the amount refunded; a full refund returns whatever is left
+    const taxRemaining = parseFloat(((sale.tax_amount || 0) - sale.tax_refunded).toFixed(2));
+    const taxRefund = refundAmount === refundable || sale.total_amount === 0
+      ? taxRemaining
+      : Math.min(taxRemaining, parseFloat(((sale.tax_amount || 0) * refundAmount / sale.total_amount).toFixed(2)));
+
+    claimed.set(sale.id, {
+      quantity: earlier.quantity + lineQuantity,
+      refund: earlier.refund + refundAmount,
+      tax: earlier.tax + taxRefund
+    });
+    lines.push({ sale, quantity: lineQuantity, refundAmount, taxRefund, condition: lineCondition });
+  }
+
+  return lines;
+}
+
+// e.g. TXN-20240730-3FA9C2
+function generateReferenceId(prefix) {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `${prefix}-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+// Validates basket lines and checks stock for every product before anything is written.
+// unit_price defaults to the product's sell_price and must match it when given.
+async function validateBasket(items, location) {
+  const lines = [];
+  const requested = new Map();
+
+  for (const [index, item] of items.entries()) {
+    const quantity = parseInt(item.quantity);
+    const product = item.product_id && await dbGet(
+      "SELECT id, name, category, sell_price, (SELECT COUNT(*) FROM products v WHERE v.parent_id = products.id) as variant_count FROM products WHERE id = ?",
+      [item.product_id]
+    );
+
+    if (!product || !quantity || quantity <= 0) {
+      throw new HttpError(400, `Line ${index + 1}: valid product ID and quantity are required`);
+    }
+    if (product.variant_count > 0) {
+      throw new HttpError(400, `Line ${index + 1}: ${product.name} is sold by variant; choose a variant`, { product_id: product.id });
+    }
+
+    const unitPrice = item.unit_price !== undefined ? parseFloat(item.unit_price) : product.sell_price;
+    if (isNaN(unitPrice) || unitPrice < 0) {
+      throw new HttpError(400, `Line ${index + 1}: invalid unit price`);
+    }
+    if (!priceMatches(unitPrice, product.sell_price)) {
+      throw new HttpError(400, `Line ${index + 1}: unit price does not match the current price`, {
+        product_id: product.id,
+        unit_price: unitPrice,
+        current_price: product.sell_price
+      });
+    }
+
+    lines.push({
+      productId: product.id,
+      category: product.category,
+      quantity,
+      unitPrice,
+      totalAmount: parseFloat((quantity * unitPrice).toFixed(2))
+    });
+    requested.set(product.id, (requested.get(product.id) || 0) + quantity);
+  }
+
+  const shortages = [];
+
+  for (const [productId, quantity] of requested) {
+    const row = await dbGet(
+      "SELECT quantity FROM inventory WHERE product_id = ? AND location = ?",
+      [productId, location]
+    );
+    const available = row ? row.quantity : 0;
+    if (available < quantity) {
+      shortages.push({ product_id: productId, available, requested: quantity });
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw new HttpError(400, 'Insufficient inventory', { location, shortages });
+  }
+
+  return lines;
+}
+
+const PROMOTION_TYPES = ['percent_off', 'fixed_off', 'buy_x_get_y'];
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Discount one promotion gives each basket line (same order as lines), before stacking caps
+function promotionLineDiscounts(promotion, lines) {
+  const discounts = lines.map(() => 0);
+  const qualifying = lines
+    .map((line, index) => index)
+    .filter(index => promotion.product_id ? lines[index].productId === promotion.product_id
+      : promotion.category ? lines[index].category === promotion.category : true);
+
+  if (qualifying.length === 0) return discounts;
+
+  if (promotion.promo_type === 'percent_off') {
+    qualifying.forEach(index => {
+      discounts[index] = lines[index].totalAmount * promotion.value / 100;
+    });
+  } else if (promotion.promo_type === 'fixed_off' && (promotion.product_id || promotion.category)) {
+    // Scoped fixed discounts are per unit
+    qualifying.forEach(index => {
+      discounts[index] = Math.min(promotion.value * lines[index].quantity, lines[index].totalAmount);
+    });
+  } else if (promotion.promo_type === 'fixed_off') {
+    // Basket-wide fixed discounts are shared across lines in proportion to their value
+    const subtotal = qualifying.reduce((sum, index) => sum + lines[index].totalAmount, 0);
+    const amount = Math.min(promotion.value, subtotal);
+    qualifying.forEach(index => {
+      discounts[index] = subtotal > 0 ? amount * lines[index].totalAmount / subtotal : 0;
+    });
+  } else {
+    // Buy X get Y: for every X + Y qualifying units, the Y cheapest get value% off
+    const units = qualifying
+      .flatMap(index => Array(lines[index].quantity).fill(index))
+      .sort((a, b) => lines[a].unitPrice - lines[b].unitPrice);
+    const discounted = Math.floor(units.length / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+    units.slice(0, discounted).forEach(index => {
+      discounts[index] += lines[index].unitPrice * promotion.value / 100;
+    });
+  }
+
+  return discounts;
+}
+
+// Applies a set of promotions in order, never discounting a line below zero
+function allocateDiscounts(candidates, lines) {
+  const remaining = lines.map(line => line.totalAmount);
+  const applied = candidates.map(({ promotion, discounts }) => {
+    const amounts = discounts.map((discount, index) => {
+      const amount = roundCents(Math.min(discount, remaining[index]));
+      remaining[index] = roundCents(remaining[index] - amount);
+      return amount;
     });
+    return { promotion, amounts, total: roundCents(amounts.reduce((sum, amount) => sum + amount, 0)) };
+  });
+
+  return { applied, total: roundCents(applied.reduce((sum, promotion) => sum + promotion.total, 0)) };
+}
+
+// Works out the discount for basket lines ({ productId, category, quantity, unitPrice, totalAmount }).
+// Automatic promotions and those matching a coupon code are considered; stackable promotions
+// combine with each other, a non-stackable one applies on its own, and the customer gets
+// whichever is worth more. Sets discountAmount, netAmount and discounts on each line. Coupons
+// left out of the winning option come back in couponsNotApplied with the reason.
+async function applyPromotions(lines, couponCodes = []) {
+  const codes = [...new Set(couponCodes.filter(Boolean).map(code => String(code).trim().toUpperCase()))];
+  const promotions = await dbAll(
+    `SELECT * FROM promotions 
+     WHERE is_active = 1
+     AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+     AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+     AND (coupon_code IS NULL${codes.length ? ` OR coupon_code IN (${codes.map(() => '?').join(', ')})` : ''})
+     ORDER BY id`,
+    codes
+  );
+
+  const unknown = codes.filter(code => !promotions.some(promotion => promotion.coupon_code === code));
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Invalid or expired coupon code', { coupon_codes: unknown });
+  }
+
+  const subtotal = roundCents(lines.reduce((sum, line) => sum + line.totalAmount, 0));
+  const eligible = promotions
+    .filter(promotion => subtotal >= (promotion.min_basket_value || 0))
+    .map(promotion => ({ promotion, discounts: promotionLineDiscounts(promotion, lines) }))
+    .filter(({ discounts }) => discounts.some(discount => discount > 0));
+
+  const couponMisses = codes.filter(code => !eligible.some(({ promotion }) => promotion.coupon_code === code));
+  if (couponMisses.length > 0) {
+    throw new HttpError(400, 'Coupon code does not apply to this basket', { coupon_codes: couponMisses, subtotal });
+  }
+
+  const options = [
+    eligible.filter(({ promotion }) => promotion.stackable),
+    ...eligible.filter(({ promotion }) => !promotion.stackable).map(candidate => [candidate])
+  ];
+  const best = options
+    .map(option => allocateDiscounts(option, lines))
+    .reduce((best, option) => option.total > best.total ? option : best, { applied: [], total: 0 });
+
+  lines.forEach((line, index) => {
+    line.discounts = best.applied
+      .filter(({ amounts }) => amounts[index] > 0)
+      .map(({ promotion, amounts }) => ({ promotionId: promotion.id, couponCode: promotion.coupon_code, amount: amounts[index] }));
+    line.discountAmount = roundCents(line.discounts.reduce((sum, discount) => sum + discount.amount, 0));
+    line.netAmount = roundCents(line.totalAmount - line.discountAmount);
   });
-});
 
-app.get('/api/analytics/sales-trend', (req, res) => {
-  const { period = '30' } = req.query;
-  
-  const sql = `
-    SELECT 
-      DATE(sale_date) as date,
-      COUNT(*) as sales_count,
-      SUM(quantity_sold) as items_sold,
-      SUM(total_amount) as revenue,
-      COUNT(DISTINCT product_id) as unique_products
-    FROM sales 
-    WHERE sale_date >= DATE('now', '-${parseInt(period)} days')
-    GROUP BY DATE(sale_date)
-    ORDER BY date ASC
-  `;
-  
-  db.all(sql, (err, rows) => {
-    if (err) {
-      console.error('Sales trend error:', err);
-      return res.status(500).json({ error: 'Failed to fetch sales trend' });
+  const winners = best.applied.filter(({ total }) => total > 0);
+  const couponsNotApplied = codes
+    .filter(code => !winners.some(({ promotion }) => promotion.coupon_code === code))
+    .map(code => ({
+      coupon_code: code,
+      reason: best.applied.some(({ promotion }) => promotion.coupon_code === code)
+        ? 'Nothing left to discount after the other promotions'
+        : `Does not combine with ${winners.map(({ promotion }) => promotion.name).join(', ')}, which saves more`
+    }));
+
+  return {
+    subtotal,
+    discountAmount: best.total,
+    totalAmount: roundCents(subtotal - best.total),
+    promotions: winners.map(({ promotion, total }) => ({
+      promotion_id: promotion.id,
+      name: promotion.name,
+      coupon_code: promotion.coupon_code,
+      discount_amount: total
+    })),
+    couponsNotApplied
+  };
+}
+
+async function recordSaleDiscounts(saleId, line) {
+  for (const discount of line.discounts) {
+    await dbRun(
+      "INSERT INTO sale_discounts (sale_id, promotion_id, coupon_code, discount_amount) VALUES (?, ?, ?, ?)",
+      [saleId, discount.promotionId, discount.couponCode, discount.amount]
+    );
+  }
+}
+
+// Tax-exempt certificate presented at checkout; it must be active and unexpired
+async function resolveTaxExemption(certificateNumber) {
+  if (!certificateNumber) return null;
+
+  const customer = await dbGet(
+    "SELECT * FROM tax_exempt_customers WHERE certificate_number = ?",
+    [String(certificateNumber).trim()]
+  );
+  if (!customer || !customer.is_active) {
+    throw new HttpError(400, 'Unknown or inactive tax exemption certificate', { certificate_number: certificateNumber });
+  }
+  if (customer.expires_at && customer.expires_at < new Date().toISOString().slice(0, 10)) {
+    throw new HttpError(400, 'Tax exemption certificate has expired', {
+      certificate_number: customer.certificate_number,
+      expires_at: customer.expires_at
+    });
+  }
+
+  return customer;
+}
+
+// Works out sales tax on priced basket lines (after applyPromotions). Each line is taxed at its
+// category's tax class, falling back to the standard class. Classes with an exemption threshold
+// (clothing) only tax the part of each item's price above it. Sets taxClass, taxRate,
+// taxableAmount and taxAmount on each line and returns the total tax.
+async function applySalesTax(lines, exemptCustomer = null) {
+  const classes = await dbAll(
+    `SELECT tc.*, ctc.category FROM tax_classes tc 
+     LEFT JOIN category_tax_classes ctc ON ctc.tax_class_id = tc.id`
+  );
+  const standard = classes.find(taxClass => taxClass.code === DEFAULT_TAX_CLASS);
+
+  for (const line of lines) {
+    const taxClass = classes.find(taxClass => taxClass.category === line.category) || standard;
+    const unitPrice = line.netAmount / line.quantity;
+    const taxableUnitPrice = taxClass && taxClass.exemption_threshold !== null
+      ? Math.max(0, unitPrice - taxClass.exemption_threshold)
+      : unitPrice;
+
+    line.taxClass = taxClass ? taxClass.code : null;
+    line.taxRate = exemptCustomer || !taxClass ? 0 : taxClass.rate;
+    line.taxableAmount = line.taxRate > 0 ? roundCents(taxableUnitPrice * line.quantity) : 0;
+    line.taxAmount = roundCents(line.taxableAmount * line.taxRate / 100);
+  }
+
+  return roundCents(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+}
+
+// Adds the sale lines to each basket returned by a BASKET_KEY grouping
+async function attachBasketLines(baskets) {
+  if (baskets.length === 0) return baskets;
+
+  const keys = baskets.map(basket => basket.transaction_id);
+  const lines = await dbAll(
+    `SELECT 
+       ${BASKET_KEY} as basket_key,
+       s.*,
+       (SELECT COALESCE(SUM(quantity), 0) FROM returns WHERE sale_id = s.id) as quantity_returned,
+       p.name as product_name,
+       p.category,
+       p.sku
+     FROM sales s
+     JOIN products p ON s.product_id = p.id
+     WHERE ${BASKET_KEY} IN (${keys.map(() => '?').join(', ')})
+     ORDER BY s.id`,
+    keys
+  );
+
+  return baskets.map(basket => ({
+    ...basket,
+    items: lines
+      .filter(line => line.basket_key === basket.transaction_id)
+      .map(({ basket_key, ...line }) => line)
+  }));
+}
+
+// SQL expression classifying a stock quantity against its reorder and max levels
+function stockStatusCase(quantity, reorderLevel, maxStockLevel) {
+  return `CASE 
+        WHEN ${quantity} <= 0 THEN 'out_of_stock'
+        WHEN ${quantity} <= ${reorderLevel} THEN 'low_stock'
+        WHEN ${quantity} >= ${maxStockLevel} THEN 'overstock'
+        ELSE 'in_stock'
+      END`;
+}
+
+// A product with its stock totalled across locations and broken down per location
+async function getProductWithStock(productId) {
+  const row = await dbGet(
+    `SELECT 
+       p.*,
+       (SELECT COUNT(*) FROM products v WHERE v.parent_id = p.id) as variant_count,
+       COALESCE(SUM(i.quantity), 0) as quantity,
+       SUM(i.reorder_level) as reorder_level,
+       SUM(i.max_stock_level) as max_stock_level,
+       MAX(i.last_restocked) as last_restocked,
+       COUNT(i.id) as location_count
+     FROM products p
+     LEFT JOIN inventory i ON p.id = i.product_id
+     WHERE p.id = ?
+     GROUP BY p.id`,
+    [productId]
+  );
+  if (!row) return null;
+
+  const [product] = await attachLocationBreakdown([row]);
+  return product;
+}
+
+// Adds a per-location stock breakdown to each product row
+async function attachLocationBreakdown(products, location) {
+  if (products.length === 0) return products;
+
+  const ids = products.map(product => product.id);
+  const params = location ? [...ids, location] : ids;
+  const rows = await dbAll(
+    `SELECT 
+       product_id, location, quantity, reorder_level, max_stock_level, shelf_location, last_restocked,
+       ${stockStatusCase('quantity', 'reorder_level', 'max_stock_level')} as stock_status
+     FROM inventory
+     WHERE product_id IN (${ids.map(() => '?').join(', ')})
+     ${location ? 'AND location = ?' : ''}
+     ORDER BY location`,
+    params
+  );
+
+  return products.map(product => ({
+    ...product,
+    locations: rows
+      .filter(row => row.product_id === product.id)
+      .map(({ product_id, ...stock }) => stock)
+  }));
+}
+
+// Throws a 400 unless `name` is an active location
+async function requireLocation(name) {
+  const location = await dbGet("SELECT name FROM locations WHERE name = ? AND is_active = 1", [name]);
+  if (!location) {
+    throw new HttpError(400, `Unknown location: ${name}`);
+  }
+  return location.name;
+}
+
+async function getTransfer(id) {
+  const transfer = await dbGet("SELECT * FROM stock_transfers WHERE id = ?", [id]);
+  if (!transfer) return null;
+
+  transfer.items = await dbAll(
+    `SELECT ti.*, p.name as product_name, p.sku
+     FROM stock_transfer_items ti
+     JOIN products p ON ti.product_id = p.id
+     WHERE ti.transfer_id = ?
+     ORDER BY ti.id`,
+    [id]
+  );
+  return transfer;
+}
+
+async function getPurchaseOrder(id) {
+  const order = await dbGet(
+    `SELECT po.*, u.username as created_by_name
+     FROM purchase_orders po
+     LEFT JOIN users u ON po.created_by = u.id
+     WHERE po.id = ?`,
+    [id]
+  );
+  if (!order) return null;
+
+  order.items = await dbAll(
+    `SELECT
+       poi.*,
+       p.name as product_name,
+       p.sku,
+       poi.quantity_ordered - poi.quantity_received as quantity_outstanding,
+       ROUND(poi.quantity_ordered * poi.unit_cost, 2) as line_total
+     FROM purchase_order_items poi
+     JOIN products p ON poi.product_id = p.id
+     WHERE poi.purchase_order_id = ?
+     ORDER BY poi.id`,
+    [id]
+  );
+  order.total_cost = parseFloat(order.items.reduce((sum, item) => sum + item.line_total, 0).toFixed(2));
+  return order;
+}
+
+// Validates PO line items, defaulting unit_cost to the product's cost_price
+async function validatePurchaseOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'At least one line item is required');
+  }
+
+  const lineItems = [];
+
+  for (const [index, item] of items.entries()) {
+    const quantity = parseInt(item.quantity_ordered);
+    if (!item.product_id || !quantity || quantity <= 0) {
+      throw new HttpError(400, `Line ${index + 1}: valid product ID and quantity are required`);
     }
-    res.json(rows);
-  });
-});
 
-app.get('/api/analytics/category-distribution', (req, res) => {
-  const sql = `
-    SELECT 
-      p.category,
-      COUNT(DISTINCT p.id) as product_count,
-      SUM(i.quantity) as total_inventory,
-      SUM(i.quantity * p.sell_price) as total_value,
-      AVG(p.sell_price) as avg_price,
-      MIN(p.sell_price) as min_price,
-      MAX(p.sell_price) as max_price
-    FROM products p
-    JOIN inventory i ON p.id = i.product_id
-    GROUP BY p.category
-    ORDER BY total_value DESC
-  `;
-  
-  db.all(sql, (err, rows) => {
-    if (err) {
-      console.error('Category distribution error:', err);
-      return res.status(500).json({ error: 'Failed to fetch category distribution' });
+    const product = await dbGet("SELECT id, cost_price FROM products WHERE id = ?", [item.product_id]);
+    if (!product) {
+      throw new HttpError(400, `Line ${index + 1}: product ${item.product_id} not found`);
     }
-    res.json(rows);
-  });
-});
 
-app.get('/api/analytics/top-products', (req, res) => {
-  const { period = '30', metric = 'revenue', limit = 10 } = req.query;
-  
-  const orderBy = metric === 'quantity' ? 'total_sold' : 'total_revenue';
-  
-  const sql = `
-    SELECT 
-      p.id,
-      p.name,
-      p.category,
-      p.sell_price,
-      SUM(s.quantity_sold) as total_sold,
-      SUM(s.total_amount) as total_revenue,
-      COUNT(s.id) as transaction_count,
-      AVG(s.quantity_sold) as avg_quantity_per_sale
-    FROM sales s
-    JOIN products p ON s.product_id = p.id
-    WHERE s.sale_date >= DATE('now', '-${parseInt(period)} days')
-    GROUP BY s.product_id, p.id, p.name, p.category, p.sell_price
-    ORDER BY ${orderBy} DESC
-    LIMIT ?
-  `;
-  
-  db.all(sql, [parseInt(limit)], (err, rows) => {
-    if (err) {
-      console.error('Top products error:', err);
-      return res.status(500).json({ error: 'Failed to fetch top products' });
+    const unitCost = item.unit_cost !== undefined ? parseFloat(item.unit_cost) : product.cost_price;
+    if (unitCost === null || isNaN(unitCost) || unitCost < 0) {
+      throw new HttpError(400, `Line ${index + 1}: a valid unit cost is required`);
     }
-    res.json(rows);
-  });
-});
 
-// Alerts Routes
-app.get('/api/alerts', authenticateToken, (req, res) => {
-  const { status = 'active', type } = req.query;
-  
-  let sql = `
-    SELECT 
-      a.*,
-      p.name as product_name,
-      p.category,
-      p.sku,
-      i.quantity as current_quantity,
-      i.reorder_level
-    FROM alerts a
-    JOIN products p ON a.product_id = p.id
-    LEFT JOIN inventory i ON a.product_id = i.product_id
-    WHERE a.status = ?
-  `;
-  
-  const params = [status];
-  
-  if (type) {
-    sql += ' AND a.alert_type = ?';
-    params.push(type);
+    lineItems.push({ productId: product.id, quantity, unitCost });
   }
-  
-  sql += ' ORDER BY a.priority DESC, a.created_at DESC';
-  
-  db.all(sql, params, (err, rows) => {
-    if (err) {
-      console.error('Alerts fetch error:', err);
-      return res.status(500).json({ error: 'Failed to fetch alerts' });
+
+  return lineItems;
+}
+
+async function insertPurchaseOrderItems(orderId, lineItems) {
+  for (const item of lineItems) {
+    await dbRun(
+      `INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity_ordered, unit_cost)
+       VALUES (?, ?, ?, ?)`,
+      [orderId, item.productId, item.quantity, item.unitCost]
+    );
+  }
+}
+
+// Applies a quantity change to a product's inventory at one location and logs the stock
+// movement. Call inside withTransaction() so the update and its movement commit together.
+async function adjustStock({
+  productId, change, movementType, reason, userId, apiKeyId = null,
+  location = DEFAULT_LOCATION, referenceType = null, referenceId = null
+}) {
+  const selectRow = "SELECT quantity, reorder_level FROM inventory WHERE product_id = ? AND location = ?";
+  let row = await dbGet(selectRow, [productId, location]);
+
+  if (!row) {
+    if (change < 0) {
+      throw new HttpError(400, `Product not found in inventory at ${location}`, { product_id: productId });
     }
-    res.json(rows);
+    await dbRun("INSERT INTO inventory (product_id, quantity, location) VALUES (?, 0, ?)", [productId, location]);
+    row = await dbGet(selectRow, [productId, location]);
+  }
+
+  const previousQuantity = row.quantity;
+  const newQuantity = previousQuantity + change;
+
+  if (newQuantity < 0) {
+    throw new HttpError(400, 'Insufficient inventory', {
+      product_id: productId,
+      location,
+      available: previousQuantity,
+      requested: -change
+    });
+  }
+
+  await dbRun(
+    `UPDATE inventory SET quantity = ?,
+     last_restocked = CASE WHEN ? = 'restock' THEN CURRENT_TIMESTAMP ELSE last_restocked END,
+     updated_at = CURRENT_TIMESTAMP
+     WHERE product_id = ? AND location = ?`,
+    [newQuantity, movementType, productId, location]
+  );
+
+  await dbRun(
+    `INSERT INTO stock_movements (product_id, movement_type, quantity_change, previous_quantity, new_quantity, reason, user_id, api_key_id, reference_type, reference_id, location)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, movementType, change, previousQuantity, newQuantity, reason, userId, apiKeyId, referenceType, referenceId, location]
+  );
+
+  publishEvent('stock.changed', {
+    product_id: productId,
+    location,
+    previous_quantity: previousQuantity,
+    new_quantity: newQuantity,
+    change,
+    movement_type: movementType,
+    reference_type: referenceType,
+    reference_id: referenceId,
+    reorder_level: row.reorder_level,
+    user_id: userId
   });
-});
 
-app.put('/api/alerts/:id/resolve', authenticateToken, (req, res) => {
-  const { reason } = req.body;
-  
-  db.run(
-    `UPDATE alerts SET 
-     status = 'resolved', 
-     resolved_at = CURRENT_TIMESTAMP, 
-     resolved_by = ? 
-     WHERE id = ?`,
-    [req.user.username, req.params.id],
-    function(err) {
-      if (err) {
-        console.error('Alert resolution error:', err);
-        return res.status(500).json({ error: 'Failed to resolve alert' });
-      }
-      
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Alert not found' });
-      }
-      
-      console.log(`✅ Alert resolved: ID ${req.params.id} by ${req.user.username}`);
-      res.json({ message: 'Alert resolved successfully' });
-    }
+  return { previousQuantity, newQuantity, reorderLevel: row.reorder_level, location };
+}
+
+// Resolves low_stock/out_of_stock alerts that no longer apply after stock was added
+async function resolveStockAlerts(productId, currentQuantity, reorderLevel, resolvedBy, location = DEFAULT_LOCATION) {
+  const alertTypes = currentQuantity > reorderLevel
+    ? ['low_stock', 'out_of_stock']
+    : currentQuantity > 0 ? ['out_of_stock'] : [];
+
+  if (alertTypes.length === 0) return;
+
+  const cleared = await dbAll(
+    `SELECT id FROM alerts
+     WHERE product_id = ? AND ${OPEN_ALERTS} AND COALESCE(location, ?) = ?
+     AND alert_type IN (${alertTypes.map(() => '?').join(', ')})`,
+    [productId, DEFAULT_LOCATION, location, ...alertTypes]
   );
-});
 
-// Stock Movement Routes
-app.get('/api/stock-movements', authenticateToken, (req, res) => {
-  const { product_id, movement_type, limit = 50 } = req.query;
-  
-  let sql = `
-    SELECT 
-      sm.*,
-      p.name as product_name,
-      p.sku,
-      u.username as user_name
-    FROM stock_movements sm
-    JOIN products p ON sm.product_id = p.id
-    LEFT JOIN users u ON sm.user_id = u.id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  
-  if (product_id) {
-    sql += ' AND sm.product_id = ?';
-    params.push(product_id);
+  for (const alert of cleared) {
+    await transitionAlert(alert.id, 'resolve', {
+      actor: resolvedBy,
+      note: `Stock back to ${currentQuantity} at ${location}`
+    });
   }
-  
-  if (movement_type) {
-    sql += ' AND sm.movement_type = ?';
-    params.push(movement_type);
+
+  if (cleared.length > 0) {
+    console.log(`✅ Auto-resolved ${cleared.length} alert(s) for product ${productId} at ${location}`);
   }
-  
-  sql += ' ORDER BY sm.created_at DESC LIMIT ?';
-  params.push(parseInt(limit));
-  
-  db.all(sql, params, (err, rows) => {
-    if (err) {
-      console.error('Stock movements fetch error:', err);
-      return res.status(500).json({ error: 'Failed to fetch stock movements' });
-    }
-    res.json(rows);
-  });
-});
 
-// Helper Functions
-function createLowStockAlert(productId, currentQuantity, reorderLevel) {
-  // Check if alert already exists
+  // Still at or below the reorder level, so keep a low_stock alert open
+  if (currentQuantity <= reorderLevel) {
+    createLowStockAlert(productId, currentQuantity, reorderLevel, location);
+  }
+}
+
+function createLowStockAlert(productId, currentQuantity, reorderLevel, location = DEFAULT_LOCATION) {
+  const alertType = currentQuantity === 0 ? 'out_of_stock' : 'low_stock';
+  
+  // Check if alert already exists for this location (alerts from before locations count as Main Store)
   db.get(
-    "SELECT id FROM alerts WHERE product_id = ? AND alert_type = 'low_stock' AND status = 'active'",
-    [productId],
+    `SELECT id FROM alerts 
+     WHERE product_id = ? AND alert_type = ? AND ${OPEN_ALERTS} AND COALESCE(location, ?) = ?`,
+    [productId, alertType, DEFAULT_LOCATION, location],
     (err, existingAlert) => {
       if (err || existingAlert) return;
       
@@ -1222,23 +8774,28 @@ function createLowStockAlert(productId, currentQuantity, reorderLevel) {
           if (err || !product) return;
           
           const priority = currentQuantity === 0 ? 'critical' : 'high';
-          const alertType = currentQuantity === 0 ? 'out_of_stock' : 'low_stock';
           const message = currentQuantity === 0 
-            ? `${product.name} is out of stock`
-            : `${product.name} is running low (${currentQuantity} remaining, reorder at ${reorderLevel})`;
+            ? `${product.name} is out of stock at ${location}`
+            : `${product.name} is running low at ${location} (${currentQuantity} remaining, reorder at ${reorderLevel})`;
           
-          db.run(
-            `INSERT INTO alerts (product_id, alert_type, message, priority) 
-             VALUES (?, ?, ?, ?)`,
-            [productId, alertType, message, priority],
-            function(err) {
-              if (err) {
-                console.error('Error creating alert:', err);
-              } else {
-                console.log(`🚨 ${priority.toUpperCase()} alert created: ${message}`);
-              }
+          dbRun(
+            `INSERT INTO alerts (product_id, alert_type, message, priority, location) 
+             VALUES (?, ?, ?, ?, ?)`,
+            [productId, alertType, message, priority, location]
+          ).then(({ lastID }) => {
+            const alert = {
+              id: lastID, product_id: productId, alert_type: alertType, message, priority, location, status: 'active'
+            };
+            logAlertHistory(lastID, 'created', null, 'active')
+              .catch(error => console.error('Alert history error:', error));
+            publishEvent('alert.created', alert);
+            console.log(`🚨 ${priority.toUpperCase()} alert created: ${message}`);
+            
+            if (priority === 'critical') {
+              sendNotification('critical_alert', criticalAlertEmail(alert))
+                .catch(error => console.error('Critical alert email error:', error));
             }
-          );
+          }, err => console.error('Error creating alert:', err));
         }
       );
     }
@@ -1254,7 +8811,8 @@ cron.schedule('0 9 * * *', () => {
       p.id,
       p.name,
       i.quantity,
-      i.reorder_level
+      i.reorder_level,
+      i.location
     FROM products p
     JOIN inventory i ON p.id = i.product_id
     WHERE i.quantity <= i.reorder_level
@@ -1268,14 +8826,20 @@ cron.schedule('0 9 * * *', () => {
     
     if (rows.length === 0) {
       console.log('✅ Stock check complete. No low-stock items found.');
-      return;
+    } else {
+      rows.forEach(product => {
+        createLowStockAlert(product.id, product.quantity, product.reorder_level, product.location);
+      });
+      
+      console.log(`📊 Stock check complete. Found ${rows.length} items needing attention.`);
     }
     
-    rows.forEach(product => {
-      createLowStockAlert(product.id, product.quantity, product.reorder_level);
-    });
-    
-    console.log(`📊 Stock check complete. Found ${rows.length} items needing attention.`);
+    checkProjectedStockouts()
+      .then(count => console.log(`📈 Forecast check complete. ${count} items projected to stock out within lead time.`))
+      .then(() => evaluateAlertRules())
+      .then(raised => console.log(`📋 Alert rules checked. ${raised.length} new alerts.`))
+      .then(() => sendLowStockDigest())
+      .catch(err => console.error('Scheduled check error:', err));
   });
 });
 
@@ -1283,28 +8847,46 @@ cron.schedule('0 9 * * *', () => {
 cron.schedule('0 20 * * 0', () => {
   console.log('📈 Generating weekly sales report...');
   
-  const sql = `
-    SELECT 
-      COUNT(*) as total_transactions,
-      SUM(quantity_sold) as total_items_sold,
-      SUM(total_amount) as total_revenue,
-      AVG(total_amount) as avg_transaction_value
-    FROM sales 
-    WHERE sale_date >= DATE('now', '-7 days')
-  `;
-  
-  db.get(sql, (err, stats) => {
-    if (err) {
-      console.error('Weekly report error:', err);
-      return;
-    }
-    
-    console.log('📊 Weekly Sales Summary:');
-    console.log(`   Transactions: ${stats.total_transactions}`);
-    console.log(`   Items Sold: ${stats.total_items_sold}`);
-    console.log(`   Revenue: ${stats.total_revenue?.toFixed(2) || '0.00'}`);
-    console.log(`   Avg Transaction: ${stats.avg_transaction_value?.toFixed(2) || '0.00'}`);
-  });
+  sendWeeklySummary()
+    .then(({ stats }) => {
+      console.log('📊 Weekly Sales Summary:');
+      console.log(`   Transactions: ${stats.total_transactions}`);
+      console.log(`   Items Sold: ${stats.total_items_sold}`);
+      console.log(`   Revenue: ${stats.total_revenue?.toFixed(2) || '0.00'}`);
+      console.log(`   Avg Transaction: ${stats.avg_transaction_value?.toFixed(2) || '0.00'}`);
+    })
+    .catch(err => console.error('Weekly report error:', err));
+});
+
+// Wake snoozed alerts and escalate unacknowledged critical ones (every 5 minutes)
+cron.schedule('*/5 * * * *', () => {
+  runAlertLifecycle()
+    .then(({ woken, escalated }) => (woken || escalated) &&
+      console.log(`⏰ Alert lifecycle: ${woken} woken, ${escalated} escalated`))
+    .catch(err => console.error('Alert lifecycle error:', err));
+});
+
+// Apply scheduled price changes and start/end markdowns (every minute)
+cron.schedule('* * * * *', () => {
+  applyPriceSchedules()
+    .catch(err => console.error('Price schedule error:', err));
+});
+
+// Retry failed notification emails (every 10 minutes)
+cron.schedule('*/10 * * * *', () => {
+  retryFailedDeliveries()
+    .then(count => count > 0 && console.log(`📧 Retried ${count} failed email deliveries`))
+    .catch(err => console.error('Email retry error:', err));
+});
+
+// Remove sessions that expired or were revoked more than 30 days ago (daily at 3 AM)
+cron.schedule('0 3 * * *', () => {
+  dbRun(
+    `DELETE FROM user_sessions 
+     WHERE expires_at < DATETIME('now', '-30 days') OR revoked_at < DATETIME('now', '-30 days')`
+  )
+    .then(({ changes }) => changes > 0 && console.log(`🔑 Removed ${changes} old sessions`))
+    .catch(err => console.error('Session cleanup error:', err));
 });
 
 // Error handling middleware
@@ -1331,7 +8913,12 @@ app.use('/api/*', (req, res) => {
 // Initialize database and start server
 async function startServer() {
   try {
+    if (NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    
     await initializeDatabase();
+    await applyPriceSchedules();
     
     app.listen(PORT, () => {
       console.log('🚀 Harvard Shop Inventory Server Started!');
@@ -0,0 +1,149 @@
+/**
+ * API keys - scopes, location limits, address allow-lists, expiry and revocation
+ */
+
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let adminToken;
+
+function createKey(body, token = adminToken) {
+  return server.request('POST', '/api-keys', { token, body });
+}
+
+beforeAll(async () => {
+  server = await startServer({ port: 5105 });
+  await server.addUser('tester');
+  ({ token: adminToken } = await server.login('tester'));
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+describe('using a key', () => {
+  let register;
+
+  beforeAll(async () => {
+    ({ body: register } = await createKey({
+      name: 'Register 1', scopes: ['product.view', 'sale.create'], location: 'Main Store'
+    }));
+  });
+
+  test('is shown once and then known by its prefix', async () => {
+    expect(register.key.startsWith(`${register.key_prefix}_`)).toBe(true);
+
+    const { body: keys } = await server.request('GET', '/api-keys', { token: adminToken });
+    expect(keys.find(key => key.id === register.id)).not.toHaveProperty('key');
+    expect(JSON.stringify(keys)).not.toContain(register.key);
+  });
+
+  test('grants its scopes only', async () => {
+    expect((await server.request('GET', '/products', { apiKey: register.key })).status).toBe(200);
+    expect((await server.request('GET', '/products', { token: register.key })).status).toBe(200);
+
+    const res = await server.request('GET', '/sales', { apiKey: register.key });
+    expect(res.status).toBe(403);
+    expect(res.body.missing_permissions).toEqual(['sale.view']);
+  });
+
+  test('sells at its own location and is recorded on the sale', async () => {
+    const sale = { product_id: 5, quantity_sold: 1, unit_price: 8.99 };
+
+    const elsewhere = await server.request('POST', '/sales', { apiKey: register.key, body: { ...sale, location: 'Warehouse' } });
+    expect(elsewhere.status).toBe(403);
+
+    const { status, body } = await server.request('POST', '/sales', { apiKey: register.key, body: sale });
+    expect(status).toBe(201);
+    const [recorded] = await server.query('SELECT api_key_id FROM sales WHERE id = ?', [body.id]);
+    const [movement] = await server.query(
+      "SELECT api_key_id FROM stock_movements WHERE reference_type = 'sale' AND reference_id = ?",
+      [body.id]
+    );
+    expect(recorded.api_key_id).toBe(register.id);
+    expect(movement.api_key_id).toBe(register.id);
+  });
+
+  test('stops working once revoked, closing its event stream', async () => {
+    const { body: display } = await createKey({ name: 'Stock display', scopes: ['dashboard.view'] });
+    const stream = await fetch(`${server.api}/events`, { headers: { 'X-API-Key': display.key } });
+    expect(stream.status).toBe(200);
+    const reader = stream.body.getReader();
+    await reader.read();
+
+    const revoke = await server.request('DELETE', `/api-keys/${display.id}`, { token: adminToken });
+    expect(revoke.body.status).toBe('revoked');
+
+    let timer;
+    const ended = await Promise.race([
+      (async () => {
+        while (!(await reader.read()).done);
+        return true;
+      })(),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), 5000);
+      })
+    ]);
+    clearTimeout(timer);
+    expect(ended).toBe(true);
+
+    const res = await server.request('GET', '/events', { apiKey: display.key });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('invalid_api_key');
+  });
+});
+
+describe('restricted keys', () => {
+  test('only work from the allowed addresses', async () => {
+    const { body: key } = await createKey({ name: 'Back office', scopes: ['product.view'], allowed_ips: ['10.20.0.0/16'] });
+
+    const res = await server.request('GET', '/products', { apiKey: key.key });
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('ip_not_allowed');
+  });
+
+  test('stop working when they expire', async () => {
+    const { body: key } = await createKey({ name: 'Pop-up', scopes: ['product.view'], expires_at: '2020-01-01T00:00:00Z' });
+
+    expect(key.status).toBe('expired');
+    const res = await server.request('GET', '/products', { apiKey: key.key });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('api_key_expired');
+  });
+
+  test('cannot be given account management permissions', async () => {
+    const res = await createKey({ name: 'Too much', scopes: ['product.view', 'user.manage'] });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('key managers without admin rights', () => {
+  let integratorToken;
+
+  beforeAll(async () => {
+    await server.request('POST', '/roles', {
+      token: adminToken,
+      body: { name: 'integrator', permissions: ['api_key.manage', 'product.view'] }
+    });
+    await server.addUser('integrator', 'integrator');
+    ({ token: integratorToken } = await server.login('integrator'));
+  });
+
+  test('can only create keys within their own permissions', async () => {
+    const wider = await createKey({ name: 'Till', scopes: ['product.view', 'sale.create'] }, integratorToken);
+    expect(wider.status).toBe(403);
+
+    const within = await createKey({ name: 'Catalogue feed', scopes: ['product.view'] }, integratorToken);
+    expect(within.status).toBe(201);
+  });
+
+  test('cannot edit keys that reach beyond their permissions', async () => {
+    const { body: till } = await createKey({ name: 'Till 2', scopes: ['product.view', 'sale.create'] });
+
+    const res = await server.request('PUT', `/api-keys/${till.id}`, {
+      token: integratorToken,
+      body: { name: 'Renamed' }
+    });
+    expect(res.status).toBe(403);
+  });
+});
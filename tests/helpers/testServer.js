@@ -0,0 +1,124 @@
+/**
+ * Test server - runs server.js on its own port against a throwaway database. A new database gets
+ * the sample data; pass `database` to start from a copy of an existing file instead.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const sqlite3 = require('sqlite3');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+
+async function waitForServer(api) {
+  for (let attempt = 0; attempt < 80; attempt++) {
+    try {
+      const res = await fetch(`${api}/health`);
+      if (res.ok) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error('Server did not start');
+}
+
+async function startServer({ port, env = {}, database } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+  const dbPath = path.join(tmpDir, 'test.db');
+  if (database) {
+    fs.copyFileSync(database, dbPath);
+  }
+
+  const api = `http://localhost:${port}/api`;
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, DATABASE_URL: dbPath, PORT: String(port), NODE_ENV: 'test', EMAIL_HOST: '', ...env },
+    stdio: 'ignore'
+  });
+
+  const server = {
+    api,
+    dbPath,
+
+    // Runs SQL on its own connection, waiting out the server's writes rather than failing
+    query(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath);
+        db.configure('busyTimeout', 5000);
+        db.all(sql, params, (err, rows) => {
+          db.close();
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    },
+
+    // Sends a JSON request, authenticated with a token or an API key, and parses the reply
+    async request(method, route, { token, apiKey, body } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (apiKey) headers['X-API-Key'] = apiKey;
+
+      const res = await fetch(`${api}${route}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        // not JSON, e.g. a CSV export
+      }
+      return { status: res.status, headers: res.headers, body: json, text };
+    },
+
+    // Adds an active user straight to the database (bcrypt at 4 rounds keeps tests quick)
+    async addUser(username, role = 'admin', password = 'password123') {
+      await server.query(
+        "INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)",
+        [username, `${username}@example.com`, await bcrypt.hash(password, 4), role]
+      );
+      const [user] = await server.query("SELECT id FROM users WHERE username = ?", [username]);
+      return user.id;
+    },
+
+    async login(username, password = 'password123') {
+      const { body } = await server.request('POST', '/auth/login', { body: { username, password } });
+      return body;
+    },
+
+    stop() {
+      child.kill();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  };
+
+  try {
+    await waitForServer(api);
+  } catch (error) {
+    server.stop();
+    throw error;
+  }
+  return server;
+}
+
+// Authenticator code for a base32 secret, `offset` 30-second steps from now (RFC 6238)
+function totp(secret, offset = 0) {
+  const bits = secret.replace(/=+$/, '').split('')
+    .map(char => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 1000 / 30) + offset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offsetByte = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offsetByte) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+module.exports = { startServer, totp };
@@ -0,0 +1,101 @@
+/**
+ * Brute-force protection - login delays, account lockout, blocking an address and the per-group
+ * request limits. Limits are lowered so each is reached in a few requests; every failed login
+ * below counts towards the address limit of 12, so the address test runs last.
+ */
+
+const bcrypt = require('bcrypt');
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let adminToken;
+
+function attempt(username, password = 'wrong-password') {
+  return server.request('POST', '/auth/login', { body: { username, password } });
+}
+
+async function fail(username, times) {
+  for (let i = 0; i < times; i++) {
+    expect((await attempt(username)).status).toBe(401);
+  }
+}
+
+beforeAll(async () => {
+  server = await startServer({
+    port: 5106,
+    env: { LOGIN_MAX_FAILURES: '4', LOGIN_MAX_FAILURES_PER_IP: '12', RATE_LIMIT_ANALYTICS: '2/1m' }
+  });
+  await server.addUser('tester');
+  ({ token: adminToken } = await server.login('tester'));
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+describe('failed logins', () => {
+  test('make the next attempt wait after three failures, even with the right password', async () => {
+    await server.addUser('slow', 'staff');
+    await fail('slow', 3);
+
+    const res = await attempt('slow', 'password123');
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ code: 'login_throttled', retry_after: 1 });
+  });
+
+  test('lock the account at the limit until an admin unlocks it', async () => {
+    const id = await server.addUser('locked', 'staff');
+    await fail('locked', 3);
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await fail('locked', 1);
+
+    const res = await attempt('locked', 'password123');
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe('account_locked');
+    const [user] = await server.query('SELECT locked_until FROM users WHERE id = ?', [id]);
+    expect(user.locked_until).not.toBeNull();
+
+    await server.request('PUT', `/users/${id}/unlock`, { token: adminToken });
+    expect((await attempt('locked', 'password123')).status).toBe(200);
+  });
+
+  test('take as long for an unknown username as for a wrong password', async () => {
+    // Hashed at the server's own cost, so a wrong password takes as long as in production
+    const id = await server.addUser('timed', 'staff');
+    await server.query('UPDATE users SET password_hash = ? WHERE id = ?', [await bcrypt.hash('password123', 12), id]);
+    const timed = async username => {
+      const started = Date.now();
+      const res = await attempt(username);
+      expect(res.body).toEqual({ error: 'Invalid credentials' });
+      return Date.now() - started;
+    };
+
+    const known = await timed('timed') + await timed('timed');
+    const unknown = await timed('nobody') + await timed('nobody');
+    expect(unknown).toBeGreaterThan(known / 2);
+  });
+
+  test('block the address once it reaches its limit', async () => {
+    await fail('someone-else', 1);
+
+    const res = await attempt('tester', 'password123');
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('ip_blocked');
+  });
+});
+
+describe('request limits', () => {
+  test('refuse requests over the group limit with Retry-After', async () => {
+    const get = () => server.request('GET', '/analytics/dashboard', { token: adminToken });
+
+    const first = await get();
+    expect(first.status).toBe(200);
+    expect(first.headers.get('ratelimit-limit')).toBe('2');
+    expect((await get()).status).toBe(200);
+
+    const over = await get();
+    expect(over.status).toBe(429);
+    expect(over.body.code).toBe('rate_limited');
+    expect(Number(over.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+});
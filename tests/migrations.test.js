@@ -0,0 +1,138 @@
+/**
+ * Schema migrations - bringing a database from before migrations up to date, on a copy of the
+ * inventory.db that ships with the repository
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrate, rollback, checkSchema, migrationStatus, migrationContext } = require('../scripts/migrate');
+const { startServer } = require('./helpers/testServer');
+
+const LEGACY_DATABASE = path.join(__dirname, '..', 'inventory.db');
+const LEGACY_TABLES = ['products', 'inventory', 'sales', 'alerts', 'users', 'stock_movements'];
+
+let tmpDir;
+
+function openCopy(name) {
+  const file = path.join(tmpDir, name);
+  fs.copyFileSync(LEGACY_DATABASE, file);
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, err => (err ? reject(err) : resolve(db)));
+  });
+}
+
+async function rowCounts(context) {
+  const counts = {};
+  for (const table of LEGACY_TABLES) {
+    counts[table] = (await context.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+  }
+  return counts;
+}
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-migrations-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('migrating a legacy database', () => {
+  let db;
+  let context;
+  let countsBefore;
+
+  beforeAll(async () => {
+    db = await openCopy('legacy.db');
+    context = migrationContext(db);
+    countsBefore = await rowCounts(context);
+  });
+
+  afterAll(() => db.close());
+
+  test('applies the initial schema once and keeps every row', async () => {
+    const applied = await migrate(db);
+
+    expect(applied.map(migration => migration.version)).toEqual([1]);
+    expect(await context.all('SELECT version FROM schema_migrations')).toEqual([{ version: 1 }]);
+    expect(await rowCounts(context)).toEqual(countsBefore);
+  });
+
+  test('adds the columns and tables the old startup code would have', async () => {
+    expect(await context.hasColumn('sales', 'api_key_id')).toBe(true);
+    expect(await context.hasColumn('users', 'totp_secret')).toBe(true);
+    expect(await context.hasColumn('alerts', 'snoozed_until')).toBe(true);
+    expect(await context.tableSql('user_sessions')).not.toBeNull();
+  });
+
+  test('widens the old alert CHECK constraints', async () => {
+    const { id } = await context.get('SELECT id FROM products LIMIT 1');
+    await context.run(
+      "INSERT INTO alerts (product_id, alert_type, message, status) VALUES (?, 'sales_spike', 'Selling fast', 'snoozed')",
+      [id]
+    );
+    await expect(context.run(
+      "INSERT INTO alerts (product_id, alert_type, message) VALUES (?, 'made_up', 'Nope')",
+      [id]
+    )).rejects.toThrow(/CHECK constraint failed/);
+  });
+
+  test('has nothing left to apply afterwards', async () => {
+    expect(await migrate(db)).toEqual([]);
+    await expect(checkSchema(db)).resolves.toBeUndefined();
+  });
+});
+
+describe('the migration runner', () => {
+  test('reports the pending migrations of a database that has not been migrated', async () => {
+    const db = await openCopy('unmigrated.db');
+    await expect(checkSchema(db)).rejects.toThrow(/1 pending migration/);
+    db.close();
+  });
+
+  test('rolls the initial schema back to nothing', async () => {
+    const db = await openCopy('rollback.db');
+    await migrate(db);
+
+    const rolledBack = await rollback(db);
+    expect(rolledBack.map(migration => migration.version)).toEqual([1]);
+    expect((await migrationStatus(db)).applied).toEqual([]);
+    expect(await migrationContext(db).tableSql('sales')).toBeNull();
+    db.close();
+  });
+
+  test('refuses a database migrated by a newer version of the app', async () => {
+    const db = await openCopy('newer.db');
+    await migrate(db);
+    await migrationContext(db).run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+
+    await expect(migrate(db)).rejects.toThrow(/999 \(from_the_future\)/);
+    db.close();
+  });
+});
+
+describe('starting the server on a legacy database', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer({ port: 5108, database: LEGACY_DATABASE });
+  }, 30000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  test('migrates it and signs in its existing users', async () => {
+    expect(await server.query('SELECT version FROM schema_migrations')).toEqual([{ version: 1 }]);
+
+    const login = await server.login('admin', 'password');
+    expect(login.user.role).toBe('admin');
+    const { status, body } = await server.request('GET', '/sales', { token: login.token });
+    expect(status).toBe(200);
+    expect(body.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Permissions - built-in and custom roles, roles limited to one location, and the limits on
+ * what user and role managers can hand out
+ */
+
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let adminToken;
+
+async function addRole(role) {
+  const res = await server.request('POST', '/roles', { token: adminToken, body: role });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+async function userWithRole(username, role) {
+  const id = await server.addUser(username, role);
+  const { token } = await server.login(username);
+  return { id, token };
+}
+
+beforeAll(async () => {
+  server = await startServer({ port: 5104 });
+  await server.addUser('tester');
+  ({ token: adminToken } = await server.login('tester'));
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+describe('roles', () => {
+  test('staff are refused what their role does not grant', async () => {
+    const { token } = await userWithRole('clerk', 'staff');
+
+    expect((await server.request('GET', '/products', { token })).status).toBe(200);
+    const res = await server.request('DELETE', '/products/1', { token });
+    expect(res.status).toBe(403);
+    expect(res.body.missing_permissions).toEqual(['product.delete']);
+  });
+
+  test('a custom role grants exactly its permissions, and edits apply at once', async () => {
+    const role = await addRole({ name: 'viewer', permissions: ['product.view'] });
+    const { token } = await userWithRole('looker', 'viewer');
+
+    expect((await server.request('GET', '/auth/permissions', { token })).body.permissions).toEqual(['product.view']);
+    expect((await server.request('GET', '/sales', { token })).status).toBe(403);
+
+    await server.request('PUT', `/roles/${role.id}`, { token: adminToken, body: { permissions: ['product.view', 'sale.view'] } });
+    expect((await server.request('GET', '/sales', { token })).status).toBe(200);
+  });
+});
+
+describe('roles limited to one location', () => {
+  let clerk;
+
+  beforeAll(async () => {
+    await addRole({
+      name: 'store_clerk',
+      permissions: ['product.view', 'sale.create', 'purchase.view', 'purchase.manage', 'dashboard.view'],
+      location: 'Main Store'
+    });
+    clerk = await userWithRole('storeclerk', 'store_clerk');
+  });
+
+  test('sell only at their location', async () => {
+    const sale = { product_id: 5, quantity_sold: 1, unit_price: 8.99 };
+
+    const elsewhere = await server.request('POST', '/sales', { token: clerk.token, body: { ...sale, location: 'Warehouse' } });
+    expect(elsewhere.status).toBe(403);
+    expect(elsewhere.body.error).toBe('Your role is limited to Main Store');
+
+    const here = await server.request('POST', '/sales', { token: clerk.token, body: sale });
+    expect(here.status).toBe(201);
+  });
+
+  test('cannot edit or cancel purchase orders for another location', async () => {
+    const { body: order } = await server.request('POST', '/purchase-orders', {
+      token: adminToken,
+      body: { supplier: 'Campus Supplies', location: 'Warehouse', items: [{ product_id: 5, quantity_ordered: 10, unit_cost: 3 }] }
+    });
+
+    const edit = await server.request('PUT', `/purchase-orders/${order.id}`, {
+      token: clerk.token,
+      body: { location: 'Main Store' }
+    });
+    const cancel = await server.request('PUT', `/purchase-orders/${order.id}/status`, {
+      token: clerk.token,
+      body: { status: 'cancelled' }
+    });
+
+    expect(edit.status).toBe(403);
+    expect(cancel.status).toBe(403);
+    const [stored] = await server.query('SELECT location, status FROM purchase_orders WHERE id = ?', [order.id]);
+    expect(stored).toEqual({ location: 'Warehouse', status: 'draft' });
+  });
+
+  test('cannot follow live events for another location', async () => {
+    const res = await server.request('GET', '/events?location=Warehouse', { token: clerk.token });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('user and role managers', () => {
+  let people;
+  let kioskPeople;
+
+  beforeAll(async () => {
+    await addRole({ name: 'people', permissions: ['user.manage', 'role.manage', 'product.view', 'sale.view'] });
+    await addRole({ name: 'kiosk_people', permissions: ['user.manage', 'role.manage', 'product.view'], location: 'Main Store' });
+    people = await userWithRole('hr', 'people');
+    kioskPeople = await userWithRole('kioskhr', 'kiosk_people');
+  });
+
+  test('can only hand out roles within their own permissions', async () => {
+    const invite = role => server.request('POST', '/users/invite', {
+      token: people.token,
+      body: { email: `new-${role}@example.com`, role }
+    });
+
+    expect((await invite('admin')).status).toBe(403);
+    expect((await invite('staff')).status).toBe(403);
+    expect((await invite('viewer')).status).toBe(201);
+
+    const [admin] = await server.query("SELECT id FROM users WHERE username = 'tester'");
+    const demote = await server.request('PUT', `/users/${admin.id}/role`, { token: people.token, body: { role: 'viewer' } });
+    expect(demote.status).toBe(403);
+    expect((await server.query('SELECT role FROM users WHERE id = ?', [admin.id]))[0].role).toBe('admin');
+  });
+
+  test('can only create roles within their own permissions and location', async () => {
+    const create = (token, role) => server.request('POST', '/roles', { token, body: role });
+
+    const wider = await create(people.token, { name: 'auditor', permissions: ['audit.view'] });
+    expect(wider.status).toBe(403);
+    expect(wider.body.permissions).toEqual(['audit.view']);
+    expect((await create(people.token, { name: 'reader', permissions: ['product.view'] })).status).toBe(201);
+
+    expect((await create(kioskPeople.token, { name: 'anywhere', permissions: ['product.view'] })).status).toBe(403);
+    expect((await create(kioskPeople.token, {
+      name: 'kiosk_reader', permissions: ['product.view'], location: 'Main Store'
+    })).status).toBe(201);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Promotions - discount arithmetic at checkout, against the sample products
+ * (1: Hoodie $65 Apparel, 2: Mug $12.95 Accessories, 5: Keychain $8.99 Accessories)
+ */
+
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let token;
+
+function addPromotion(promotion) {
+  return server.request('POST', '/promotions', { token, body: promotion });
+}
+
+function preview(items, extra = {}) {
+  return server.request('POST', '/promotions/preview', { token, body: { items, ...extra } });
+}
+
+beforeAll(async () => {
+  server = await startServer({ port: 5101 });
+  await server.addUser('tester');
+  ({ token } = await server.login('tester'));
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+afterEach(async () => {
+  await server.query('UPDATE promotions SET is_active = 0');
+});
+
+describe('promotion arithmetic', () => {
+  test('takes a percentage off the qualifying category only', async () => {
+    await addPromotion({ name: 'Accessories 20%', promo_type: 'percent_off', value: 20, category: 'Accessories' });
+
+    const { status, body } = await preview([{ product_id: 2, quantity: 2 }, { product_id: 1, quantity: 1 }]);
+
+    expect(status).toBe(200);
+    expect(body.items[0].discount_amount).toBe(5.18);
+    expect(body.items[1].discount_amount).toBe(0);
+    expect(body.subtotal).toBe(90.9);
+    expect(body.discount_amount).toBe(5.18);
+    expect(body.total_amount).toBe(85.72);
+  });
+
+  test('shares a basket-wide fixed discount across lines by value', async () => {
+    await addPromotion({ name: '$10 off', promo_type: 'fixed_off', value: 10 });
+
+    const { body } = await preview([{ product_id: 2, quantity: 2 }, { product_id: 5, quantity: 1 }]);
+
+    expect(body.items.map(item => item.discount_amount)).toEqual([7.42, 2.58]);
+    expect(body.discount_amount).toBe(10);
+    expect(body.total_amount).toBe(24.89);
+  });
+
+  test('never discounts a line below zero', async () => {
+    await addPromotion({ name: '$10 off keychains', promo_type: 'fixed_off', value: 10, product_id: 5 });
+
+    const { body } = await preview([{ product_id: 5, quantity: 1 }]);
+
+    expect(body.discount_amount).toBe(8.99);
+    expect(body.total_amount).toBe(0);
+  });
+
+  test('gives the cheapest units free on buy X get Y', async () => {
+    await addPromotion({
+      name: 'Buy 2 get 1', promo_type: 'buy_x_get_y', category: 'Accessories', buy_quantity: 2, get_quantity: 1
+    });
+
+    const { body } = await preview([{ product_id: 2, quantity: 1 }, { product_id: 5, quantity: 2 }]);
+
+    expect(body.items.map(item => item.discount_amount)).toEqual([0, 8.99]);
+    expect(body.total_amount).toBe(21.94);
+  });
+
+  test('stacks stackable promotions in order and picks the option worth most', async () => {
+    await addPromotion({ name: '10% off', promo_type: 'percent_off', value: 10, stackable: true });
+    await addPromotion({ name: '$5 coupon', promo_type: 'fixed_off', value: 5, coupon_code: 'five', stackable: true });
+    await addPromotion({ name: '15% off', promo_type: 'percent_off', value: 15 });
+
+    const { body } = await preview([{ product_id: 1, quantity: 1 }], { coupon_code: 'FIVE' });
+
+    expect(body.promotions.map(promotion => [promotion.name, promotion.discount_amount])).toEqual([
+      ['10% off', 6.5],
+      ['$5 coupon', 5]
+    ]);
+    expect(body.total_amount).toBe(53.5);
+    expect(body.coupons_not_applied).toEqual([]);
+  });
+
+  test('reports a coupon left out for a better promotion', async () => {
+    await addPromotion({ name: '20% off', promo_type: 'percent_off', value: 20 });
+    await addPromotion({ name: '$5 coupon', promo_type: 'fixed_off', value: 5, coupon_code: 'FIVEOFF' });
+
+    const { body } = await preview([{ product_id: 1, quantity: 1 }], { coupon_code: 'fiveoff' });
+
+    expect(body.discount_amount).toBe(13);
+    expect(body.coupons_not_applied).toEqual([
+      { coupon_code: 'FIVEOFF', reason: 'Does not combine with 20% off, which saves more' }
+    ]);
+  });
+
+  test('rejects a coupon below its minimum basket value', async () => {
+    await addPromotion({ name: 'Big basket', promo_type: 'fixed_off', value: 5, coupon_code: 'BIG', min_basket_value: 50 });
+
+    const { status, body } = await preview([{ product_id: 2, quantity: 2 }], { coupon_code: 'BIG' });
+
+    expect(status).toBe(400);
+    expect(body.coupon_codes).toEqual(['BIG']);
+  });
+
+  test('records the discount on each sale line of a transaction', async () => {
+    const { body: promotion } = await addPromotion({
+      name: 'Mugs 10%', promo_type: 'percent_off', value: 10, product_id: 2
+    });
+
+    const { status, body } = await server.request('POST', '/transactions', {
+      token,
+      body: { items: [{ product_id: 2, quantity: 2 }, { product_id: 5, quantity: 1 }] }
+    });
+
+    expect(status).toBe(201);
+    const [mug, keychain] = await server.query(
+      'SELECT id, total_amount, discount_amount FROM sales WHERE transaction_id = ? ORDER BY id',
+      [body.transaction_id]
+    );
+    expect(mug).toMatchObject({ total_amount: 23.31, discount_amount: 2.59 });
+    expect(keychain).toMatchObject({ total_amount: 8.99, discount_amount: 0 });
+    expect(await server.query('SELECT promotion_id, discount_amount FROM sale_discounts WHERE sale_id = ?', [mug.id]))
+      .toEqual([{ promotion_id: promotion.id, discount_amount: 2.59 }]);
+  });
+});
+
+describe('POST /api/sales', () => {
+  test('rejects a quantity that is not a whole number of at least one', async () => {
+    const [{ quantity: before }] = await server.query(
+      "SELECT quantity FROM inventory WHERE product_id = 5 AND location = 'Main Store'"
+    );
+
+    for (const quantity of ['abc', 1.5, 0, -2]) {
+      const res = await server.request('POST', '/sales', {
+        token,
+        body: { product_id: 5, quantity_sold: quantity, unit_price: 8.99 }
+      });
+      expect(res.status).toBe(400);
+    }
+
+    const res = await server.request('POST', '/sales', {
+      token,
+      body: { product_id: 5, quantity_sold: '2', unit_price: 8.99 }
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.total_amount).toBe(17.98);
+    expect(res.body.newQuantity).toBe(before - 2);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Returns API - runs the server against a throwaway database with the sample data
+ * (sale #2: 2 × Harvard Mug for $25.90)
+ */
+
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let token;
+
+function postReturn(body) {
+  return server.request('POST', '/returns', { token, body });
+}
+
+async function mugStock() {
+  const [row] = await server.query("SELECT quantity FROM inventory WHERE product_id = 2 AND location = 'Main Store'");
+  return row.quantity;
+}
+
+beforeAll(async () => {
+  server = await startServer({ port: 5099 });
+  await server.addUser('tester');
+  ({ token } = await server.login('tester'));
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+describe('POST /api/returns', () => {
+  test('rejects a sale listed twice for more than was sold', async () => {
+    const stockBefore = await mugStock();
+
+    const res = await postReturn({
+      sale_id: 2,
+      items: [{ sale_id: 2, quantity: 2 }, { sale_id: 2, quantity: 2 }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(await server.query('SELECT * FROM returns WHERE sale_id = 2')).toHaveLength(0);
+    expect(await mugStock()).toBe(stockBefore);
+  });
+
+  test('splits one sale across lines up to what was sold', async () => {
+    const res = await postReturn({
+      sale_id: 2,
+      items: [{ sale_id: 2, quantity: 1 }, { sale_id: 2, quantity: 1, condition: 'damaged' }]
+    });
+
+    expect(res.status).toBe(201);
+    const [{ quantity, refunded }] = await server.query(
+      'SELECT SUM(quantity) as quantity, SUM(refund_amount) as refunded FROM returns WHERE sale_id = 2'
+    );
+    expect(quantity).toBe(2);
+    expect(refunded).toBeCloseTo(25.9);
+
+    const again = await postReturn({ sale_id: 2, quantity: 1 });
+    expect(again.status).toBe(400);
+  });
+});
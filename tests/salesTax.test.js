@@ -0,0 +1,135 @@
+/**
+ * Sales tax - classes, the clothing exemption threshold and exempt customers, at the default
+ * 6.25% rate against the sample products (1: Hoodie $65 Apparel, 2: Mug $12.95 Accessories,
+ * 4: Notebook Set $18.50 Stationery)
+ */
+
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let token;
+let jacketId;
+
+function preview(items, extra = {}) {
+  return server.request('POST', '/promotions/preview', { token, body: { items, ...extra } });
+}
+
+beforeAll(async () => {
+  server = await startServer({ port: 5102 });
+  await server.addUser('tester');
+  ({ token } = await server.login('tester'));
+
+  const { body } = await server.request('POST', '/products', {
+    token,
+    body: { name: 'Harvard Varsity Jacket', category: 'Apparel', sell_price: 200, cost_price: 90, quantity: 10 }
+  });
+  jacketId = body.id;
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+afterEach(async () => {
+  await server.query('UPDATE promotions SET is_active = 0');
+});
+
+describe('sales tax arithmetic', () => {
+  test('taxes a line at the standard rate, rounded to the cent', async () => {
+    const { body } = await preview([{ product_id: 2, quantity: 2 }]);
+
+    expect(body.items[0]).toMatchObject({ tax_class: 'standard', tax_amount: 1.62 });
+    expect(body.amount_due).toBe(27.52);
+  });
+
+  test('only taxes the part of a clothing item above the threshold', async () => {
+    const { body } = await preview([{ product_id: 1, quantity: 1 }, { product_id: jacketId, quantity: 1 }]);
+
+    expect(body.items.map(item => [item.tax_class, item.tax_amount])).toEqual([
+      ['clothing', 0],
+      ['clothing', 1.56]
+    ]);
+    expect(body.tax_amount).toBe(1.56);
+    expect(body.amount_due).toBe(266.56);
+  });
+
+  test('taxes the price after discounts', async () => {
+    await server.request('POST', '/promotions', {
+      token,
+      body: { name: '20% off', promo_type: 'percent_off', value: 20 }
+    });
+
+    const { body } = await preview([{ product_id: 2, quantity: 2 }, { product_id: jacketId, quantity: 1 }]);
+
+    // The mugs are taxed on $20.72; the jacket drops to $160, under the clothing threshold
+    expect(body.items.map(item => item.tax_amount)).toEqual([1.3, 0]);
+    expect(body.total_amount).toBe(180.72);
+    expect(body.amount_due).toBe(182.02);
+  });
+
+  test('follows the tax class set for a category', async () => {
+    const res = await server.request('PUT', '/tax/categories/Stationery', { token, body: { tax_class: 'exempt' } });
+    expect(res.status).toBe(200);
+
+    const { body } = await preview([{ product_id: 4, quantity: 1 }]);
+
+    expect(body.items[0]).toMatchObject({ tax_class: 'exempt', tax_amount: 0 });
+    await server.request('PUT', '/tax/categories/Stationery', { token, body: { tax_class: 'standard' } });
+  });
+});
+
+describe('tax-exempt sales', () => {
+  beforeAll(async () => {
+    await server.request('POST', '/tax/exempt-customers', {
+      token,
+      body: { name: 'Harvard Crimson', certificate_number: 'EX-100' }
+    });
+    await server.request('POST', '/tax/exempt-customers', {
+      token,
+      body: { name: 'Old Society', certificate_number: 'EX-OLD', expires_at: '2020-01-01' }
+    });
+  });
+
+  test('records no tax on a transaction with a valid certificate', async () => {
+    const { status, body } = await server.request('POST', '/transactions', {
+      token,
+      body: { items: [{ product_id: 2, quantity: 1 }, { product_id: jacketId, quantity: 1 }], tax_exempt_certificate: 'EX-100' }
+    });
+
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ tax_amount: 0, amount_due: 212.95, tax_exempt_customer: 'Harvard Crimson' });
+    const lines = await server.query(
+      'SELECT tax_rate, tax_amount, tax_exempt_customer_id FROM sales WHERE transaction_id = ?',
+      [body.transaction_id]
+    );
+    expect(lines).toHaveLength(2);
+    lines.forEach(line => expect(line).toMatchObject({ tax_rate: 0, tax_amount: 0 }));
+    expect(lines[0].tax_exempt_customer_id).not.toBeNull();
+  });
+
+  test('stores the tax of each line and the transaction total', async () => {
+    const { body } = await server.request('POST', '/transactions', {
+      token,
+      body: { items: [{ product_id: 2, quantity: 2 }, { product_id: jacketId, quantity: 1 }] }
+    });
+
+    expect(body.tax_amount).toBe(3.18);
+    const [{ total }] = await server.query(
+      'SELECT ROUND(SUM(tax_amount), 2) as total FROM sales WHERE transaction_id = ?',
+      [body.transaction_id]
+    );
+    const [transaction] = await server.query(
+      'SELECT tax_amount FROM sales_transactions WHERE transaction_id = ?',
+      [body.transaction_id]
+    );
+    expect(total).toBe(3.18);
+    expect(transaction.tax_amount).toBe(3.18);
+  });
+
+  test('rejects an expired or unknown certificate', async () => {
+    for (const certificate of ['EX-OLD', 'EX-NONE']) {
+      const { status } = await preview([{ product_id: 2, quantity: 1 }], { tax_exempt_certificate: certificate });
+      expect(status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Sessions - refresh token rotation, replay detection and server-side revocation
+ */
+
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let adminToken;
+
+function sessionsWith(token) {
+  return server.request('GET', '/auth/sessions', { token });
+}
+
+function refresh(refreshToken) {
+  return server.request('POST', '/auth/refresh', { body: { refresh_token: refreshToken } });
+}
+
+beforeAll(async () => {
+  server = await startServer({ port: 5103 });
+  await server.addUser('tester');
+  ({ token: adminToken } = await server.login('tester'));
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+describe('refresh tokens', () => {
+  beforeAll(() => server.addUser('rotator', 'staff'));
+
+  test('rotate: each refresh token is swapped for a new pair once', async () => {
+    const login = await server.login('rotator');
+
+    const first = await refresh(login.refresh_token);
+    expect(first.status).toBe(200);
+    expect(first.body.refresh_token).not.toBe(login.refresh_token);
+    expect((await sessionsWith(first.body.token)).status).toBe(200);
+
+    const second = await refresh(first.body.refresh_token);
+    expect(second.status).toBe(200);
+    expect((await sessionsWith(second.body.token)).body).toHaveLength(1);
+  });
+
+  test('replaying a used refresh token signs the whole session out', async () => {
+    const login = await server.login('rotator');
+    const rotated = await refresh(login.refresh_token);
+
+    const replay = await refresh(login.refresh_token);
+    expect(replay.status).toBe(401);
+
+    const afterReplay = await sessionsWith(rotated.body.token);
+    expect(afterReplay.status).toBe(401);
+    expect(afterReplay.body.code).toBe('session_revoked');
+    expect((await refresh(rotated.body.refresh_token)).status).toBe(401);
+
+    const [session] = await server.query(
+      `SELECT revoke_reason FROM user_sessions 
+       WHERE user_id = (SELECT id FROM users WHERE username = 'rotator') 
+       ORDER BY created_at DESC, rowid DESC LIMIT 1`
+    );
+    expect(session.revoke_reason).toBe('refresh_token_reuse');
+  });
+
+  test('rejects an unknown refresh token', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+  });
+});
+
+describe('revocation', () => {
+  test('logout ends only the current session unless all devices are asked for', async () => {
+    await server.addUser('traveller', 'staff');
+    const laptop = await server.login('traveller');
+    const phone = await server.login('traveller');
+    const tablet = await server.login('traveller');
+
+    await server.request('POST', '/auth/logout', { token: laptop.token, body: {} });
+    expect((await sessionsWith(laptop.token)).status).toBe(401);
+    expect((await refresh(laptop.refresh_token)).status).toBe(401);
+    expect((await sessionsWith(phone.token)).body).toHaveLength(2);
+
+    await server.request('POST', '/auth/logout', { token: phone.token, body: { all_devices: true } });
+    expect((await sessionsWith(phone.token)).status).toBe(401);
+    expect((await sessionsWith(tablet.token)).status).toBe(401);
+  });
+
+  test('deactivating a user or changing their role ends their sessions', async () => {
+    const leaverId = await server.addUser('leaver', 'staff');
+    const moverId = await server.addUser('mover', 'staff');
+    const leaver = await server.login('leaver');
+    const mover = await server.login('mover');
+
+    await server.request('PUT', `/users/${leaverId}/deactivate`, { token: adminToken });
+    await server.request('PUT', `/users/${moverId}/role`, { token: adminToken, body: { role: 'manager' } });
+
+    expect((await sessionsWith(leaver.token)).status).toBe(401);
+    expect((await sessionsWith(mover.token)).status).toBe(401);
+    expect((await refresh(leaver.refresh_token)).status).toBe(401);
+  });
+
+  test('closes the live event stream of a revoked session', async () => {
+    await server.addUser('watcher', 'manager');
+    const watcher = await server.login('watcher');
+    const res = await fetch(`${server.api}/events?token=${watcher.token}`);
+    expect(res.status).toBe(200);
+    const reader = res.body.getReader();
+    await reader.read();
+
+    await server.request('POST', '/auth/logout', { token: watcher.token, body: {} });
+
+    let timer;
+    const ended = await Promise.race([
+      (async () => {
+        while (!(await reader.read()).done);
+        return true;
+      })(),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), 5000);
+      })
+    ]);
+    clearTimeout(timer);
+    expect(ended).toBe(true);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Two-factor authentication - enrolment, the login challenge, recovery codes, roles that
+ * require it, and wrong codes counting as failed logins. Managers must use two-factor here.
+ */
+
+const { startServer, totp } = require('./helpers/testServer');
+
+let server;
+let adminToken;
+
+// A six-digit code that is not the current one
+function wrongCode(secret) {
+  return totp(secret).replace(/\d$/, digit => String((Number(digit) + 1) % 10));
+}
+
+function verify(body) {
+  return server.request('POST', '/auth/2fa/verify', { body });
+}
+
+// Signs the user in and turns two-factor on, returning the secret and the recovery codes
+async function enrol(username) {
+  const { token } = await server.login(username);
+  const { body: setup } = await server.request('POST', '/auth/2fa/setup', { token });
+  const { body } = await server.request('POST', '/auth/2fa/enable', { token, body: { code: totp(setup.secret) } });
+  return { token, secret: setup.secret, recoveryCodes: body.recovery_codes };
+}
+
+beforeAll(async () => {
+  server = await startServer({ port: 5107, env: { TWO_FACTOR_REQUIRED_ROLES: 'manager' } });
+  await server.addUser('tester');
+  ({ token: adminToken } = await server.login('tester'));
+}, 30000);
+
+afterAll(() => {
+  if (server) server.stop();
+});
+
+describe('enrolment and login', () => {
+  let secret;
+  let recoveryCodes;
+
+  test('turns on only once a code from the app checks out', async () => {
+    await server.addUser('owner');
+    const { token } = await server.login('owner');
+    const { body: setup } = await server.request('POST', '/auth/2fa/setup', { token });
+    expect(setup.otpauth_url).toContain(`secret=${setup.secret}`);
+    ({ secret } = setup);
+
+    const wrong = await server.request('POST', '/auth/2fa/enable', { token, body: { code: wrongCode(secret) } });
+    expect(wrong.status).toBe(400);
+
+    const { status, body } = await server.request('POST', '/auth/2fa/enable', { token, body: { code: totp(secret) } });
+    expect(status).toBe(200);
+    expect(body.recovery_codes).toHaveLength(10);
+    ({ recovery_codes: recoveryCodes } = body);
+  });
+
+  test('asks for a code after the password, and the challenge is no access token', async () => {
+    const login = await server.login('owner');
+
+    expect(login).toMatchObject({ two_factor_required: true, setup_required: false });
+    expect(login).not.toHaveProperty('token');
+    expect((await server.request('GET', '/products', { token: login.challenge_token })).status).toBe(401);
+  });
+
+  test('accepts each authenticator code once', async () => {
+    const code = totp(secret, 1);
+
+    const first = await verify({ challenge_token: (await server.login('owner')).challenge_token, code });
+    expect(first.status).toBe(200);
+    expect((await server.request('GET', '/products', { token: first.body.token })).status).toBe(200);
+
+    const replay = await verify({ challenge_token: (await server.login('owner')).challenge_token, code });
+    expect(replay.status).toBe(401);
+  });
+
+  test('accepts each recovery code once', async () => {
+    const recoveryCode = recoveryCodes[0];
+
+    const first = await verify({ challenge_token: (await server.login('owner')).challenge_token, recovery_code: recoveryCode });
+    expect(first.status).toBe(200);
+    expect(first.body.recovery_codes_remaining).toBe(9);
+
+    const again = await verify({ challenge_token: (await server.login('owner')).challenge_token, recovery_code: recoveryCode });
+    expect(again.status).toBe(401);
+  });
+
+  test('can be turned off with the password where the role allows it', async () => {
+    const { body: { token } } = await verify({
+      challenge_token: (await server.login('owner')).challenge_token,
+      recovery_code: recoveryCodes[1]
+    });
+
+    expect((await server.request('DELETE', '/auth/2fa', { token, body: { password: 'wrong' } })).status).toBe(400);
+    expect((await server.request('DELETE', '/auth/2fa', { token, body: { password: 'password123' } })).status).toBe(200);
+    expect(await server.login('owner')).toHaveProperty('token');
+  });
+});
+
+describe('roles that require two-factor', () => {
+  test('enrol at their first login, which the first code completes', async () => {
+    await server.addUser('boss', 'manager');
+    const login = await server.login('boss');
+    expect(login).toMatchObject({ two_factor_required: true, setup_required: true });
+
+    const early = await verify({ challenge_token: login.challenge_token, code: '123456' });
+    expect(early.body.code).toBe('two_factor_setup_required');
+
+    const { body: setup } = await server.request('POST', '/auth/2fa/setup', {
+      body: { challenge_token: login.challenge_token }
+    });
+    const { status, body } = await server.request('POST', '/auth/2fa/enable', {
+      body: { challenge_token: login.challenge_token, code: totp(setup.secret) }
+    });
+    expect(status).toBe(200);
+    expect(body.recovery_codes).toHaveLength(10);
+
+    const disable = await server.request('DELETE', '/auth/2fa', { token: body.token, body: { password: 'password123' } });
+    expect(disable.status).toBe(403);
+  });
+
+  test('enrol again after an admin resets their two-factor', async () => {
+    const id = await server.addUser('deputy', 'manager');
+    const login = await server.login('deputy');
+    const { body: setup } = await server.request('POST', '/auth/2fa/setup', { body: { challenge_token: login.challenge_token } });
+    const { body: enabled } = await server.request('POST', '/auth/2fa/enable', {
+      body: { challenge_token: login.challenge_token, code: totp(setup.secret) }
+    });
+
+    await server.request('DELETE', `/users/${id}/2fa`, { token: adminToken });
+
+    expect((await server.request('GET', '/products', { token: enabled.token })).status).toBe(401);
+    expect(await server.login('deputy')).toMatchObject({ setup_required: true });
+  });
+});
+
+describe('wrong codes', () => {
+  test('count as failed logins', async () => {
+    await server.addUser('guesser');
+    const { secret } = await enrol('guesser');
+    const { challenge_token } = await server.login('guesser');
+
+    for (let i = 0; i < 3; i++) {
+      expect((await verify({ challenge_token, code: wrongCode(secret) })).status).toBe(401);
+    }
+
+    const res = await verify({ challenge_token, code: totp(secret, 1) });
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('login_throttled');
+  });
+});